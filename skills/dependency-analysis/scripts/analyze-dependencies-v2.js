@@ -12,7 +12,13 @@ const path = require('path');
 // Import modular analyzers
 const ImportAnalyzer = require('./analyzers/import-analyzer');
 const PeerDependencyAnalyzer = require('./analyzers/peer-dependency-analyzer');
+const ConfigUsageAnalyzer = require('./analyzers/config-usage-analyzer');
+const SymbolUsageAnalyzer = require('./analyzers/symbol-usage-analyzer');
 const PackageUtils = require('./utils/package-utils');
+const LockfileParser = require('./utils/lockfile-parser');
+const VersionRange = require('./utils/version-range');
+const SourceFileScanner = require('./utils/source-files');
+const RegistryMetadata = require('./utils/registry-metadata');
 
 class AdvancedDependencyAnalyzer {
     constructor(projectPath, options = {}) {
@@ -25,12 +31,17 @@ class AdvancedDependencyAnalyzer {
             includeDev: options.includeDev !== false,
             generateGraph: options.generateGraph || false,
             maxDepth: options.maxDepth || 5,
-            filePattern: options.filePattern || '**/*.{js,jsx,ts,tsx,vue,svelte}',
+            filePattern: options.filePattern || '**/*.{js,jsx,ts,tsx,vue,svelte,astro,mdx,css,scss,sass}',
             ...options
         };
 
         this.importAnalyzer = new ImportAnalyzer(this.projectPath, this.options);
+        this.sourceScanner = new SourceFileScanner(this.projectPath, this.options);
         this.peerAnalyzer = new PeerDependencyAnalyzer(this.projectPath, this.options);
+        this.lockfile = new LockfileParser(this.projectPath);
+        this.configUsageAnalyzer = new ConfigUsageAnalyzer(this.projectPath, this.options);
+        this.symbolUsageAnalyzer = new SymbolUsageAnalyzer(this.projectPath, this.options);
+        this.configUsage = { configFiles: new Map(), scripts: new Map() };
 
         this.result = {
             success: true,
@@ -52,6 +63,7 @@ class AdvancedDependencyAnalyzer {
                 outdated: [],
                 vulnerable: [],
                 circular: [],
+                packageSurface: [],
                 dependencies: {},
                 health: {
                     score: 0,
@@ -63,7 +75,8 @@ class AdvancedDependencyAnalyzer {
                 analyzedAt: new Date().toISOString(),
                 duration: 0,
                 scope: this.options.scope,
-                filesAnalyzed: 0
+                filesAnalyzed: 0,
+                lockfile: null
             }
         };
     }
@@ -80,9 +93,16 @@ class AdvancedDependencyAnalyzer {
             if (!packageJson) {
                 throw new Error('package.json not found');
             }
+            this.packageJson = packageJson;
+
+            // Resolved versions come from the lockfile, not the package.json ranges
+            if (await this.lockfile.load()) {
+                this.result.metadata.lockfile = this.lockfile.type;
+            }
 
             // Get all dependencies
             const dependencies = this.getAllDependencies(packageJson);
+            await this.resolveVersions(dependencies);
             this.result.data.summary.total = dependencies.size;
             this.result.data.dependencies = Object.fromEntries(dependencies);
 
@@ -94,8 +114,10 @@ class AdvancedDependencyAnalyzer {
                 await this.analyzePeerDependencies();
             }
 
-            // Find unused dependencies
-            await this.findUnusedDependencies(dependencies);
+            // Find unused dependencies; a --since run only sees the changed files
+            if (!this.sourceScanner.changedFiles) {
+                await this.findUnusedDependencies(dependencies);
+            }
 
             // Find missing dependencies
             await this.findMissingDependencies(dependencies);
@@ -181,6 +203,13 @@ class AdvancedDependencyAnalyzer {
         return dependencies;
     }
 
+    async resolveVersions(dependencies) {
+        for (const [name, info] of dependencies) {
+            info.resolvedVersion = this.lockfile.getResolvedVersion(name) ||
+                await PackageUtils.getInstalledVersion(name, this.projectPath);
+        }
+    }
+
     async analyzeImports() {
         // Get all source files
         const sourceFiles = await this.getSourceFiles();
@@ -188,6 +217,8 @@ class AdvancedDependencyAnalyzer {
 
         // Analyze imports in all files
         this.importMap = await this.importAnalyzer.analyzeFiles(sourceFiles);
+        this.packageImports = this.importAnalyzer.groupByPackage(this.importMap);
+        this.result.data.packageSurface = await this.symbolUsageAnalyzer.analyze(this.packageImports);
 
         // Build dependency graph for circular detection
         this.dependencyGraph = await this.buildDependencyGraph(sourceFiles);
@@ -197,53 +228,13 @@ class AdvancedDependencyAnalyzer {
     }
 
     async getSourceFiles() {
-        const sourceFiles = [];
-        const extensions = ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss', '.sass'];
-
-        const scanDir = async (dir) => {
-            try {
-                const items = await fs.readdir(dir, { withFileTypes: true });
-
-                for (const item of items) {
-                    const fullPath = path.join(dir, item.name);
-                    const relativePath = path.relative(this.projectPath, fullPath);
-
-                    // Skip common exclude patterns
-                    if (this.shouldExclude(item.name, relativePath)) {
-                        continue;
-                    }
-
-                    if (item.isDirectory()) {
-                        await scanDir(fullPath);
-                    } else if (extensions.some(ext => item.name.endsWith(ext))) {
-                        sourceFiles.push(fullPath);
-                    }
-                }
-            } catch (error) {
-                // Skip directories that can't be read
-            }
-        };
-
-        await scanDir(this.projectPath);
+        const sourceFiles = await this.sourceScanner.scan();
+        if (this.sourceScanner.changedFiles) {
+            this.result.metadata.changedSince = this.options.since;
+        }
         return sourceFiles;
     }
 
-    shouldExclude(name, relativePath) {
-        const excludePatterns = [
-            'node_modules',
-            'dist',
-            'build',
-            'coverage',
-            '.git',
-            '.nyc_output',
-            '.next',
-            '.nuxt',
-            'storybook-static'
-        ];
-
-        return name.startsWith('.') || excludePatterns.some(pattern => relativePath.includes(pattern));
-    }
-
     async buildDependencyGraph(sourceFiles) {
         const graph = new Map();
 
@@ -271,11 +262,11 @@ class AdvancedDependencyAnalyzer {
         const recursionStack = new Set();
         const cycles = [];
 
-        const dfs = (node, path) => {
+        const dfs = (node, stack) => {
             if (recursionStack.has(node)) {
                 // Found a cycle
-                const cycleStart = path.indexOf(node);
-                const cycle = path.slice(cycleStart);
+                const cycleStart = stack.indexOf(node);
+                const cycle = stack.slice(cycleStart);
                 cycles.push(cycle.map(f => path.relative(this.projectPath, f)));
                 return;
             }
@@ -284,15 +275,15 @@ class AdvancedDependencyAnalyzer {
 
             visited.add(node);
             recursionStack.add(node);
-            path.push(node);
+            stack.push(node);
 
             const deps = this.dependencyGraph.get(node) || [];
             for (const dep of deps) {
-                dfs(dep, path);
+                dfs(dep, stack);
             }
 
             recursionStack.delete(node);
-            path.pop();
+            stack.pop();
         };
 
         for (const node of this.dependencyGraph.keys()) {
@@ -309,6 +300,8 @@ class AdvancedDependencyAnalyzer {
     }
 
     async findUnusedDependencies(dependencies) {
+        this.configUsage = await this.configUsageAnalyzer.analyze(this.packageJson, Array.from(dependencies.keys()));
+
         for (const [depName, depInfo] of dependencies) {
             if (await this.isDependencyUsed(depName, depInfo)) {
                 continue;
@@ -333,50 +326,45 @@ class AdvancedDependencyAnalyzer {
 
     async isDependencyUsed(depName, depInfo) {
         // Check if directly imported
-        if (this.importMap.has(depName)) {
+        if (this.packageImports.has(depName)) {
             return true;
         }
 
+        // Type definitions are used when the package they describe is imported
+        if (depName.startsWith('@types/')) {
+            const typedName = PackageUtils.getTypedPackageName(depName);
+            const imported = this.packageImports.has(typedName) ||
+                (typedName === 'node' && Array.from(this.importMap.keys()).some(importName => this.importAnalyzer.isBuiltinModule(importName)));
+            if (imported) {
+                return true;
+            }
+        }
+
         // Check for indirect usage patterns
         const patterns = [
             // Babel presets
-            depName.startsWith('@babel/') && this.importMap.has('babel'),
+            depName.startsWith('@babel/') && this.packageImports.has('babel'),
             // ESLint plugins
-            depName.startsWith('eslint-plugin-') && this.importMap.has('eslint'),
+            depName.startsWith('eslint-plugin-') && this.packageImports.has('eslint'),
             // TypeScript
-            depName.startsWith('@types/') && this.importMap.has('typescript'),
+            depName.startsWith('@types/') && this.packageImports.has('typescript'),
             // Webpack loaders
-            depName.endsWith('-loader') && this.importMap.has('webpack'),
+            depName.endsWith('-loader') && this.packageImports.has('webpack'),
             // Vite plugins
-            depName.startsWith('vite-plugin-') && this.importMap.has('vite'),
+            depName.startsWith('vite-plugin-') && this.packageImports.has('vite'),
             // Prettier plugins
-            depName.startsWith('prettier-plugin-') && this.importMap.has('prettier')
+            depName.startsWith('prettier-plugin-') && this.packageImports.has('prettier')
         ];
 
         return patterns.some(Boolean);
     }
 
     isUsedInConfigFiles(depName) {
-        // Check if used in configuration files
-        const configFiles = [
-            'webpack.config.js',
-            'vite.config.js',
-            'rollup.config.js',
-            '.babelrc',
-            'babel.config.js',
-            'tsconfig.json',
-            '.eslintrc.js',
-            'prettier.config.js'
-        ];
-
-        // This is simplified - in practice, you'd read these files
-        return false;
+        return this.configUsage.configFiles.has(depName);
     }
 
     isUsedInScripts(depName) {
-        // Check if used in package.json scripts
-        // This is simplified
-        return false;
+        return this.configUsage.scripts.has(depName);
     }
 
     calculateConfidence(depName) {
@@ -402,11 +390,9 @@ class AdvancedDependencyAnalyzer {
     async findMissingDependencies(dependencies) {
         const nodeModulesPath = path.join(this.projectPath, 'node_modules');
 
-        for (const [importName, usages] of this.importMap) {
-            // Skip relative imports, built-ins, and TypeScript types
-            if (this.importAnalyzer.isRelativeImport(importName) ||
-                this.importAnalyzer.isBuiltinModule(importName) ||
-                importName.startsWith('@types/')) {
+        for (const [importName, usages] of this.packageImports) {
+            // Skip TypeScript types
+            if (importName.startsWith('@types/')) {
                 continue;
             }
 
@@ -415,6 +401,12 @@ class AdvancedDependencyAnalyzer {
                 continue;
             }
 
+            // Type-only imports compile against @types/<name> alone
+            const typeOnly = usages.every(u => u.typeOnly);
+            if (typeOnly && dependencies.has(PackageUtils.getTypesPackageName(importName))) {
+                continue;
+            }
+
             // Check if it's a phantom dependency
             const existsInNodeModules = await PackageUtils.fileExists(
                 path.join(nodeModulesPath, importName)
@@ -431,7 +423,8 @@ class AdvancedDependencyAnalyzer {
                     line: u.line,
                     type: u.type
                 })),
-                suggestedType: PackageUtils.categorizeDependency(importName),
+                suggestedType: typeOnly ? 'dev' : PackageUtils.categorizeDependency(importName),
+                typeOnly,
                 confidence: usages.length > 2 ? 'high' : 'medium'
             });
             this.result.data.summary.missing++;
@@ -441,10 +434,9 @@ class AdvancedDependencyAnalyzer {
     async findPhantomDependencies(dependencies) {
         const nodeModulesPath = path.join(this.projectPath, 'node_modules');
 
-        for (const [importName, usages] of this.importMap) {
-            if (this.importAnalyzer.isRelativeImport(importName) ||
-                this.importAnalyzer.isBuiltinModule(importName) ||
-                dependencies.has(importName)) {
+        for (const [importName, usages] of this.packageImports) {
+            if (dependencies.has(importName) ||
+                (usages.every(u => u.typeOnly) && dependencies.has(PackageUtils.getTypesPackageName(importName)))) {
                 continue;
             }
 
@@ -505,18 +497,29 @@ class AdvancedDependencyAnalyzer {
     }
 
     async checkOutdatedDependencies(dependencies) {
-        const batchSize = 5; // Check in batches to avoid overwhelming npm
+        const registry = new RegistryMetadata(this.projectPath, this.options);
+        await registry.initialize();
+
+        const batchSize = 5; // Check in batches to avoid overwhelming the registry
         const depArray = Array.from(dependencies.entries());
 
         for (let i = 0; i < depArray.length; i += batchSize) {
             const batch = depArray.slice(i, i + batchSize);
             const batchPromises = batch.map(async ([name, info]) => {
-                const latest = await PackageUtils.getLatestVersion(name);
-                if (latest && PackageUtils.isOutdated(info.version, latest)) {
+                // "lp": "npm:left-pad@^1.0.0" is published as left-pad
+                const packageName = VersionRange.aliasTarget(info.version) || name;
+                const metadata = await registry.get(packageName);
+                if (!metadata) return null;
+
+                const current = info.resolvedVersion || info.version;
+                const { latest, ...updates } = RegistryMetadata.resolveUpdates(metadata, VersionRange.clean(current) || VersionRange.minVersion(current), info.version);
+                if (latest && PackageUtils.isOutdated(current, latest)) {
                     return {
                         name,
-                        current: info.version,
+                        current,
+                        range: info.version,
                         latest,
+                        ...updates,
                         type: info.type,
                         category: info.category
                     };
@@ -528,6 +531,12 @@ class AdvancedDependencyAnalyzer {
             this.result.data.outdated.push(...results.filter(Boolean));
         }
 
+        try {
+            await registry.save();
+        } catch (error) {
+            registry.errors.push({ name: null, error: `Cannot write registry cache: ${error.message}` });
+        }
+        this.result.metadata.registry = registry.getSummary();
         this.result.data.summary.outdated = this.result.data.outdated.length;
     }
 
@@ -544,10 +553,11 @@ class AdvancedDependencyAnalyzer {
 
         for (const [name, info] of dependencies) {
             const vulnerableVersion = knownVulnerable[name];
-            if (vulnerableVersion && this.versionInRange(info.version, vulnerableVersion)) {
+            const version = info.resolvedVersion || info.version;
+            if (vulnerableVersion && this.versionInRange(version, vulnerableVersion)) {
                 this.result.data.vulnerable.push({
                     name,
-                    version: info.version,
+                    version,
                     severity: 'medium',
                     recommendation: `Upgrade to latest version`,
                     advisory: 'Known security vulnerability'
@@ -559,27 +569,9 @@ class AdvancedDependencyAnalyzer {
     }
 
     versionInRange(version, range) {
-        // Simplified version range check
-        // In practice, you'd use semver
-        try {
-            const cleanVersion = PackageUtils.cleanVersion(version);
-            return range.startsWith('<') && this.compareVersions(cleanVersion, range.substring(1)) < 0;
-        } catch {
-            return false;
-        }
-    }
-
-    compareVersions(v1, v2) {
-        // Simple version comparison
-        const parts1 = v1.split('.').map(Number);
-        const parts2 = v2.split('.').map(Number);
-
-        for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-            const p1 = parts1[i] || 0;
-            const p2 = parts2[i] || 0;
-            if (p1 !== p2) return p1 - p2;
-        }
-        return 0;
+        // Unresolved dependencies are checked at the lowest version their range allows
+        const checkedVersion = VersionRange.clean(version) || VersionRange.minVersion(version);
+        return Boolean(checkedVersion) && VersionRange.satisfies(checkedVersion, range, { includePrerelease: true });
     }
 
     calculateHealthScore() {
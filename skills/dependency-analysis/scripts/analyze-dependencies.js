@@ -10,6 +10,8 @@ const path = require('path');
 const { spawn } = require('child_process');
 const acorn = require('acorn');
 const walk = require('acorn-walk');
+const LockfileParser = require('./utils/lockfile-parser');
+const VersionRange = require('./utils/version-range');
 
 class DependencyAnalyzer {
     constructor(projectPath, options = {}) {
@@ -70,6 +72,14 @@ class DependencyAnalyzer {
             const dependencies = this.getDependencies(packageJson);
             this.result.data.summary.total = dependencies.size;
 
+            // Attach the versions the lockfile actually resolved
+            const lockfile = new LockfileParser(this.projectPath);
+            if (await lockfile.load()) {
+                for (const [name, info] of dependencies) {
+                    info.resolved = lockfile.getResolvedVersion(name);
+                }
+            }
+
             // Analyze source files to find imports
             await this.analyzeSourceFiles();
 
@@ -559,11 +569,12 @@ class DependencyAnalyzer {
         // This is a simplified implementation
         // In a real implementation, you might want to check npm registry
         for (const [depName, depInfo] of dependencies) {
-            if (this.isLikelyOutdated(depInfo.version)) {
+            const current = depInfo.resolved || depInfo.version;
+            if (this.isLikelyOutdated(current)) {
                 this.result.data.outdated.push({
                     name: depName,
-                    current: depInfo.version,
-                    latest: this.guessLatestVersion(depInfo.version),
+                    current,
+                    latest: this.guessLatestVersion(current),
                     type: depInfo.type
                 });
                 this.result.data.summary.outdated++;
@@ -573,13 +584,18 @@ class DependencyAnalyzer {
 
     isLikelyOutdated(version) {
         // Simple heuristic: versions with old major versions might be outdated
-        const majorVersion = parseInt(version.replace(/^[\^~<>=]/, ''));
+        const majorVersion = this.getMajorVersion(version);
         return majorVersion && majorVersion < 2;
     }
 
+    getMajorVersion(version) {
+        const minimum = VersionRange.clean(version) || VersionRange.minVersion(version);
+        return minimum ? parseInt(minimum.split('.')[0]) : 0;
+    }
+
     guessLatestVersion(currentVersion) {
         // This is a placeholder - real implementation would check npm registry
-        const majorVersion = parseInt(currentVersion.replace(/^[\^~<>=]/, ''));
+        const majorVersion = this.getMajorVersion(currentVersion);
         if (majorVersion && majorVersion < 2) {
             return `^${majorVersion + 1}.0.0`;
         }
@@ -599,7 +615,7 @@ class DependencyAnalyzer {
             if (knownVulnerable.includes(depName)) {
                 this.result.data.vulnerable.push({
                     name: depName,
-                    version: depInfo.version,
+                    version: depInfo.resolved || depInfo.version,
                     severity: 'medium',
                     recommendation: '升级到最新版本'
                 });
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const PackageUtils = require('../utils/package-utils');
+const PackageTarball = require('../utils/package-tarball');
+const Changelog = require('../utils/changelog');
+
+// Binding names that say nothing about which API is used
+const ANONYMOUS_SYMBOLS = new Set(['default', '*']);
+
+class BreakingChangeAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        this.tarballDir = options.tarballDir ? path.resolve(projectPath, options.tarballDir) : null;
+        this.useNpmCache = options.npmCache !== false;
+        this.installed = null;
+    }
+
+    initialize(graph, registry) {
+        // Copies in node_modules by package name; a nested copy can be newer than the direct one
+        this.installed = new Map();
+        for (const node of graph.packages.values()) {
+            if (!semver.valid(node.version)) continue;
+            if (!this.installed.has(node.name)) {
+                this.installed.set(node.name, new Map());
+            }
+            this.installed.get(node.name).set(node.version, node.path);
+        }
+
+        this.registry = registry;
+        this.npmCacheDir = this.useNpmCache ? PackageTarball.getNpmCacheDir(registry ? registry.npmrc : {}) : null;
+    }
+
+    async analyze(name, from, to, { versions = [], symbols = [] } = {}) {
+        // -> null when no changelog covering a version after `from` is available locally
+        if (!semver.valid(from) || !semver.valid(to)) {
+            return null;
+        }
+
+        const changelog = await this.findChangelog(name, from, to, versions);
+        if (!changelog) {
+            return null;
+        }
+
+        const used = this.getSymbolNames(name, symbols);
+        const releases = Changelog.between(Changelog.parse(changelog.content), from, changelog.version);
+        const entries = [];
+        for (const release of releases) {
+            for (const entry of release.entries) {
+                entries.push({
+                    version: release.version,
+                    kind: entry.kind,
+                    text: entry.text,
+                    symbols: used.filter(symbol => Changelog.mentions(entry.text, symbol))
+                });
+            }
+        }
+        const affectedSymbols = [...new Set(entries.flatMap(entry => entry.symbols))].sort();
+
+        return {
+            source: changelog.source,
+            file: changelog.file,
+            coveredVersion: changelog.version,
+            releases: releases.length,
+            entries,
+            affectedSymbols,
+            summary: this.summarize(changelog, releases, entries, affectedSymbols, from, to)
+        };
+    }
+
+    getSymbolNames(name, symbols) {
+        // Subpath imports ("lodash/debounce") are named by their last path segment
+        const names = new Set();
+        for (const symbol of symbols) {
+            if (!ANONYMOUS_SYMBOLS.has(symbol.name)) {
+                names.add(symbol.name);
+            } else if (symbol.from && symbol.from !== name) {
+                names.add(symbol.from.split('/').pop().replace(/\.[cm]?js$/, ''));
+            }
+        }
+        return [...names].filter(symbol => /^[\w$]+$/.test(symbol));
+    }
+
+    async findChangelog(name, from, to, versions) {
+        // The newest copy between `from` and `to` wins, since its changelog covers the most releases
+        const installed = this.installed ? this.installed.get(name) || new Map() : new Map();
+        const candidates = [...new Set([to, ...versions, ...installed.keys()])]
+            .filter(version => semver.valid(version) && semver.gt(version, from) && semver.lte(version, to))
+            .sort(semver.rcompare);
+
+        for (const version of candidates) {
+            if (installed.has(version)) {
+                const found = await this.readDirectory(installed.get(version));
+                if (found) {
+                    return { ...found, version, source: path.relative(this.projectPath, installed.get(version)) };
+                }
+            }
+
+            for (const tarball of await this.findTarballs(name, version)) {
+                const found = await this.readTarball(tarball.path);
+                if (found) {
+                    return { ...found, version, source: tarball.source };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async findTarballs(name, version) {
+        const tarballs = [];
+        if (this.tarballDir) {
+            const tarballPath = path.join(this.tarballDir, PackageTarball.fileName(name, version));
+            if (await PackageUtils.fileExists(tarballPath)) {
+                tarballs.push({ path: tarballPath, source: path.relative(this.projectPath, tarballPath) });
+            }
+        }
+        if (this.npmCacheDir) {
+            const registry = this.registry ? this.registry.getRegistry(name) : 'https://registry.npmjs.org/';
+            const cached = await PackageTarball.findInNpmCache(this.npmCacheDir, PackageTarball.tarballUrl(registry, name, version));
+            if (cached) {
+                tarballs.push({ path: cached, source: 'npm cache' });
+            }
+        }
+        return tarballs;
+    }
+
+    async readDirectory(packageDir) {
+        let names;
+        try {
+            names = (await fs.readdir(packageDir)).filter(file => Changelog.isChangelogFile(file));
+        } catch (error) {
+            return null;
+        }
+        const file = names.sort((a, b) => Changelog.rank(a) - Changelog.rank(b))[0];
+        return file ? { file, content: await fs.readFile(path.join(packageDir, file), 'utf-8') } : null;
+    }
+
+    async readTarball(tarballPath) {
+        let files;
+        try {
+            files = await PackageTarball.readFiles(tarballPath, file => Changelog.isChangelogFile(file));
+        } catch (error) {
+            // Truncated or not gzip; try the next source
+            return null;
+        }
+        const found = files.sort((a, b) => Changelog.rank(a.path) - Changelog.rank(b.path))[0];
+        return found ? { file: found.path, content: found.content } : null;
+    }
+
+    summarize(changelog, releases, entries, affectedSymbols, from, to) {
+        if (releases.length === 0) {
+            return `${changelog.file} lists no releases between ${from} and ${changelog.version}`;
+        }
+
+        const counts = ['breaking', 'removed', 'deprecated']
+            .map(kind => [kind, entries.filter(entry => entry.kind === kind).length])
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${count} ${kind}`);
+        let summary = counts.length > 0
+            ? `${counts.join(', ')} in ${releases.length} release${releases.length === 1 ? '' : 's'}`
+            : `No breaking, removed or deprecated entries in ${releases.length} release${releases.length === 1 ? '' : 's'}`;
+        if (affectedSymbols.length > 0) {
+            summary += `; touches ${affectedSymbols.length} API${affectedSymbols.length === 1 ? '' : 's'} you use: ${affectedSymbols.join(', ')}`;
+        }
+        if (semver.lt(changelog.version, to)) {
+            summary += ` (changelog only covers up to ${changelog.version})`;
+        }
+        return summary;
+    }
+}
+
+module.exports = BreakingChangeAnalyzer;
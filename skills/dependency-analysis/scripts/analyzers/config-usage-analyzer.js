@@ -0,0 +1,480 @@
+const fs = require('fs').promises;
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const yaml = require('js-yaml');
+const PackageUtils = require('../utils/package-utils');
+
+const CONFIG_FILES = [
+    'webpack.config.js', 'webpack.config.ts', 'webpack.config.mjs', 'webpack.config.cjs',
+    'vite.config.js', 'vite.config.ts', 'vite.config.mjs',
+    'rollup.config.js', 'rollup.config.ts', 'rollup.config.mjs',
+    '.babelrc', '.babelrc.json', '.babelrc.js', 'babel.config.js', 'babel.config.json', 'babel.config.cjs',
+    'tsconfig.json', 'tsconfig.build.json',
+    '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml',
+    'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs',
+    '.prettierrc', '.prettierrc.json', '.prettierrc.yml', '.prettierrc.yaml', '.prettierrc.js', '.prettierrc.cjs',
+    'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs',
+    '.stylelintrc', '.stylelintrc.json', '.stylelintrc.yml', '.stylelintrc.js', 'stylelint.config.js',
+    'tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.cjs',
+    'postcss.config.js', 'postcss.config.cjs', 'postcss.config.mjs', '.postcssrc', '.postcssrc.json', '.postcssrc.yml',
+    'jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json',
+    'vitest.config.js', 'vitest.config.ts', 'vitest.config.mjs',
+    '.mocharc', '.mocharc.json', '.mocharc.yml', '.mocharc.yaml', '.mocharc.js',
+    'commitlint.config.js', '.commitlintrc', '.commitlintrc.json', '.commitlintrc.yml',
+    '.lintstagedrc', '.lintstagedrc.json', 'lint-staged.config.js',
+    'nodemon.json', 'nyc.config.js', '.nycrc', '.nycrc.json'
+];
+
+// Config blocks that tools read straight out of package.json
+const PACKAGE_JSON_CONFIGS = {
+    eslintConfig: 'eslint',
+    babel: 'babel',
+    prettier: 'prettier',
+    jest: 'jest',
+    postcss: 'postcss',
+    stylelint: 'stylelint',
+    mocha: 'mocha',
+    commitlint: 'commitlint',
+    'lint-staged': 'lint-staged',
+    nyc: 'nyc'
+};
+
+// Shorthand prefixes each tool adds to the names listed under a config key
+const NAMING_CONVENTIONS = {
+    eslint: { plugins: 'eslint-plugin', extends: 'eslint-config' },
+    babel: { presets: 'babel-preset', plugins: 'babel-plugin' },
+    prettier: { plugins: 'prettier-plugin' },
+    jest: { testEnvironment: 'jest-environment', runner: 'jest-runner' },
+    typescript: { types: '@types' }
+};
+
+// Config keys whose string values (or array items) name packages; any other string is an ordinary
+// option value, such as webpack's devtool: 'source-map'
+const PACKAGE_KEYS = new Set([
+    'plugins', 'plugin', 'presets', 'preset', 'extends', 'parser', 'customSyntax', 'syntax', 'processors',
+    'transform', 'testEnvironment', 'runner', 'testRunner', 'reporters', 'reporter', 'resolver', 'testSequencer',
+    'setupFiles', 'setupFilesAfterEnv', 'snapshotSerializers', 'watchPlugins', 'globalSetup', 'globalTeardown',
+    'moduleNameMapper', 'require', 'loader', 'loaders', 'use', 'types', 'jsxImportSource', 'formatter'
+]);
+
+// Keys whose object value maps patterns to packages: jest's transform: { "^.+\\.tsx?$": "ts-jest" }
+const PACKAGE_MAP_KEYS = new Set(['transform', 'moduleNameMapper', 'loaders']);
+
+// Commands that run another command given as their arguments
+const COMMAND_WRAPPERS = ['npx', 'bunx', 'pnpx', 'cross-env', 'env', 'dotenv', 'env-cmd', 'nodemon', 'time', 'nice'];
+
+// Node/runner flags whose value is a module to preload
+const PRELOAD_FLAGS = ['-r', '--require', '--loader', '--experimental-loader', '--import'];
+
+class ConfigUsageAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+    }
+
+    async analyze(packageJson, dependencyNames) {
+        const configFiles = new Map();
+        const scripts = new Map();
+        const addUsage = (usage, names, source) => {
+            for (const name of names) {
+                if (!usage.has(name)) {
+                    usage.set(name, []);
+                }
+                if (!usage.get(name).includes(source)) {
+                    usage.get(name).push(source);
+                }
+            }
+        };
+
+        for (const file of CONFIG_FILES) {
+            const references = await this.scanConfigFile(path.join(this.projectPath, file));
+            if (references) {
+                addUsage(configFiles, references, file);
+            }
+        }
+
+        for (const [key, tool] of Object.entries(PACKAGE_JSON_CONFIGS)) {
+            if (packageJson[key] === undefined) continue;
+            const references = new Set();
+            this.collectReferences(tool, packageJson[key], null, references);
+            addUsage(configFiles, references, `package.json#${key}`);
+        }
+
+        const bins = await this.buildBinMap(dependencyNames);
+        for (const [scriptName, command] of Object.entries(packageJson.scripts || {})) {
+            addUsage(scripts, this.getScriptPackages(command, bins), scriptName);
+        }
+
+        return { configFiles, scripts };
+    }
+
+    async scanConfigFile(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            return null;
+        }
+
+        const fileName = path.basename(filePath);
+        const tool = this.detectTool(fileName);
+        const references = new Set();
+
+        if (/\.(c|m)?(j|t)s$/.test(fileName)) {
+            this.scanScriptConfig(tool, content, references);
+        } else {
+            const config = this.parseDataConfig(content);
+            if (config !== undefined) {
+                this.collectReferences(tool, config, null, references);
+            }
+        }
+
+        return references;
+    }
+
+    detectTool(fileName) {
+        if (fileName.includes('eslint')) return 'eslint';
+        if (fileName.includes('babel')) return 'babel';
+        if (fileName.includes('prettier')) return 'prettier';
+        if (fileName.includes('jest')) return 'jest';
+        if (fileName.startsWith('tsconfig')) return 'typescript';
+        return 'generic';
+    }
+
+    parseDataConfig(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            // Not strict JSON: tsconfig-style comments or a YAML rc file
+        }
+
+        try {
+            return PackageUtils.parseJsonc(content);
+        } catch (error) {
+            // Fall through to YAML
+        }
+
+        try {
+            return yaml.load(content);
+        } catch (error) {
+            // Unreadable config, nothing to learn from it
+            return undefined;
+        }
+    }
+
+    scanScriptConfig(tool, content, references) {
+        let ast;
+        try {
+            ast = acorn.parse(content, {
+                sourceType: 'module',
+                ecmaVersion: 'latest',
+                allowHashBang: true,
+                allowReturnOutsideFunction: true
+            });
+        } catch (error) {
+            // TypeScript or other syntax acorn cannot read: fall back to import/require specifiers
+            // and string literals under package-naming keys
+            const specifier = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire(?:\.resolve)?\s*\(\s*)(['"`])([^'"`\s]+)\1/g;
+            const property = /\b([A-Za-z]+)\s*:\s*(\[[^\]]*\]|(['"`])[^'"`]*\3)/g;
+            let match;
+            while ((match = specifier.exec(content)) !== null) {
+                this.addSpecifier(match[2], references);
+            }
+            while ((match = property.exec(content)) !== null) {
+                const literals = match[2].match(/(['"`])[^'"`]*\1/g) || [];
+                literals.forEach(literal => this.collectReferences(tool, literal.slice(1, -1), match[1], references));
+            }
+            return;
+        }
+
+        walk.full(ast, node => {
+            if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' ||
+                (node.type === 'ExportNamedDeclaration' && node.source)) {
+                this.addSpecifier(node.source.value, references);
+            } else if (node.type === 'ImportExpression' && node.source.type === 'Literal') {
+                this.addSpecifier(node.source.value, references);
+            } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+                ['require', 'resolve'].includes(node.callee.name) &&
+                node.arguments[0] && node.arguments[0].type === 'Literal') {
+                this.addSpecifier(node.arguments[0].value, references);
+            } else if (node.type === 'ObjectExpression') {
+                this.collectReferences(tool, this.toStaticValue(node), null, references);
+            }
+        });
+    }
+
+    toStaticValue(node) {
+        // Evaluates literal object/array trees; anything computed becomes undefined
+        if (!node) return undefined;
+
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+            case 'TemplateLiteral':
+                return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+            case 'ArrayExpression':
+                return node.elements.map(element => this.toStaticValue(element));
+            case 'ObjectExpression': {
+                const value = {};
+                for (const property of node.properties) {
+                    if (property.type !== 'Property' || property.computed) continue;
+                    const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+                    // Keep unknown values so that keys such as postcss plugin names survive
+                    const propertyValue = this.toStaticValue(property.value);
+                    value[key] = propertyValue === undefined ? null : propertyValue;
+                }
+                return value;
+            }
+            case 'CallExpression':
+                // require('plugin')(options) and definePlugin('name') style wrappers
+                return node.arguments.length > 0 ? this.toStaticValue(node.arguments[0]) : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    collectReferences(tool, value, key, references) {
+        if (typeof value === 'string') {
+            if (!PACKAGE_KEYS.has(key)) {
+                return;
+            }
+            const prefix = (NAMING_CONVENTIONS[tool] || {})[key];
+            if (prefix) {
+                this.expandShorthand(value, prefix).forEach(name => references.add(name));
+            }
+            this.addSpecifier(value, references);
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            // Babel and ESLint accept [name, options] tuples, so array items inherit the key
+            value.forEach(item => this.collectReferences(tool, item, key, references));
+            return;
+        }
+
+        if (!value || typeof value !== 'object') {
+            return;
+        }
+
+        for (const [childKey, childValue] of Object.entries(value)) {
+            if (childKey === 'plugins' && childValue && typeof childValue === 'object' && !Array.isArray(childValue)) {
+                // postcss: { plugins: { autoprefixer: {} } }; flat ESLint config: { plugins: { react } }
+                Object.keys(childValue).forEach(name => {
+                    const prefix = (NAMING_CONVENTIONS[tool] || {}).plugins;
+                    if (prefix) {
+                        this.expandShorthand(name, prefix).forEach(candidate => references.add(candidate));
+                    }
+                    this.addSpecifier(name, references);
+                });
+            }
+
+            if (tool === 'eslint' && childKey === 'rules' && childValue && typeof childValue === 'object') {
+                // "react/jsx-key" and "@typescript-eslint/no-unused-vars" name their plugin
+                for (const rule of Object.keys(childValue)) {
+                    if (rule.includes('/')) {
+                        this.expandShorthand(rule.slice(0, rule.lastIndexOf('/')), 'eslint-plugin')
+                            .forEach(name => references.add(name));
+                    }
+                }
+                continue;
+            }
+
+            // Keys under env/overrides blocks keep the tool conventions of their parent; values of a
+            // pattern map and tsconfig's plugins: [{ "name": "next" }] name packages under their parent's key
+            const inherited = PACKAGE_MAP_KEYS.has(key) || (key === 'plugins' && childKey === 'name');
+            this.collectReferences(tool, childValue, inherited ? key : childKey, references);
+        }
+    }
+
+    expandShorthand(name, prefix) {
+        if (name.startsWith('module:')) {
+            // Babel's escape hatch for packages that do not follow its naming
+            return [this.getPackageName(name.slice('module:'.length))];
+        }
+
+        if (name.startsWith('plugin:')) {
+            // ESLint "plugin:react/recommended" extends a config shipped by eslint-plugin-react
+            const pluginName = name.slice('plugin:'.length);
+            return this.expandShorthand(pluginName.slice(0, pluginName.lastIndexOf('/')), 'eslint-plugin');
+        }
+
+        if (name.startsWith('.') || name.startsWith('/') || name.includes(':')) {
+            return [];
+        }
+
+        if (prefix === '@types') {
+            const typesName = name.startsWith('@') ? name.slice(1).replace('/', '__') : name;
+            return [`@types/${typesName}`];
+        }
+
+        if (name.startsWith('@')) {
+            const [scope, rest] = name.split('/');
+            if (!rest) {
+                return [`${scope}/${prefix}`];
+            }
+            // @babel/env -> @babel/preset-env; @scope/foo -> @scope/eslint-plugin-foo
+            const shortPrefix = prefix.replace(/^[^-]+-/, '');
+            if (rest.startsWith(prefix) || rest.startsWith(`${shortPrefix}-`)) {
+                return [`${scope}/${rest}`];
+            }
+            return [`${scope}/${prefix}-${rest}`, `${scope}/${shortPrefix}-${rest}`];
+        }
+
+        const packageName = name.split('/')[0];
+        return packageName.startsWith(`${prefix}-`) ? [packageName] : [`${prefix}-${packageName}`];
+    }
+
+    addSpecifier(specifier, references) {
+        if (typeof specifier !== 'string' || !specifier || /\s/.test(specifier)) return;
+        if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.includes(':')) return;
+        references.add(this.getPackageName(specifier));
+    }
+
+    async buildBinMap(dependencyNames) {
+        // bin name -> packages that provide it, read from each installed package's bin field
+        const bins = new Map();
+        const addBin = (binName, packageName) => {
+            if (!bins.has(binName)) {
+                bins.set(binName, []);
+            }
+            bins.get(binName).push(packageName);
+        };
+
+        for (const name of dependencyNames) {
+            const packageDir = await PackageUtils.resolvePackageDir(name, this.projectPath);
+            let packageJson = null;
+            if (packageDir) {
+                try {
+                    packageJson = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+                } catch (error) {
+                    // Unreadable manifest, fall back to the package name below
+                }
+            }
+
+            if (packageJson && typeof packageJson.bin === 'string') {
+                addBin(name.split('/').pop(), name);
+            } else if (packageJson && packageJson.bin && typeof packageJson.bin === 'object') {
+                Object.keys(packageJson.bin).forEach(binName => addBin(binName, name));
+            } else if (!packageJson) {
+                // Not installed: most CLIs are invoked by their package name
+                addBin(name.split('/').pop(), name);
+            }
+        }
+
+        return bins;
+    }
+
+    getScriptPackages(command, bins) {
+        const packages = new Set();
+
+        for (const segment of this.splitCommands(command)) {
+            const tokens = this.tokenize(segment);
+            let index = 0;
+
+            while (index < tokens.length) {
+                const token = tokens[index];
+
+                // Leading VAR=value assignments
+                if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(token)) {
+                    index++;
+                    continue;
+                }
+
+                if (PRELOAD_FLAGS.includes(token) && tokens[index + 1]) {
+                    this.addSpecifier(tokens[index + 1], packages);
+                    index += 2;
+                    continue;
+                }
+
+                // Options of a wrapper command such as "npx --yes"
+                if (index > 0 && token.startsWith('-')) {
+                    index++;
+                    continue;
+                }
+
+                const binName = path.basename(token);
+                (bins.get(binName) || []).forEach(name => packages.add(name));
+
+                if (COMMAND_WRAPPERS.includes(binName) || ['exec', 'dlx', '--'].includes(token)) {
+                    index++;
+                    continue;
+                }
+
+                if (['yarn', 'pnpm', 'bun', 'npm'].includes(binName)) {
+                    // "yarn eslint ." runs a bin, "npm run build" runs another script
+                    const next = tokens[index + 1];
+                    if (next && !['run', 'run-script', 'install', 'ci', 'test'].includes(next)) {
+                        index++;
+                        continue;
+                    }
+                    break;
+                }
+
+                // Later tokens are arguments; only preload flags and quoted sub-commands matter
+                for (let argIndex = index + 1; argIndex < tokens.length; argIndex++) {
+                    const arg = tokens[argIndex];
+                    if (arg === '--') {
+                        // "dotenv -e .env -- jest" hands the rest to another command
+                        this.getScriptPackages(tokens.slice(argIndex + 1).join(' '), bins)
+                            .forEach(name => packages.add(name));
+                        break;
+                    } else if (PRELOAD_FLAGS.includes(arg) && tokens[argIndex + 1]) {
+                        this.addSpecifier(tokens[argIndex + 1], packages);
+                    } else if (/^--(require|loader|import)=/.test(arg)) {
+                        this.addSpecifier(arg.slice(arg.indexOf('=') + 1), packages);
+                    } else if (/\s/.test(arg)) {
+                        // concurrently "tsc -w" "nodemon dist" and friends
+                        this.getScriptPackages(arg, bins).forEach(name => packages.add(name));
+                    }
+                }
+                break;
+            }
+        }
+
+        return packages;
+    }
+
+    splitCommands(command) {
+        // Split on &&, ||, ;, | and & outside of quotes
+        const segments = [];
+        let current = '';
+        let quote = null;
+
+        for (let i = 0; i < command.length; i++) {
+            const char = command[i];
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+                current += char;
+            } else if (char === ';' || char === '|' || char === '&') {
+                segments.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        segments.push(current);
+        return segments.map(segment => segment.trim()).filter(Boolean);
+    }
+
+    tokenize(segment) {
+        const tokens = [];
+        const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(segment)) !== null) {
+            tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+        }
+        return tokens;
+    }
+
+    getPackageName(specifier) {
+        const parts = specifier.split('/');
+        return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+}
+
+module.exports = ConfigUsageAnalyzer;
@@ -0,0 +1,446 @@
+const fs = require('fs').promises;
+const path = require('path');
+const GlobPattern = require('../utils/glob-pattern');
+
+// FrameworkDetector belongs to the architecture-analysis skill, which ships alongside this one
+const FRAMEWORK_DETECTOR_PATH = path.join(__dirname, '..', '..', '..', 'architecture-analysis', 'scripts', 'detectors', 'framework-detector.js');
+
+// Files a framework loads by convention rather than through an import, keyed by FrameworkDetector's
+// metaFramework (or framework name when there is none)
+const FRAMEWORK_ENTRIES = {
+    next: [
+        '{src/,}pages/**',
+        '{src/,}app/**/{page,layout,template,loading,error,global-error,not-found,default,route,opengraph-image,twitter-image,icon,apple-icon,sitemap,robots,manifest}.*',
+        '{src/,}{middleware,instrumentation}.*'
+    ],
+    nuxt: [
+        '{app/,}{pages,layouts,middleware,plugins,components,composables,utils}/**',
+        'server/**',
+        '{app/,}{app,error}.vue',
+        'app.config.*'
+    ],
+    sveltekit: ['src/routes/**', 'src/hooks{,.server,.client}.*', 'src/params/**', 'src/service-worker{.*,/**}'],
+    remix: ['app/root.*', 'app/routes/**', 'app/entry.{client,server}.*'],
+    gatsby: ['src/pages/**', 'src/templates/**', 'src/api/**', 'gatsby-{browser,node,ssr,config}.*'],
+    angular: ['src/main.*', 'src/polyfills.*'],
+    // Single-page apps of any UI framework
+    default: ['{src/,}{main,index}.*']
+};
+
+// Astro hosts the UI frameworks FrameworkDetector knows about rather than being one of them
+const ASTRO_ENTRIES = ['src/pages/**', 'src/content{/config,.config}.*', 'src/middleware.*'];
+
+// Loaded by test runners, Storybook, the TypeScript compiler and tool configs
+const TOOL_ENTRIES = [
+    '*.{test,spec}.*', '**/__tests__/**', '**/__mocks__/**', '*.stories.*', '*.d.ts',
+    '*.config.*', '.*rc.*', 'setupTests.*', 'jest.setup.*', 'vitest.setup.*'
+];
+
+// Build output directories package.json entries usually point into
+const BUILD_DIRECTORIES = new Set(['dist', 'lib', 'build', 'out', 'esm', 'cjs', 'es', 'umd']);
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// A file whose every export counts as used
+const ALL = '*';
+
+class DeadCodeAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        // User entry globs: --entry="src/cli.ts,scripts/*.js" or an array in JSON options
+        this.entryPatterns = typeof options.entry === 'string'
+            ? options.entry.split(',').map(pattern => pattern.trim()).filter(Boolean)
+            : options.entry || [];
+    }
+
+    async analyze({ sourceFiles, graph, packageJson, importAnalyzer }) {
+        // graph: file -> [{ file, type, bindings }] from EnhancedDependencyAnalyzer.buildDependencyGraph
+        this.importAnalyzer = importAnalyzer;
+        const entryPoints = await this.collectEntryPoints(sourceFiles, packageJson);
+
+        // Without a single entry point every file would look dead
+        if (entryPoints.size === 0) {
+            return { entryPoints: [], unusedFiles: [], unusedExports: [] };
+        }
+
+        const reachable = this.findReachable(entryPoints, graph);
+        const unusedFiles = sourceFiles
+            .filter(file => !reachable.has(file))
+            .map(file => ({ file: this.relative(file), severity: 'low' }))
+            .sort((a, b) => a.file.localeCompare(b.file));
+
+        return {
+            entryPoints: Array.from(entryPoints, ([file, source]) => ({ file: this.relative(file), source }))
+                .sort((a, b) => a.file.localeCompare(b.file)),
+            unusedFiles,
+            unusedExports: await this.findUnusedExports(reachable, entryPoints, graph)
+        };
+    }
+
+    async collectEntryPoints(sourceFiles, packageJson) {
+        const known = new Set(sourceFiles);
+        const entries = new Map();
+        const add = (file, source) => {
+            if (file && known.has(file) && !entries.has(file)) {
+                entries.set(file, source);
+            }
+        };
+        const addMatching = (patterns, source) => {
+            sourceFiles.filter(file => GlobPattern.matches(this.relative(file), patterns)).forEach(file => add(file, source));
+        };
+
+        for (const { field, target } of this.getManifestTargets(packageJson)) {
+            if (target.includes('*')) {
+                // "./features/*": "./src/features/*.js"
+                addMatching(target.replace(/^\.\//, '').replace(/\*/g, '**'), `package.json ${field}`);
+            } else {
+                add(this.findSourceFile(target, known), `package.json ${field}`);
+            }
+        }
+
+        for (const { name, patterns } of await this.getFrameworkConventions(packageJson)) {
+            addMatching(patterns, `framework:${name}`);
+        }
+
+        for (const file of await this.getHtmlScripts()) {
+            add(file, 'html');
+        }
+        for (const file of this.getPackageScriptFiles(packageJson)) {
+            add(file, 'package.json scripts');
+        }
+
+        addMatching(TOOL_ENTRIES, 'tooling');
+        if (this.entryPatterns.length > 0) {
+            addMatching(this.entryPatterns, 'config');
+        }
+
+        return entries;
+    }
+
+    getManifestTargets(packageJson) {
+        const targets = [];
+        const add = (field, target) => {
+            if (typeof target === 'string') {
+                targets.push({ field, target });
+            }
+        };
+
+        ['main', 'module', 'browser', 'source'].forEach(field => add(field, packageJson[field]));
+
+        if (typeof packageJson.bin === 'string') {
+            add('bin', packageJson.bin);
+        } else if (packageJson.bin && typeof packageJson.bin === 'object') {
+            Object.values(packageJson.bin).forEach(target => add('bin', target));
+        }
+
+        // Every target of every condition; the set of files matters, not which one a resolver picks
+        const collect = value => {
+            if (typeof value === 'string') {
+                add('exports', value);
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(collect);
+            }
+        };
+        collect(packageJson.exports);
+
+        return targets;
+    }
+
+    findSourceFile(target, known) {
+        // The target itself, or the source it is built from ("dist/esm/index.js" -> "src/index.ts")
+        const segments = target.replace(/^\.\//, '').split('/');
+        while (segments.length > 1 && BUILD_DIRECTORIES.has(segments[0])) {
+            segments.shift();
+        }
+        const stem = segments.join('/').replace(/(?:\.d)?\.[mc]?[jt]sx?$/, '');
+
+        for (const candidate of [target, path.join('src', stem), stem]) {
+            const file = this.importAnalyzer.findFile(path.resolve(this.projectPath, candidate));
+            if (file && known.has(file)) {
+                return file;
+            }
+        }
+        return null;
+    }
+
+    async getFrameworkConventions(packageJson) {
+        const conventions = [];
+
+        const detection = await this.detectFramework();
+        if (detection) {
+            const name = detection.metaFramework || detection.name;
+            conventions.push({ name, patterns: FRAMEWORK_ENTRIES[name] || FRAMEWORK_ENTRIES.default });
+        }
+
+        const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+        if (deps.astro) {
+            conventions.push({ name: 'astro', patterns: ASTRO_ENTRIES });
+        }
+
+        return conventions;
+    }
+
+    async detectFramework() {
+        let FrameworkDetector;
+        try {
+            FrameworkDetector = require(FRAMEWORK_DETECTOR_PATH);
+        } catch (error) {
+            // Installed without the architecture-analysis skill; package.json, tooling and user entries still apply
+            return null;
+        }
+        return new FrameworkDetector(this.projectPath).detect();
+    }
+
+    async getHtmlScripts() {
+        // Vite and other dev servers start from <script src> in index.html
+        const files = [];
+
+        for (const htmlPath of ['index.html', 'src/index.html', 'public/index.html'].map(file => path.join(this.projectPath, file))) {
+            let html;
+            try {
+                html = await fs.readFile(htmlPath, 'utf-8');
+            } catch (error) {
+                continue;
+            }
+
+            const scripts = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+            let match;
+            while ((match = scripts.exec(html)) !== null) {
+                const src = match[1];
+                if (/^(?:[a-z]+:)?\/\//i.test(src)) continue;
+
+                const base = src.startsWith('/') ? this.projectPath : path.dirname(htmlPath);
+                const file = this.importAnalyzer.findFile(path.join(base, src));
+                if (file) {
+                    files.push(file);
+                }
+            }
+        }
+
+        return files;
+    }
+
+    getPackageScriptFiles(packageJson) {
+        // "node scripts/build.js", "tsx src/cli.ts"
+        const files = [];
+
+        for (const command of Object.values(packageJson.scripts || {})) {
+            for (const token of String(command).split(/[\s;&|=]+/)) {
+                const candidate = token.replace(/^['"]|['"]$/g, '');
+                if (!/[/.]/.test(candidate) || candidate.startsWith('-') || /^(?:[a-z]+:)?\/\//i.test(candidate)) continue;
+
+                const file = this.importAnalyzer.findFile(path.resolve(this.projectPath, candidate));
+                if (file) {
+                    files.push(file);
+                }
+            }
+        }
+
+        return files;
+    }
+
+    findReachable(entryPoints, graph) {
+        const reachable = new Set(entryPoints.keys());
+        const queue = Array.from(reachable);
+
+        while (queue.length > 0) {
+            const file = queue.pop();
+            for (const edge of graph.get(file) || []) {
+                if (!reachable.has(edge.file)) {
+                    reachable.add(edge.file);
+                    queue.push(edge.file);
+                }
+            }
+        }
+
+        return reachable;
+    }
+
+    async findUnusedExports(reachable, entryPoints, graph) {
+        const exportsByFile = new Map();
+        for (const file of reachable) {
+            if (SCRIPT_EXTENSIONS.includes(path.extname(file))) {
+                exportsByFile.set(file, await this.extractExports(file));
+            }
+        }
+
+        const used = new Map();
+        const markUsed = (file, name) => {
+            if (!used.has(file)) {
+                used.set(file, new Set());
+            }
+            const names = used.get(file);
+            if (names.has(ALL) || names.has(name)) {
+                return false;
+            }
+            names.add(name);
+            return true;
+        };
+
+        // Entry points are public API: all of their exports are used
+        for (const file of entryPoints.keys()) {
+            markUsed(file, ALL);
+        }
+
+        // Re-exports only pass usage on once the re-exporting file's own export is used
+        const forwards = [];
+        for (const file of reachable) {
+            for (const edge of graph.get(file) || []) {
+                if (edge.type === 'export' && edge.bindings) {
+                    forwards.push({ from: file, to: edge.file, bindings: edge.bindings });
+                    continue;
+                }
+                // Style, asset and regex-extracted imports carry no bindings
+                const bindings = edge.bindings || [{ imported: ALL }];
+                for (const binding of bindings) {
+                    if (binding.imported !== ALL) {
+                        markUsed(edge.file, binding.imported);
+                    } else if (binding.members && binding.members.length > 0) {
+                        binding.members.forEach(member => markUsed(edge.file, member));
+                    } else {
+                        markUsed(edge.file, ALL);
+                    }
+                }
+            }
+        }
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const { from, to, bindings } of forwards) {
+                const usedFrom = used.get(from) || new Set();
+                const ownNames = exportsByFile.has(from) ? exportsByFile.get(from).names : new Set();
+
+                for (const binding of bindings) {
+                    if (binding.imported === ALL && !binding.exported) {
+                        // export * from './x' forwards every used name the file does not export itself
+                        const names = usedFrom.has(ALL) ? [ALL] : Array.from(usedFrom).filter(name => name !== 'default' && !ownNames.has(name));
+                        names.forEach(name => { changed = markUsed(to, name) || changed; });
+                    } else if (usedFrom.has(ALL) || usedFrom.has(binding.exported)) {
+                        changed = markUsed(to, binding.imported) || changed;
+                    }
+                }
+            }
+        }
+
+        const unusedExports = [];
+        for (const [file, fileExports] of exportsByFile) {
+            // CommonJS exports cannot be matched to named imports reliably
+            if (fileExports.commonJs) continue;
+
+            const usedNames = used.get(file) || new Set();
+            if (usedNames.has(ALL)) continue;
+
+            for (const exported of fileExports.exports) {
+                if (usedNames.has(exported.name)) continue;
+                unusedExports.push({
+                    file: this.relative(file),
+                    name: exported.name,
+                    line: exported.line,
+                    kind: exported.kind,
+                    severity: 'low'
+                });
+            }
+        }
+
+        return unusedExports.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    }
+
+    async extractExports(file) {
+        const result = { exports: [], names: new Set(), commonJs: false };
+        let ast;
+        try {
+            ast = this.importAnalyzer.parseModule(await fs.readFile(file, 'utf-8'), file);
+        } catch (error) {
+            // Unparseable files keep all their exports
+            result.commonJs = true;
+            return result;
+        }
+
+        const add = (name, node, kind) => {
+            if (!name || result.names.has(name)) return;
+            result.names.add(name);
+            result.exports.push({ name, line: node.loc ? node.loc.start.line : 0, kind });
+        };
+
+        for (const statement of ast.program.body) {
+            switch (statement.type) {
+                case 'ExportNamedDeclaration': {
+                    const declaration = statement.declaration;
+                    const declarationKind = statement.exportKind === 'type' ||
+                        (declaration && ['TSInterfaceDeclaration', 'TSTypeAliasDeclaration'].includes(declaration.type)) ? 'type' : 'value';
+
+                    if (declaration && declaration.type === 'VariableDeclaration') {
+                        declaration.declarations.forEach(d => this.getPatternNames(d.id).forEach(name => add(name, d, declarationKind)));
+                    } else if (declaration && declaration.id) {
+                        add(declaration.id.name, declaration, declarationKind);
+                    }
+
+                    for (const spec of statement.specifiers) {
+                        const kind = statement.exportKind === 'type' || spec.exportKind === 'type' ? 'type' : 'value';
+                        add(spec.exported.type === 'StringLiteral' ? spec.exported.value : spec.exported.name, spec, kind);
+                    }
+                    break;
+                }
+
+                case 'ExportDefaultDeclaration':
+                    add('default', statement, statement.declaration.type === 'TSInterfaceDeclaration' ? 'type' : 'value');
+                    break;
+
+                case 'ExportAllDeclaration':
+                    if (statement.exported) {
+                        add(statement.exported.name, statement, statement.exportKind === 'type' ? 'type' : 'value');
+                    }
+                    break;
+
+                case 'TSExportAssignment':
+                    result.commonJs = true;
+                    break;
+
+                case 'ExpressionStatement':
+                    if (this.isCommonJsExport(statement.expression)) {
+                        result.commonJs = true;
+                    }
+                    break;
+            }
+        }
+
+        return result;
+    }
+
+    getPatternNames(pattern) {
+        switch (pattern.type) {
+            case 'Identifier':
+                return [pattern.name];
+            case 'ObjectPattern':
+                return pattern.properties.flatMap(property =>
+                    this.getPatternNames(property.type === 'RestElement' ? property.argument : property.value));
+            case 'ArrayPattern':
+                return pattern.elements.filter(Boolean).flatMap(element => this.getPatternNames(element));
+            case 'AssignmentPattern':
+                return this.getPatternNames(pattern.left);
+            case 'RestElement':
+                return this.getPatternNames(pattern.argument);
+            default:
+                return [];
+        }
+    }
+
+    isCommonJsExport(expression) {
+        // module.exports = ..., exports.x = ..., module.exports.x = ...
+        if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') {
+            return false;
+        }
+        const target = expression.left;
+        const isModuleExports = node => node.type === 'MemberExpression' &&
+            node.object.name === 'module' && node.property.name === 'exports';
+        return isModuleExports(target) || target.object.name === 'exports' || isModuleExports(target.object);
+    }
+
+    relative(file) {
+        return path.relative(this.projectPath, file).split(path.sep).join('/');
+    }
+}
+
+module.exports = DeadCodeAnalyzer;
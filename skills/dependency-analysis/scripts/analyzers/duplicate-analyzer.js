@@ -0,0 +1,187 @@
+const semver = require('semver');
+const PackageUtils = require('../utils/package-utils');
+const DependencyGraph = require('../utils/dependency-graph');
+const VersionRange = require('../utils/version-range');
+
+class DuplicateAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        this.maxPaths = options.maxDuplicatePaths || 10;
+    }
+
+    async analyze(packageJson, lockfile = null) {
+        const installed = await PackageUtils.buildInstalledGraph(this.projectPath, packageJson);
+
+        // The lockfile knows every requested path; the installed tree knows what is on disk
+        const graph = lockfile && lockfile.type
+            ? { packages: lockfile.packages, importers: lockfile.importers, source: lockfile.type }
+            : { packages: installed.packages, importers: installed.importers, source: 'node_modules' };
+
+        const copies = this.groupInstalledCopies(installed.packages);
+        const reverseEdges = DependencyGraph.buildReverseEdges(graph);
+        const requests = this.collectRequests(graph, packageJson, this.collectInstalledRanges(installed.packages));
+        const duplicates = [];
+
+        for (const [name, nodes] of this.groupByName(graph.packages)) {
+            const versions = new Map();
+            for (const node of nodes) {
+                if (!versions.has(node.version)) {
+                    versions.set(node.version, []);
+                }
+                versions.get(node.version).push(node);
+            }
+
+            const installedCopies = copies.get(name) || new Map();
+            const copyCount = Array.from(installedCopies.values()).reduce((total, list) => total + list.length, 0);
+            if (versions.size < 2 && copyCount < 2) continue;
+
+            const entries = [];
+            for (const [version, versionNodes] of versions) {
+                const locations = installedCopies.get(version) || [];
+                const sizeBytes = locations.length > 0
+                    ? await PackageUtils.getPackageSize(locations[0])
+                    : 0;
+
+                entries.push({
+                    version,
+                    copies: Math.max(locations.length, 1),
+                    installed: locations.length > 0,
+                    sizeBytes,
+                    size: PackageUtils.formatSize(sizeBytes),
+                    paths: versionNodes
+                        .flatMap(node => DependencyGraph.findPaths(graph, reverseEdges, node.id, { maxPaths: this.maxPaths }))
+                        .slice(0, this.maxPaths),
+                    requestedBy: (requests.get(name) || []).filter(r => r.version === version)
+                });
+            }
+
+            entries.sort((a, b) => VersionRange.compare(b.version, a.version));
+
+            // pnpm lockfiles do not record transitive ranges; without all of them no verdict is possible
+            const requested = requests.get(name) || [];
+            const rangesKnown = requested.length > 0 && requested.every(r => VersionRange.isValid(r.range));
+            const ranges = rangesKnown ? requested.map(r => r.range) : [];
+            const dedupeTo = this.findSatisfyingVersion(entries.map(e => e.version), ranges);
+            const keep = dedupeTo || entries[0].version;
+            const wastedBytes = entries.reduce((total, entry) => {
+                const keptCopies = entry.version === keep ? 1 : 0;
+                return total + (entry.copies - keptCopies) * entry.sizeBytes;
+            }, 0);
+
+            let recommendation = `Requesting ranges of ${name} do not overlap; upgrade the packages pinning older versions`;
+            if (dedupeTo) {
+                recommendation = `All requesting ranges accept ${name}@${dedupeTo}; deduplicate to a single copy`;
+            } else if (!rangesKnown) {
+                recommendation = `Install dependencies to check whether one ${name} version satisfies every requester`;
+            }
+
+            duplicates.push({
+                type: 'version',
+                name,
+                versions: entries,
+                packages: entries.map(entry => ({ name, version: entry.version, size: entry.size })),
+                dedupeTo,
+                canDedupe: rangesKnown ? dedupeTo !== null : null,
+                wastedBytes,
+                wastedSize: PackageUtils.formatSize(wastedBytes),
+                recommendation,
+                impact: wastedBytes > 1024 * 1024 ? 'high' : 'medium'
+            });
+        }
+
+        duplicates.sort((a, b) => b.wastedBytes - a.wastedBytes);
+
+        return {
+            source: graph.source,
+            duplicates
+        };
+    }
+
+    groupByName(packages) {
+        const byName = new Map();
+        for (const node of packages.values()) {
+            if (!byName.has(node.name)) {
+                byName.set(node.name, []);
+            }
+            byName.get(node.name).push(node);
+        }
+        return byName;
+    }
+
+    groupInstalledCopies(packages) {
+        // name -> version -> real paths of every physical copy
+        const copies = new Map();
+        for (const node of packages.values()) {
+            if (!copies.has(node.name)) {
+                copies.set(node.name, new Map());
+            }
+            const versions = copies.get(node.name);
+            if (!versions.has(node.version)) {
+                versions.set(node.version, []);
+            }
+            versions.get(node.version).push(node.path);
+        }
+        return copies;
+    }
+
+    collectInstalledRanges(packages) {
+        // "requester@version>dependency" -> range declared in the requester's package.json
+        const ranges = new Map();
+        for (const node of packages.values()) {
+            for (const edge of node.dependencies) {
+                ranges.set(`${node.name}@${node.version}>${edge.name}`, edge.range);
+            }
+        }
+        return ranges;
+    }
+
+    collectRequests(graph, packageJson, installedRanges) {
+        // name -> [{ by, range, version }] for every edge that pulls the package in
+        const requests = new Map();
+        const addRequest = (edge, by) => {
+            const target = graph.packages.get(edge.id);
+            if (!target) return;
+
+            if (!requests.has(target.name)) {
+                requests.set(target.name, []);
+            }
+            requests.get(target.name).push({
+                by,
+                range: edge.range || installedRanges.get(`${by}>${edge.name}`) || null,
+                version: target.version
+            });
+        };
+
+        for (const node of graph.packages.values()) {
+            for (const edge of node.dependencies) {
+                addRequest(edge, `${node.name}@${node.version}`);
+            }
+        }
+
+        for (const [importer, entry] of graph.importers) {
+            const by = importer === '.' ? (packageJson.name || 'root') : importer;
+            for (const edge of entry.dependencies) {
+                addRequest(edge, by);
+            }
+        }
+
+        return requests;
+    }
+
+    findSatisfyingVersion(versions, ranges) {
+        if (ranges.length === 0) {
+            return null;
+        }
+
+        const candidates = versions
+            .filter(version => semver.valid(version))
+            .sort(semver.rcompare);
+
+        return candidates.find(version =>
+            ranges.every(range => VersionRange.satisfies(version, range, { includePrerelease: true }))
+        ) || null;
+    }
+}
+
+module.exports = DuplicateAnalyzer;
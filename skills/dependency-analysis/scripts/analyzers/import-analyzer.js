@@ -1,17 +1,86 @@
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const acorn = require('acorn');
-const walk = require('acorn-walk');
+const babelParser = require('@babel/parser');
+const ConfigEvaluator = require('../utils/config-evaluator');
+const PackageUtils = require('../utils/package-utils');
+const PackageExports = require('../utils/package-exports');
+const SfcBlocks = require('../utils/sfc-blocks');
+
+// Position and comment bookkeeping on Babel nodes; never contains imports
+const AST_SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Nodes whose identifiers never reference a local binding: import/export-from declarations and closing JSX tags
+const MEMBER_ACCESS_SKIPPED_TYPES = new Set(['ImportDeclaration', 'ExportAllDeclaration', 'JSXClosingElement']);
+
+// Parent node type -> child keys where an identifier is a name rather than a reference (unless computed)
+const NON_REFERENCE_KEYS = {
+    MemberExpression: ['property'],
+    OptionalMemberExpression: ['property'],
+    JSXMemberExpression: ['property'],
+    TSQualifiedName: ['right'],
+    ObjectProperty: ['key'],
+    ObjectMethod: ['key'],
+    ClassProperty: ['key'],
+    ClassAccessorProperty: ['key'],
+    ClassMethod: ['key'],
+    TSDeclareMethod: ['key'],
+    TSPropertySignature: ['key'],
+    TSMethodSignature: ['key', 'parameters'],
+    TSFunctionType: ['parameters'],
+    TSConstructorType: ['parameters'],
+    TSCallSignatureDeclaration: ['parameters'],
+    TSConstructSignatureDeclaration: ['parameters'],
+    TSIndexSignature: ['parameters'],
+    TSEnumMember: ['id'],
+    TSEnumDeclaration: ['id'],
+    TSInterfaceDeclaration: ['id'],
+    TSTypeAliasDeclaration: ['id'],
+    TSModuleDeclaration: ['id'],
+    ExportSpecifier: ['exported'],
+    PrivateName: ['id'],
+    MetaProperty: ['meta', 'property'],
+    LabeledStatement: ['label'],
+    BreakStatement: ['label'],
+    ContinueStatement: ['label'],
+    JSXAttribute: ['name'],
+    JSXNamespacedName: ['namespace', 'name']
+};
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+    'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod', 'TSDeclareFunction', 'TSDeclareMethod'
+]);
+
+const CONFIG_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts'];
+
+// A moduleNameMapper key that names a single specifier ("^@app/config$") rather than a family of them
+const JEST_LITERAL_PATTERN = /^\^?(?:[^\\^$.*+?()[\]{}|]|\\\W)+\$?$/;
+
+const STYLE_EXTENSIONS = ['.scss', '.sass', '.css', '.less'];
+
+// Element attributes whose URLs a Vue template compiles into imports
+const TEMPLATE_ASSET_ATTRIBUTES = {
+    img: ['src', 'srcset'],
+    video: ['src', 'poster'],
+    source: ['src', 'srcset'],
+    image: ['xlink:href', 'href'],
+    use: ['xlink:href', 'href']
+};
 
 class ImportAnalyzer {
     constructor(projectPath, options = {}) {
         this.projectPath = projectPath;
         this.options = options;
         this.tsConfig = null;
-        this.aliases = {};
+        this.packageJson = null;
+        this.aliases = [];
+        // Extra export conditions the build enables, e.g. "browser" or "development"
+        this.conditions = typeof options.conditions === 'string'
+            ? options.conditions.split(',').map(condition => condition.trim()).filter(Boolean)
+            : options.conditions || [];
         this.importMap = new Map();
-        this.fileExtensions = options.fileExtensions || ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte'];
+        this.fileExtensions = options.fileExtensions || ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro', '.mdx'];
         this.builtinModules = new Set([
             'assert', 'buffer', 'child_process', 'cluster', 'console', 'constants',
             'crypto', 'dgram', 'dns', 'domain', 'events', 'fs', 'http', 'https',
@@ -22,6 +91,8 @@ class ImportAnalyzer {
     }
 
     async initialize() {
+        // Own package.json for "#imports" and self-references
+        this.packageJson = await this.readJson(path.join(this.projectPath, 'package.json'));
         // Load TypeScript configuration if available
         await this.loadTsConfig();
         // Load build tool configurations for aliases
@@ -41,7 +112,9 @@ class ImportAnalyzer {
                     file: filePath,
                     line: imp.line,
                     type: imp.type,
-                    dynamic: imp.dynamic
+                    dynamic: imp.dynamic,
+                    typeOnly: imp.typeOnly,
+                    bindings: imp.bindings
                 });
             });
         }
@@ -51,7 +124,14 @@ class ImportAnalyzer {
 
     async analyzeFile(filePath) {
         try {
-            const content = await fsPromises.readFile(filePath, 'utf-8');
+            return await this.analyzeContent(await fsPromises.readFile(filePath, 'utf-8'), filePath);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async analyzeContent(content, filePath) {
+        try {
             const imports = [];
 
             // Handle different file types
@@ -59,6 +139,10 @@ class ImportAnalyzer {
                 imports.push(...await this.extractVueImports(content, filePath));
             } else if (filePath.endsWith('.svelte')) {
                 imports.push(...await this.extractSvelteImports(content, filePath));
+            } else if (filePath.endsWith('.astro')) {
+                imports.push(...await this.extractAstroImports(content, filePath));
+            } else if (filePath.endsWith('.mdx')) {
+                imports.push(...await this.extractMdxImports(content, filePath));
             } else if (filePath.endsWith('.css') || filePath.endsWith('.scss') || filePath.endsWith('.sass')) {
                 imports.push(...this.extractStyleImports(content, filePath));
             } else {
@@ -66,111 +150,212 @@ class ImportAnalyzer {
                 imports.push(...await this.extractJsTsImports(content, filePath));
             }
 
-            return imports;
+            return imports.map(imp => this.mapSubpathImport(imp));
         } catch (error) {
             return [];
         }
     }
 
+    getConfigSignature() {
+        // Everything besides file content that shapes extraction results; keys the incremental cache
+        return JSON.stringify({
+            tsConfig: this.tsConfig,
+            aliases: this.aliases,
+            imports: this.packageJson ? this.packageJson.imports : null,
+            conditions: this.conditions,
+            fileExtensions: this.fileExtensions
+        }, (key, value) => value instanceof RegExp ? value.toString() : value);
+    }
+
+    mapSubpathImport(imp) {
+        // "#dep": "some-package" makes the import a dependency on that package
+        if (!imp.module.startsWith('#')) {
+            return imp;
+        }
+
+        const target = PackageExports.resolveImports(this.packageJson, imp.module, this.getConditions(imp));
+        if (!target || target.startsWith('./')) {
+            return imp;
+        }
+        return { ...imp, module: target, specifier: imp.module };
+    }
+
+    getConditions(usage = null) {
+        // Conditions Node enables for this kind of import; "default" always matches
+        let conditions = ['import', 'require'];
+        if (usage && ['require', 'require-resolve', 'import-equals'].includes(usage.type)) {
+            conditions = ['require'];
+        } else if (usage) {
+            conditions = ['import'];
+        }
+
+        return [...conditions, 'node', ...(usage && usage.typeOnly ? ['types'] : []), ...this.conditions];
+    }
+
     async extractJsTsImports(content, filePath) {
         const imports = [];
-        const isTS = filePath.endsWith('.ts') || filePath.endsWith('.tsx');
 
         try {
-            const parserOptions = {
-                sourceType: 'module',
-                ecmaVersion: 'latest',
-                allowHashBang: true,
-                allowReturnOutsideFunction: true,
-                plugins: isTS ? ['typescript'] : []
+            const ast = this.parseModule(content, filePath);
+
+            const add = (module, type, node, extra = {}) => {
+                imports.push({
+                    module,
+                    type,
+                    line: node.loc ? node.loc.start.line : 0,
+                    dynamic: false,
+                    typeOnly: false,
+                    ...extra
+                });
             };
 
-            const ast = acorn.parse(content, parserOptions);
+            // "import { type A, type B }" is erased just like "import type { A, B }"
+            const allTypeSpecifiers = specifiers => specifiers.length > 0 &&
+                specifiers.every(spec => spec.importKind === 'type' || spec.exportKind === 'type');
 
-            walk.simple(ast, {
-                ImportDeclaration(node) {
-                    imports.push({
-                        module: node.source.value,
-                        type: 'import',
-                        line: node.loc?.start?.line || 0,
-                        dynamic: false
-                    });
-                },
-                ExportNamedDeclaration(node) {
-                    if (node.source) {
-                        imports.push({
-                            module: node.source.value,
-                            type: 'export',
-                            line: node.loc?.start?.line || 0,
-                            dynamic: false
-                        });
+            // require()/import() calls get their bindings from the surrounding code, which the walk visits first
+            const callBindings = new Map();
+            // declaring identifier -> its default or namespace binding, to narrow by the properties read from it
+            const declarations = new Map();
+
+            this.walkAst(ast.program, node => {
+                switch (node.type) {
+                    case 'ImportDeclaration': {
+                        const typeOnly = node.importKind === 'type' || node.importKind === 'typeof' ||
+                            allTypeSpecifiers(node.specifiers);
+                        const bindings = node.specifiers.map(spec => ({
+                            imported: spec.type === 'ImportDefaultSpecifier' ? 'default'
+                                : spec.type === 'ImportNamespaceSpecifier' ? '*'
+                                : this.getModuleExportName(spec.imported),
+                            local: spec.local.name,
+                            typeOnly: typeOnly || spec.importKind === 'type' || spec.importKind === 'typeof'
+                        }));
+                        node.specifiers.forEach((spec, index) => declarations.set(spec.local, bindings[index]));
+                        add(node.source.value, 'import', node, { typeOnly, bindings });
+                        break;
                     }
-                },
-                ExportAllDeclaration(node) {
-                    imports.push({
-                        module: node.source.value,
-                        type: 'export',
-                        line: node.loc?.start?.line || 0,
-                        dynamic: false
-                    });
-                },
-                CallExpression(node) {
-                    // Dynamic imports
-                    if (node.callee.type === 'Import') {
-                        const arg = node.arguments[0];
-                        if (arg.type === 'Literal' && typeof arg.value === 'string') {
-                            imports.push({
-                                module: arg.value,
-                                type: 'dynamic-import',
-                                line: node.loc?.start?.line || 0,
-                                dynamic: true
+
+                    case 'ExportNamedDeclaration':
+                        if (node.source) {
+                            const typeOnly = node.exportKind === 'type' || allTypeSpecifiers(node.specifiers);
+                            add(node.source.value, 'export', node, {
+                                typeOnly,
+                                bindings: node.specifiers.map(spec => ({
+                                    imported: spec.type === 'ExportNamespaceSpecifier' ? '*'
+                                        : spec.type === 'ExportDefaultSpecifier' ? 'default'
+                                        : this.getModuleExportName(spec.local),
+                                    local: null,
+                                    exported: this.getModuleExportName(spec.exported),
+                                    typeOnly: typeOnly || spec.exportKind === 'type'
+                                }))
                             });
                         }
+                        break;
+
+                    case 'ExportAllDeclaration': {
+                        const typeOnly = node.exportKind === 'type';
+                        add(node.source.value, 'export', node, {
+                            typeOnly,
+                            // "export * as ns" is parsed as a named export; a bare "export *" re-exports every name
+                            bindings: [{ imported: '*', local: null, exported: null, typeOnly }]
+                        });
+                        break;
                     }
 
-                    // require() calls
-                    if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
-                        node.arguments.length > 0) {
-                        const arg = node.arguments[0];
-                        if (arg.type === 'Literal' && typeof arg.value === 'string') {
-                            imports.push({
-                                module: arg.value,
-                                type: 'require',
-                                line: node.loc?.start?.line || 0,
-                                dynamic: false
+                    case 'TSImportEqualsDeclaration':
+                        // import x = require('x')
+                        if (node.moduleReference.type === 'TSExternalModuleReference') {
+                            const typeOnly = node.importKind === 'type';
+                            const binding = { imported: '*', local: node.id.name, typeOnly };
+                            declarations.set(node.id, binding);
+                            add(node.moduleReference.expression.value, 'import-equals', node, {
+                                typeOnly,
+                                bindings: [binding]
                             });
                         }
-                    }
+                        break;
 
-                    // require.resolve()
-                    if (node.callee.type === 'MemberExpression' &&
-                        node.callee.object?.name === 'require' &&
-                        node.callee.property?.name === 'resolve' &&
-                        node.arguments.length > 0) {
-                        const arg = node.arguments[0];
-                        if (arg.type === 'Literal' && typeof arg.value === 'string') {
-                            imports.push({
-                                module: arg.value,
-                                type: 'require-resolve',
-                                line: node.loc?.start?.line || 0,
-                                dynamic: false
+                    case 'TSImportType': {
+                        // typeof import('x') and import('x').Foo in type positions
+                        const argument = node.argument.type === 'TSLiteralType' ? node.argument.literal : node.argument;
+                        if (argument.type === 'StringLiteral') {
+                            let qualifier = node.qualifier;
+                            while (qualifier && qualifier.type === 'TSQualifiedName') {
+                                qualifier = qualifier.left;
+                            }
+                            add(argument.value, 'type-query', node, {
+                                typeOnly: true,
+                                bindings: [{ imported: qualifier ? qualifier.name : '*', local: null, typeOnly: true }]
                             });
                         }
+                        break;
                     }
-                },
-                ImportExpression(node) {
-                    // ES2020 dynamic import
-                    const source = node.source;
-                    if (source.type === 'Literal') {
-                        imports.push({
-                            module: source.value,
-                            type: 'dynamic-import',
-                            line: node.loc?.start?.line || 0,
-                            dynamic: true
-                        });
+
+                    case 'VariableDeclarator': {
+                        // const { a, b: c } = require('x') / await import('x'); an un-awaited import() binds a promise
+                        const call = this.getModuleCall(node.init);
+                        const isRequire = call && call.type === 'CallExpression' && call.callee.type === 'Identifier';
+                        if (call && (isRequire || node.init.type === 'AwaitExpression')) {
+                            const bindings = this.getPatternBindings(node.id);
+                            if (node.id.type === 'Identifier') {
+                                declarations.set(node.id, bindings[0]);
+                            }
+                            callBindings.set(call, bindings);
+                        }
+                        break;
+                    }
+
+                    case 'ExpressionStatement': {
+                        // require('./polyfill') for its side effects binds nothing
+                        const call = this.getModuleCall(node.expression);
+                        if (call) {
+                            callBindings.set(call, []);
+                        }
+                        break;
+                    }
+
+                    case 'MemberExpression':
+                    case 'OptionalMemberExpression':
+                    case 'JSXMemberExpression': {
+                        const property = this.getPropertyName(node);
+                        if (property === null) break;
+
+                        // require('x').y
+                        const call = this.getModuleCall(node.object);
+                        if (call && !callBindings.has(call)) {
+                            callBindings.set(call, [{ imported: property, local: null, typeOnly: false }]);
+                        }
+                        break;
+                    }
+
+                    case 'ImportExpression': {
+                        const specifier = this.getStaticString(node.source);
+                        if (specifier !== null) {
+                            add(specifier, 'dynamic-import', node, { dynamic: true, bindings: this.getCallBindings(callBindings, node) });
+                        }
+                        break;
+                    }
+
+                    case 'CallExpression': {
+                        const specifier = node.arguments.length > 0 ? this.getStaticString(node.arguments[0]) : null;
+                        if (specifier === null) break;
+
+                        if (node.callee.type === 'Import') {
+                            add(specifier, 'dynamic-import', node, { dynamic: true, bindings: this.getCallBindings(callBindings, node) });
+                        } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+                            add(specifier, 'require', node, { bindings: this.getCallBindings(callBindings, node) });
+                        } else if (node.callee.type === 'MemberExpression' &&
+                            node.callee.object.name === 'require' &&
+                            node.callee.property.name === 'resolve') {
+                            add(specifier, 'require-resolve', node, { bindings: [] });
+                        }
+                        break;
                     }
                 }
             });
+
+            this.attachMemberAccess(ast.program, declarations);
+            imports.push(...this.extractTripleSlashReferences(ast.comments || []));
         } catch (error) {
             // Fallback to regex extraction for complex cases
             imports.push(...this.extractImportsWithRegex(content));
@@ -179,97 +364,650 @@ class ImportAnalyzer {
         return imports;
     }
 
+    parseModule(content, filePath) {
+        // Lenient enough for scripts, modules and half-written files alike
+        return babelParser.parse(content, {
+            sourceType: 'module',
+            allowHashBang: true,
+            allowReturnOutsideFunction: true,
+            allowImportExportEverywhere: true,
+            allowAwaitOutsideFunction: true,
+            allowUndeclaredExports: true,
+            errorRecovery: true,
+            plugins: this.getParserPlugins(filePath)
+        });
+    }
+
+    getParserPlugins(filePath) {
+        const extension = path.extname(filePath);
+
+        if (extension === '.tsx') {
+            return ['typescript', 'jsx', 'decorators-legacy'];
+        }
+        if (['.ts', '.mts', '.cts'].includes(extension)) {
+            return ['typescript', 'decorators-legacy'];
+        }
+        if (extension === '.vue' || extension === '.svelte') {
+            // Component scripts may be TypeScript; its grammar accepts plain JS as well
+            return ['typescript', 'decorators-legacy'];
+        }
+        return ['jsx', 'decorators-legacy'];
+    }
+
+    walkAst(root, visit) {
+        // Generic traversal so TypeScript and JSX nodes need no per-type walker
+        const stack = [root];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            visit(node);
+
+            for (const key of Object.keys(node)) {
+                if (AST_SKIPPED_KEYS.has(key)) continue;
+
+                const value = node[key];
+                if (Array.isArray(value)) {
+                    for (let i = value.length - 1; i >= 0; i--) {
+                        if (value[i] && typeof value[i].type === 'string') {
+                            stack.push(value[i]);
+                        }
+                    }
+                } else if (value && typeof value.type === 'string') {
+                    stack.push(value);
+                }
+            }
+        }
+    }
+
+    getStaticString(node) {
+        if (node.type === 'StringLiteral') {
+            return node.value;
+        }
+        if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+            return node.quasis[0].value.cooked;
+        }
+        return null;
+    }
+
+    getModuleExportName(node) {
+        // import { "string name" as x } is valid ES2022
+        return node.type === 'StringLiteral' ? node.value : node.name;
+    }
+
+    getModuleCall(node) {
+        // The require()/import() call behind an initializer, if any
+        let current = node;
+        while (current && ['AwaitExpression', 'TSAsExpression', 'TSNonNullExpression', 'ParenthesizedExpression'].includes(current.type)) {
+            current = current.type === 'AwaitExpression' ? current.argument : current.expression;
+        }
+        if (!current) {
+            return null;
+        }
+        if (current.type === 'ImportExpression') {
+            return current;
+        }
+        if (current.type === 'CallExpression' &&
+            (current.callee.type === 'Import' || (current.callee.type === 'Identifier' && current.callee.name === 'require'))) {
+            return current;
+        }
+        return null;
+    }
+
+    getCallBindings(callBindings, node) {
+        // A call whose result is passed around or stored whole uses the entire module
+        return callBindings.get(node) || [{ imported: '*', local: null, typeOnly: false }];
+    }
+
+    getPatternBindings(pattern) {
+        if (pattern.type === 'Identifier') {
+            return [{ imported: '*', local: pattern.name, typeOnly: false }];
+        }
+        if (pattern.type !== 'ObjectPattern') {
+            return [{ imported: '*', local: null, typeOnly: false }];
+        }
+
+        return pattern.properties.map(property => {
+            if (property.type === 'RestElement') {
+                return { imported: '*', local: property.argument.name || null, typeOnly: false };
+            }
+            const imported = property.computed ? null
+                : property.key.type === 'StringLiteral' ? property.key.value : property.key.name;
+            const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+            return {
+                imported: imported || '*',
+                local: value.type === 'Identifier' ? value.name : null,
+                typeOnly: false
+            };
+        });
+    }
+
+    getPropertyName(node) {
+        if (node.type === 'JSXMemberExpression') {
+            return node.property.name;
+        }
+        if (!node.computed) {
+            return node.property.type === 'Identifier' ? node.property.name : null;
+        }
+        return node.property.type === 'StringLiteral' ? node.property.value : null;
+    }
+
+    attachMemberAccess(root, declarations) {
+        // "import _ from 'lodash'; _.debounce()" uses debounce, not the whole default export, but only while
+        // every reference to the binding reads a named property; "use(_)" or "_[key]" uses all of it
+        for (const [node, binding] of declarations) {
+            if (binding.imported !== '*' && binding.imported !== 'default') {
+                declarations.delete(node);
+            }
+        }
+        if (declarations.size === 0) {
+            return;
+        }
+
+        const access = this.collectMemberAccess(root, declarations);
+        for (const [node, binding] of declarations) {
+            const members = access.get(node);
+            if (members) {
+                binding.members = Array.from(members).sort();
+            }
+        }
+    }
+
+    collectMemberAccess(root, declarations) {
+        // declaring identifier -> properties read through it, or null once it is used any other way.
+        // References are resolved through the enclosing scopes, so a parameter or variable of the same
+        // name ("function g(R) { R.x }") is not a use of the import.
+        const access = new Map();
+        const stack = [{ node: root, parent: null, key: null, scope: null }];
+
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            const { node, parent, key } = entry;
+            if (MEMBER_ACCESS_SKIPPED_TYPES.has(node.type) || (node.type === 'ExportNamedDeclaration' && node.source)) {
+                continue;
+            }
+
+            const declared = this.getScopeDeclarations(node);
+            const scope = declared ? { names: declared, parent: entry.scope } : entry.scope;
+
+            if ((node.type === 'Identifier' || node.type === 'JSXIdentifier') && this.isReference(node, parent, key)) {
+                const declaration = this.findDeclaration(scope, node.name);
+                if (declaration !== node && declarations.has(declaration) && access.get(declaration) !== null) {
+                    const member = this.getAccessedMember(parent, key);
+                    if (member === null) {
+                        access.set(declaration, null);
+                    } else {
+                        if (!access.has(declaration)) {
+                            access.set(declaration, new Set());
+                        }
+                        access.get(declaration).add(member);
+                    }
+                }
+            }
+
+            for (const childKey of Object.keys(node)) {
+                if (AST_SKIPPED_KEYS.has(childKey)) continue;
+
+                const value = node[childKey];
+                for (const child of Array.isArray(value) ? value : [value]) {
+                    if (child && typeof child.type === 'string') {
+                        stack.push({ node: child, parent: node, key: childKey, scope });
+                    }
+                }
+            }
+        }
+
+        return access;
+    }
+
+    isReference(node, parent, key) {
+        // Property names, labels and declared type names share the Identifier node type
+        if (!parent) {
+            return false;
+        }
+        const keys = NON_REFERENCE_KEYS[parent.type];
+        if (keys && keys.includes(key) && !parent.computed) {
+            return false;
+        }
+        // <div> is an intrinsic element, <Foo> a reference
+        return !(parent.type === 'JSXOpeningElement' && /^[a-z]/.test(node.name));
+    }
+
+    getAccessedMember(parent, key) {
+        // The property a reference reads ("R.x", "<R.X>", "R.X" in a type), or null for any other use
+        if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && key === 'object') {
+            return this.getPropertyName(parent);
+        }
+        if (parent.type === 'JSXMemberExpression' && key === 'object') {
+            return parent.property.name;
+        }
+        if (parent.type === 'TSQualifiedName' && key === 'left') {
+            return parent.right.name;
+        }
+        return null;
+    }
+
+    findDeclaration(scope, name) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) {
+                return current.names.get(name);
+            }
+        }
+        return null;
+    }
+
+    getScopeDeclarations(node) {
+        // Names a scope-creating node declares, mapped to their declaring identifiers; var and
+        // function parameters belong to the function, let/const/class to the nearest block
+        const names = new Map();
+        const declare = pattern => this.getPatternIdentifiers(pattern).forEach(id => names.set(id.name, id));
+        const declareLexical = statements => this.getLexicalDeclarations(statements).forEach(declare);
+
+        if (FUNCTION_TYPES.has(node.type)) {
+            if (node.type === 'FunctionExpression' && node.id) {
+                declare(node.id);
+            }
+            node.params.forEach(declare);
+            if (node.body && node.body.type === 'BlockStatement') {
+                this.getVarDeclarations(node.body.body).forEach(declare);
+            }
+        } else if (node.type === 'Program') {
+            this.getVarDeclarations(node.body).forEach(declare);
+            declareLexical(node.body);
+        } else if (node.type === 'BlockStatement' || node.type === 'StaticBlock') {
+            declareLexical(node.body);
+        } else if (node.type === 'SwitchStatement') {
+            declareLexical(node.cases.flatMap(switchCase => switchCase.consequent));
+        } else if (node.type === 'ForStatement' || node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+            const head = node.type === 'ForStatement' ? node.init : node.left;
+            if (head && head.type === 'VariableDeclaration' && head.kind !== 'var') {
+                head.declarations.forEach(declarator => declare(declarator.id));
+            }
+        } else if (node.type === 'CatchClause') {
+            declare(node.param);
+        } else if (node.type === 'ClassExpression' && node.id) {
+            declare(node.id);
+        } else {
+            return null;
+        }
+
+        return names.size > 0 ? names : null;
+    }
+
+    getLexicalDeclarations(statements) {
+        // Patterns declared directly in a statement list by let/const/class/function and imports
+        const patterns = [];
+
+        for (const statement of statements) {
+            const node = (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') &&
+                statement.declaration ? statement.declaration : statement;
+
+            if (node.type === 'ImportDeclaration') {
+                patterns.push(...node.specifiers.map(spec => spec.local));
+            } else if (node.type === 'TSImportEqualsDeclaration') {
+                patterns.push(node.id);
+            } else if (node.type === 'VariableDeclaration' && node.kind !== 'var') {
+                patterns.push(...node.declarations.map(declarator => declarator.id));
+            } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+                patterns.push(node.id);
+            }
+        }
+
+        return patterns;
+    }
+
+    getVarDeclarations(statements) {
+        // var declarations anywhere in a function body are hoisted to it; nested functions have their own
+        const patterns = [];
+        const stack = [...statements];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (FUNCTION_TYPES.has(node.type)) continue;
+
+            if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+                patterns.push(...node.declarations.map(declarator => declarator.id));
+            }
+
+            for (const key of Object.keys(node)) {
+                if (AST_SKIPPED_KEYS.has(key)) continue;
+
+                const value = node[key];
+                for (const child of Array.isArray(value) ? value : [value]) {
+                    if (child && typeof child.type === 'string') {
+                        stack.push(child);
+                    }
+                }
+            }
+        }
+
+        return patterns;
+    }
+
+    getPatternIdentifiers(pattern) {
+        // Every identifier a binding pattern declares: "{ a, b: [c, ...d] = [] }" -> a, c, d
+        if (!pattern) {
+            return [];
+        }
+        switch (pattern.type) {
+            case 'Identifier':
+                return [pattern];
+            case 'ObjectPattern':
+                return pattern.properties.flatMap(property =>
+                    this.getPatternIdentifiers(property.type === 'RestElement' ? property.argument : property.value));
+            case 'ArrayPattern':
+                return pattern.elements.flatMap(element => this.getPatternIdentifiers(element));
+            case 'AssignmentPattern':
+                return this.getPatternIdentifiers(pattern.left);
+            case 'RestElement':
+                return this.getPatternIdentifiers(pattern.argument);
+            case 'TSParameterProperty':
+                return this.getPatternIdentifiers(pattern.parameter);
+            default:
+                return [];
+        }
+    }
+
+    extractTripleSlashReferences(comments) {
+        const imports = [];
+
+        for (const comment of comments) {
+            if (comment.type !== 'CommentLine') continue;
+
+            // /// <reference types="node" /> and /// <reference path="./globals.d.ts" />; lib= names are compiler built-ins
+            const match = comment.value.match(/^\/\s*<reference\s+(types|path)\s*=\s*['"]([^'"]+)['"]/);
+            if (!match) continue;
+
+            const [, kind, target] = match;
+            imports.push({
+                module: kind === 'path' && !target.startsWith('.') && !path.isAbsolute(target) ? `./${target}` : target,
+                type: `reference-${kind}`,
+                line: comment.loc ? comment.loc.start.line : 0,
+                dynamic: false,
+                typeOnly: true,
+                bindings: []
+            });
+        }
+
+        return imports;
+    }
+
     async extractVueImports(content, filePath) {
         const imports = [];
 
-        // Extract script section
-        const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/);
-        if (scriptMatch) {
-            const scriptContent = scriptMatch[1];
-            imports.push(...await this.extractJsTsImports(scriptContent, filePath));
-        }
-
-        // Extract template imports (e.g., dynamic components)
-        const templateMatch = content.match(/<template[^>]*>([\s\S]*?)<\/template>/);
-        if (templateMatch) {
-            const templateContent = templateMatch[1];
-            // Look for dynamic component imports
-            const dynamicImportMatch = templateContent.match(/import\s*\(\s*['"`]([^'"`]+)['"`]/g);
-            if (dynamicImportMatch) {
-                dynamicImportMatch.forEach(match => {
-                    const importMatch = match.match(/import\s*\(\s*['"`]([^'"`]+)['"`]/);
-                    if (importMatch) {
-                        imports.push({
-                            module: importMatch[1],
-                            type: 'template-dynamic-import',
-                            line: 0,
-                            dynamic: true
-                        });
-                    }
+        // Every top-level block: <script> and <script setup> both count, as do any number of <style> blocks
+        for (const block of SfcBlocks.split(content)) {
+            if (typeof block.attributes.src === 'string') {
+                // <script src>, <style src>, <template src> and custom blocks load another module
+                imports.push({
+                    module: block.attributes.src,
+                    type: 'sfc-src',
+                    line: block.line,
+                    dynamic: false,
+                    typeOnly: false
                 });
+                continue;
+            }
+
+            if (block.type === 'template' && (!block.attributes.lang || block.attributes.lang === 'html')) {
+                imports.push(...this.extractTemplateImports(block.content).map(imp => ({ ...imp, line: imp.line + block.line - 1 })));
+            } else {
+                imports.push(...await this.extractBlockImports(block, filePath));
             }
         }
 
-        // Extract style imports
-        const styleMatches = content.match(/<style[^>]*>([\s\S]*?)<\/style>/g);
-        if (styleMatches) {
-            styleMatches.forEach(styleSection => {
-                imports.push(...this.extractStyleImports(styleSection, filePath));
-            });
+        return imports;
+    }
+
+    async extractBlockImports(block, filePath, defaultLang = null) {
+        // Script and style blocks of a component, with lines moved to where the block sits in the file
+        let imports = [];
+        if (block.type === 'script') {
+            imports = await this.extractJsTsImports(block.content, this.getBlockParserPath(filePath, block.attributes.lang || defaultLang));
+        } else if (block.type === 'style') {
+            imports = this.extractStyleImports(block.content, filePath);
         }
+        return imports.map(imp => ({ ...imp, line: imp.line > 0 ? imp.line + block.line - 1 : 0 }));
+    }
+
+    getBlockParserPath(filePath, lang) {
+        // lang="ts" / "tsx" / "jsx" picks the grammar; otherwise the component's own extension decides
+        return ['ts', 'tsx', 'jsx'].includes(lang) ? `${filePath}.${lang}` : filePath;
+    }
+
+    extractTemplateImports(template) {
+        const imports = [];
+
+        // Asset URLs the Vue compiler turns into imports (its default transformAssetUrls)
+        const assetTags = /<(img|video|source|image|use)\b([^>]*)>/gi;
+        let match;
+        while ((match = assetTags.exec(template)) !== null) {
+            const attributes = SfcBlocks.parseAttributes(match[2]);
+            const line = SfcBlocks.lineAt(template, match.index);
+
+            for (const name of TEMPLATE_ASSET_ATTRIBUTES[match[1].toLowerCase()]) {
+                if (typeof attributes[name] !== 'string') continue;
+
+                const urls = name === 'srcset'
+                    ? attributes[name].split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                    : [attributes[name].trim()];
+
+                for (const url of urls) {
+                    // Only "./", "~" and "@" URLs are module requests; absolute and remote URLs stay as they are
+                    if (!/^[.~@]/.test(url)) continue;
 
+                    imports.push({
+                        module: url.startsWith('~') ? url.slice(1) : url,
+                        type: 'template-asset',
+                        line,
+                        dynamic: false,
+                        typeOnly: false
+                    });
+                }
+            }
+        }
+
+        imports.push(...this.extractMarkupDynamicImports(template));
+        return imports;
+    }
+
+    extractMarkupDynamicImports(markup) {
+        // Dynamic component imports in template expressions
+        const imports = [];
+        const dynamicImports = /import\s*\(\s*['"`]([^'"`]+)['"`]/g;
+        let match;
+        while ((match = dynamicImports.exec(markup)) !== null) {
+            imports.push({
+                module: match[1],
+                type: 'template-dynamic-import',
+                line: SfcBlocks.lineAt(markup, match.index),
+                dynamic: true,
+                typeOnly: false
+            });
+        }
         return imports;
     }
 
     async extractSvelteImports(content, filePath) {
         const imports = [];
 
-        // Svelte uses regular script tags
-        const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/);
-        if (scriptMatch) {
-            imports.push(...await this.extractJsTsImports(scriptMatch[1], filePath));
+        // <script context="module"> (<script module> in Svelte 5), the instance <script> and <style>; markup may sit between them
+        const blocks = SfcBlocks.split(content, ['script', 'style']);
+        for (const block of blocks) {
+            imports.push(...await this.extractBlockImports(block, filePath));
         }
+        imports.push(...this.extractMarkupDynamicImports(SfcBlocks.mask(content, blocks)));
 
-        // Extract style imports
-        const styleMatch = content.match(/<style[^>]*>([\s\S]*?)<\/style>/);
-        if (styleMatch) {
-            imports.push(...this.extractStyleImports(styleMatch[1], filePath));
+        return imports;
+    }
+
+    async extractAstroImports(content, filePath) {
+        const imports = [];
+        const frontmatterBlocks = [];
+
+        // The component script is TypeScript between the leading --- fences
+        const frontmatter = content.match(/^(\s*---[^\S\r\n]*\r?\n)([\s\S]*?)\r?\n---/);
+        if (frontmatter) {
+            const block = {
+                type: 'script',
+                attributes: { lang: 'ts' },
+                content: frontmatter[2],
+                line: SfcBlocks.lineAt(content, frontmatter[1].length),
+                offset: frontmatter[1].length
+            };
+            frontmatterBlocks.push(block);
+            imports.push(...await this.extractBlockImports(block, filePath));
         }
 
-        return imports;
+        // <script> tags are bundled by Astro unless is:inline; <style> may import stylesheets
+        const markup = SfcBlocks.mask(content, frontmatterBlocks);
+        const blocks = SfcBlocks.split(markup, ['script', 'style']);
+        for (const block of blocks) {
+            if (block.attributes['is:inline']) continue;
+
+            const src = block.attributes.src;
+            if (typeof src === 'string') {
+                if (!/^(?:[a-z]+:)?\/\//i.test(src)) {
+                    imports.push({ module: src, type: 'sfc-src', line: block.line, dynamic: false, typeOnly: false });
+                }
+                continue;
+            }
+            imports.push(...await this.extractBlockImports(block, filePath, 'ts'));
+        }
+
+        const template = SfcBlocks.mask(markup, blocks);
+        imports.push(...this.extractMarkupDynamicImports(template));
+        return this.markHydratedImports(imports, template);
+    }
+
+    async extractMdxImports(content, filePath) {
+        // ESM lives in top-level paragraphs starting with import/export; everything else is blanked so lines stay put
+        let fence = null;
+        let inEsm = false;
+        const esm = [];
+        const markup = [];
+
+        for (const line of content.split('\n')) {
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                    fence = null;
+                }
+            } else if (fenceMatch) {
+                fence = fenceMatch[1];
+                inEsm = false;
+            } else if (/^(?:import|export)\b/.test(line)) {
+                inEsm = true;
+            } else if (line.trim() === '') {
+                inEsm = false;
+            }
+
+            esm.push(inEsm ? line : '');
+            markup.push(inEsm || fence ? '' : line);
+        }
+
+        const imports = await this.extractJsTsImports(esm.join('\n'), filePath);
+        return this.markHydratedImports(imports, markup.join('\n'));
+    }
+
+    markHydratedImports(imports, markup) {
+        // <Counter client:visible /> ships the imported component to the browser; the directive goes on its import
+        const directives = new Map();
+        const hydratedTags = /<([A-Za-z_$][\w$]*)[\w$.]*\s[^>]*?\bclient:([a-z]+)/g;
+        let match;
+        while ((match = hydratedTags.exec(markup)) !== null) {
+            if (!directives.has(match[1])) {
+                directives.set(match[1], match[2]);
+            }
+        }
+        if (directives.size === 0) {
+            return imports;
+        }
+
+        return imports.map(imp => {
+            const binding = imp.type === 'import' && (imp.bindings || []).find(b => directives.has(b.local));
+            return binding ? { ...imp, hydration: directives.get(binding.local) } : imp;
+        });
     }
 
     extractStyleImports(content, filePath) {
         const imports = [];
         const lines = content.split('\n');
+        const add = (specifier, type, line) => {
+            const module = this.normalizeStyleSpecifier(specifier, filePath);
+            if (module) {
+                // The specifier as written, for resolveCachedImports
+                imports.push({ module, styleSpecifier: specifier, type, line, dynamic: false, typeOnly: false });
+            }
+        };
 
         lines.forEach((line, index) => {
-            // CSS @import
-            const cssImportMatch = line.match(/@import\s+(?:url\s*\(\s*)?['"`]([^'"`]+)['"`]/);
+            // CSS/Sass/Less @import, which may list several stylesheets: @import 'a', 'b';
+            const cssImportMatch = line.match(/@import\s+([^;]+)/);
             if (cssImportMatch) {
-                imports.push({
-                    module: cssImportMatch[1],
-                    type: 'css-import',
-                    line: index + 1,
-                    dynamic: false
-                });
+                const specifiers = /url\s*\(\s*['"`]?([^'"`)\s]+)['"`]?\s*\)|['"`]([^'"`]+)['"`]/g;
+                let match;
+                while ((match = specifiers.exec(cssImportMatch[1])) !== null) {
+                    add(match[1] || match[2], 'css-import', index + 1);
+                }
             }
 
             // SCSS @use and @forward
             const scssUseMatch = line.match(/@(use|forward)\s+['"`]([^'"`]+)['"`]/);
             if (scssUseMatch) {
-                imports.push({
-                    module: scssUseMatch[2],
-                    type: `scss-${scssUseMatch[1]}`,
-                    line: index + 1,
-                    dynamic: false
-                });
+                add(scssUseMatch[2], `scss-${scssUseMatch[1]}`, index + 1);
             }
         });
 
         return imports;
     }
 
+    resolveCachedImports(imports, filePath) {
+        // Whether a bare stylesheet specifier names a sibling file depends on which files exist,
+        // not on the content the cache is keyed by, so it is decided again on every run
+        return imports.map(imp => (imp.styleSpecifier
+            ? { ...imp, module: this.normalizeStyleSpecifier(imp.styleSpecifier, filePath) }
+            : imp));
+    }
+
+    normalizeStyleSpecifier(specifier, filePath) {
+        // Remote stylesheets and Sass built-in modules ("sass:math") are not dependencies
+        if (/^(?:[a-z]+:)?\/\//i.test(specifier) || /^(?:sass|data):/.test(specifier)) {
+            return null;
+        }
+        // webpack's "~" prefix means node_modules
+        if (specifier.startsWith('~')) {
+            return specifier.slice(1);
+        }
+        if (specifier.startsWith('.') || path.isAbsolute(specifier) || this.isAlias(specifier)) {
+            return specifier;
+        }
+
+        // CSS and Sass try a bare path next to the stylesheet before load paths and node_modules
+        return this.findStyleFile(path.resolve(path.dirname(filePath), specifier)) ? `./${specifier}` : specifier;
+    }
+
+    findStyleFile(resolved) {
+        // Sass partials ("_variables.scss") and index files, plus plain CSS and Less
+        const directory = path.dirname(resolved);
+        const base = path.basename(resolved);
+        const candidates = [];
+
+        for (const extension of ['', ...STYLE_EXTENSIONS]) {
+            candidates.push(path.join(directory, base + extension), path.join(directory, `_${base}${extension}`));
+        }
+        for (const extension of STYLE_EXTENSIONS) {
+            candidates.push(path.join(resolved, `index${extension}`), path.join(resolved, `_index${extension}`));
+        }
+
+        return candidates.some(candidate => {
+            try {
+                return fs.statSync(candidate).isFile();
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
     extractImportsWithRegex(content) {
         const imports = [];
         const lines = content.split('\n');
@@ -283,6 +1021,9 @@ class ImportAnalyzer {
         ];
 
         lines.forEach((line, index) => {
+            // "import type" / "export type" are erased at compile time
+            const typeOnly = /^\s*(import|export)\s+type\s+[{*\w]/.test(line);
+
             patterns.forEach(({ regex, type }) => {
                 const match = line.match(regex);
                 if (match) {
@@ -290,7 +1031,8 @@ class ImportAnalyzer {
                         module: match[1],
                         type,
                         line: index + 1,
-                        dynamic: type.includes('dynamic')
+                        dynamic: type.includes('dynamic'),
+                        typeOnly: typeOnly && (type === 'import' || type === 'export')
                     });
                 }
             });
@@ -300,41 +1042,86 @@ class ImportAnalyzer {
     }
 
     resolveImportPath(importName, fromFile) {
+        // TypeScript path mapping first, then bundler aliases
+        const targets = this.isRelativeImport(importName)
+            ? [path.resolve(path.dirname(fromFile), importName)]
+            : [
+                ...this.getPackageTargets(importName),
+                ...this.getTypeScriptPathTargets(importName),
+                ...this.getAliasTargets(importName)
+            ];
+
         // Skip external modules
-        if (!this.isRelativeImport(importName)) {
+        if (targets.length === 0) {
             return importName;
         }
 
-        const fromDir = path.dirname(fromFile);
-        let resolved = path.resolve(fromDir, importName);
-
-        // Handle TypeScript path mapping
-        if (this.tsConfig && this.tsConfig.compilerOptions?.paths) {
-            resolved = this.resolveTypeScriptPath(importName) || resolved;
+        for (const target of targets) {
+            const file = this.findFile(target);
+            if (file) {
+                return file;
+            }
         }
 
-        // Handle custom aliases
-        resolved = this.resolveAlias(importName) || resolved;
+        return targets[0];
+    }
 
-        // Try different extensions
-        const extensions = ['', '.js', '.jsx', '.ts', '.tsx', '.json', '/index.js', '/index.ts'];
+    findFile(resolved) {
+        // Try the specifier as written, with each extension, then as a directory index
+        const candidates = [
+            resolved,
+            ...this.fileExtensions.map(ext => resolved + ext),
+            resolved + '.json',
+            ...this.fileExtensions.map(ext => path.join(resolved, 'index' + ext))
+        ];
 
-        for (const ext of extensions) {
-            const fileWithExt = resolved + (ext.startsWith('/') ? '' : ext);
-            if (fs.existsSync(fileWithExt)) {
-                return fileWithExt;
+        for (const candidate of candidates) {
+            try {
+                if (fs.statSync(candidate).isFile()) {
+                    return candidate;
+                }
+            } catch (error) {
+                // Candidate does not exist
             }
         }
 
-        return resolved;
+        return null;
     }
 
     isRelativeImport(importName) {
         return importName.startsWith('./') || importName.startsWith('../');
     }
 
+    getPackageName(importName) {
+        const parts = importName.split('/');
+        return importName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+
     isBuiltinModule(importName) {
-        return this.builtinModules.has(importName);
+        // "node:fs" and "fs/promises" are built-ins too
+        return this.builtinModules.has(this.getPackageName(importName.replace(/^node:/, '')));
+    }
+
+    groupByPackage(importMap) {
+        // Subpath specifiers ("lodash/fp", "pkg/feature") are usages of their package; project files and built-ins are dropped
+        const packages = new Map();
+
+        for (const [importName, usages] of importMap) {
+            if (this.isRelativeImport(importName) ||
+                path.isAbsolute(importName) ||
+                this.isBuiltinModule(importName) ||
+                this.isAlias(importName)) {
+                continue;
+            }
+
+            const packageName = this.getPackageName(importName);
+            if (!packages.has(packageName)) {
+                packages.set(packageName, []);
+            }
+            packages.get(packageName).push(...usages.map(usage => ({ ...usage, specifier: importName })));
+        }
+
+        return packages;
     }
 
     categorizeImport(importName) {
@@ -351,135 +1138,331 @@ class ImportAnalyzer {
     }
 
     isAlias(importName) {
-        return Object.keys(this.aliases).some(alias => {
-            if (alias.endsWith('*')) {
-                return importName.startsWith(alias.slice(0, -1));
-            }
-            return importName === alias;
-        });
+        // Jest mappers only apply under test, so they never turn a declared package into a project file
+        return this.getPackageTargets(importName).length > 0 ||
+            this.getAliasTargets(importName, !this.isDeclaredPackage(importName)).length > 0 ||
+            this.getTypeScriptPathTargets(importName).length > 0;
+    }
+
+    isDeclaredPackage(importName) {
+        const packageJson = this.packageJson;
+        if (!packageJson) {
+            return false;
+        }
+
+        const packageName = this.getPackageName(importName);
+        return ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+            .some(field => packageJson[field] && Object.prototype.hasOwnProperty.call(packageJson[field], packageName));
     }
 
-    resolveAlias(importName) {
-        for (const [alias, target] of Object.entries(this.aliases)) {
-            if (alias.endsWith('*')) {
-                const prefix = alias.slice(0, -1);
-                if (importName.startsWith(prefix)) {
-                    const suffix = importName.slice(prefix.length);
-                    return path.resolve(this.projectPath, target.slice(0, -1) + suffix);
+    getPackageTargets(importName) {
+        // "#internal" subpath imports and self-references by package name resolve inside this package
+        const packageJson = this.packageJson;
+        if (!packageJson) {
+            return [];
+        }
+
+        let target = null;
+        if (importName.startsWith('#')) {
+            target = PackageExports.resolveImports(packageJson, importName, this.getConditions());
+        } else if (packageJson.name && PackageExports.hasExports(packageJson) &&
+            (importName === packageJson.name || importName.startsWith(packageJson.name + '/'))) {
+            // Self-references only work through "exports"
+            target = PackageExports.resolveExports(packageJson, '.' + importName.slice(packageJson.name.length), this.getConditions());
+        }
+
+        return target && target.startsWith('./') ? [path.resolve(this.projectPath, target)] : [];
+    }
+
+    getAliasTargets(importName, includeJest = true) {
+        const targets = [];
+
+        for (const alias of this.aliases) {
+            if (alias.source === 'jest' && !includeJest) continue;
+
+            let target = null;
+            if (alias.source === 'jest') {
+                // Jest swaps the whole specifier for the mapping, filling in "$1"... from the match
+                const match = importName.match(alias.find);
+                if (match) {
+                    target = alias.replacement.replace(/\$(\d+)/g, (_, index) => match[index] || '');
+                }
+            } else if (alias.find instanceof RegExp) {
+                if (importName.search(alias.find) !== -1) {
+                    target = importName.replace(alias.find, alias.replacement);
                 }
-            } else if (importName === alias) {
-                return path.resolve(this.projectPath, target);
+            } else if (importName === alias.find) {
+                target = alias.replacement;
+            } else if (!alias.exact && importName.startsWith(alias.find + '/')) {
+                target = alias.replacement + importName.slice(alias.find.length);
+            }
+
+            if (target !== null) {
+                targets.push(path.resolve(this.projectPath, target));
             }
         }
-        return null;
+
+        return targets;
     }
 
     async loadTsConfig() {
-        const tsConfigPath = path.join(this.projectPath, 'tsconfig.json');
-        if (await this.fileExists(tsConfigPath)) {
+        for (const fileName of ['tsconfig.json', 'jsconfig.json']) {
+            const configPath = path.join(this.projectPath, fileName);
+            if (await this.fileExists(configPath)) {
+                this.tsConfig = await this.readTsConfig(configPath, new Set());
+                return;
+            }
+        }
+    }
+
+    async readTsConfig(configPath, ancestors) {
+        if (ancestors.has(configPath)) {
+            // extends cycle
+            return {};
+        }
+
+        let config;
+        try {
+            config = PackageUtils.parseJsonc(await fsPromises.readFile(configPath, 'utf-8'));
+        } catch (error) {
+            // Invalid or unreadable config
+            return {};
+        }
+
+        const configDir = path.dirname(configPath);
+        const compilerOptions = { ...config.compilerOptions };
+
+        // baseUrl and paths are relative to the file that declares them, not the one extending it
+        if (typeof compilerOptions.baseUrl === 'string') {
+            compilerOptions.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+        }
+        if (compilerOptions.paths) {
+            compilerOptions.pathsBasePath = configDir;
+        }
+
+        // TypeScript 5 accepts an array; later entries override earlier ones
+        let inherited = {};
+        for (const base of [].concat(config.extends || [])) {
+            const basePath = this.resolveTsConfigExtends(base, configDir);
+            if (basePath) {
+                const baseConfig = await this.readTsConfig(basePath, new Set([...ancestors, configPath]));
+                inherited = { ...inherited, ...baseConfig.compilerOptions };
+            }
+        }
+
+        return { ...config, compilerOptions: { ...inherited, ...compilerOptions } };
+    }
+
+    resolveTsConfigExtends(specifier, configDir) {
+        if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+            const resolved = path.resolve(configDir, specifier);
+            return [resolved, resolved + '.json'].find(candidate => {
+                try {
+                    return fs.statSync(candidate).isFile();
+                } catch (error) {
+                    return false;
+                }
+            }) || null;
+        }
+
+        // Shared configs such as @tsconfig/node18 or @vue/tsconfig/tsconfig.dom.json
+        const requests = specifier.endsWith('.json')
+            ? [specifier]
+            : [specifier + '.json', path.posix.join(specifier, 'tsconfig.json')];
+        for (const request of requests) {
             try {
-                const content = await fsPromises.readFile(tsConfigPath, 'utf-8');
-                this.tsConfig = JSON.parse(content);
+                return require.resolve(request, { paths: [configDir] });
             } catch (error) {
-                // Invalid tsconfig.json
+                // Not resolvable from this directory
             }
         }
+
+        return null;
     }
 
-    resolveTypeScriptPath(importName) {
-        if (!this.tsConfig?.compilerOptions?.paths) {
-            return null;
+    getTypeScriptPathTargets(importName) {
+        const compilerOptions = this.tsConfig && this.tsConfig.compilerOptions;
+        if (!compilerOptions) {
+            return [];
         }
 
-        const baseUrl = this.tsConfig.compilerOptions.baseUrl || '.';
-        const baseDir = path.resolve(this.projectPath, baseUrl);
+        const { baseUrl, paths, pathsBasePath } = compilerOptions;
 
-        for (const [pattern, targets] of Object.entries(this.tsConfig.compilerOptions.paths)) {
-            if (pattern.endsWith('*')) {
-                const prefix = pattern.slice(0, -1);
-                if (importName.startsWith(prefix)) {
-                    const suffix = importName.slice(prefix.length);
-                    const target = targets[0];
-                    if (target.endsWith('*')) {
-                        const resolved = target.slice(0, -1) + suffix;
-                        return path.resolve(baseDir, resolved);
-                    }
+        if (paths) {
+            const match = this.matchPathPattern(importName, Object.keys(paths));
+            if (match) {
+                const baseDir = baseUrl || pathsBasePath || this.projectPath;
+                const targets = [].concat(paths[match.pattern]).map(target =>
+                    path.resolve(baseDir, target.replace('*', match.wildcard))
+                );
+
+                // A catch-all "*" mapping only claims specifiers that exist in the project
+                if (match.pattern !== '*' || targets.some(target => this.findFile(target))) {
+                    return targets;
                 }
-            } else if (importName === pattern) {
-                return path.resolve(baseDir, targets[0]);
             }
         }
 
-        return null;
+        if (baseUrl) {
+            // Non-relative specifiers are looked up under baseUrl before node_modules
+            const target = path.resolve(baseUrl, importName);
+            if (this.findFile(target)) {
+                return [target];
+            }
+        }
+
+        return [];
+    }
+
+    matchPathPattern(importName, patterns) {
+        // Exact patterns win; otherwise the wildcard pattern with the longest prefix, as tsc does
+        if (patterns.includes(importName)) {
+            return { pattern: importName, wildcard: '' };
+        }
+
+        let best = null;
+        for (const pattern of patterns) {
+            const star = pattern.indexOf('*');
+            if (star === -1) continue;
+
+            const prefix = pattern.slice(0, star);
+            const suffix = pattern.slice(star + 1);
+            if (importName.length >= prefix.length + suffix.length &&
+                importName.startsWith(prefix) && importName.endsWith(suffix) &&
+                (!best || prefix.length > best.prefixLength)) {
+                best = {
+                    pattern,
+                    wildcard: importName.slice(prefix.length, importName.length - suffix.length),
+                    prefixLength: prefix.length
+                };
+            }
+        }
+
+        return best;
     }
 
     async loadAliases() {
         // Load from various config files
+        this.aliases = [];
         await this.loadViteAliases();
         await this.loadWebpackAliases();
         await this.loadJestAliases();
     }
 
+    async findConfigFile(baseName, extensions = CONFIG_EXTENSIONS) {
+        for (const extension of extensions) {
+            const configPath = path.join(this.projectPath, baseName + extension);
+            if (await this.fileExists(configPath)) {
+                return configPath;
+            }
+        }
+        return null;
+    }
+
     async loadViteAliases() {
-        const viteConfigPath = path.join(this.projectPath, 'vite.config.js');
-        if (await this.fileExists(viteConfigPath)) {
-            try {
-                // This is a simplified approach - in real implementation, you'd want to use dynamic import
-                const content = await fsPromises.readFile(viteConfigPath, 'utf-8');
-                const aliasMatch = content.match(/resolve:\s*\{[^}]*alias:\s*\{([^}]*)\}/);
-                if (aliasMatch) {
-                    // Extract aliases with regex (simplified)
-                    const aliasRegex = /['"`]([^'"`]+)['"`]\s*:\s*['"`]([^'"`]+)['"`]/g;
-                    let match;
-                    while ((match = aliasRegex.exec(aliasMatch[1])) !== null) {
-                        this.aliases[match[1]] = match[2];
-                    }
+        // vitest.config.* takes the same resolve.alias, plus test.alias
+        for (const baseName of ['vite.config', 'vitest.config']) {
+            const configPath = await this.findConfigFile(baseName);
+            const config = configPath && await ConfigEvaluator.load(configPath, { cwd: this.projectPath });
+            if (!config || typeof config !== 'object') continue;
+
+            for (const alias of [config.resolve && config.resolve.alias, config.test && config.test.alias]) {
+                if (Array.isArray(alias)) {
+                    // [{ find: '@' | /^@\//, replacement: '...' }]
+                    alias.forEach(entry => entry && this.addAlias(entry.find, entry.replacement, 'vite'));
+                } else if (alias && typeof alias === 'object') {
+                    Object.entries(alias).forEach(([find, replacement]) => this.addAlias(find, replacement, 'vite'));
                 }
-            } catch (error) {
-                // Ignore config parsing errors
             }
         }
     }
 
     async loadWebpackAliases() {
-        const webpackConfigPath = path.join(this.projectPath, 'webpack.config.js');
-        if (await this.fileExists(webpackConfigPath)) {
-            try {
-                const content = await fsPromises.readFile(webpackConfigPath, 'utf-8');
-                const aliasMatch = content.match(/resolve:\s*\{[^}]*alias:\s*\{([^}]*)\}/);
-                if (aliasMatch) {
-                    const aliasRegex = /['"`]([^'"`]+)['"`]\s*:\s*path\.resolve\([^)]*\)/g;
-                    let match;
-                    while ((match = aliasRegex.exec(aliasMatch[1])) !== null) {
-                        // Simplified extraction
-                        this.aliases[match[1]] = match[1];
-                    }
+        const configPath = await this.findConfigFile('webpack.config');
+        const config = configPath && await ConfigEvaluator.load(configPath, { cwd: this.projectPath });
+        if (!config || typeof config !== 'object') return;
+
+        // Multi-compiler configs export an array
+        for (const compiler of [].concat(config)) {
+            const alias = compiler && compiler.resolve && compiler.resolve.alias;
+            if (Array.isArray(alias)) {
+                // [{ name, alias, onlyModule }]
+                alias.forEach(entry => entry && this.addAlias(entry.name, entry.alias, 'webpack', entry.onlyModule));
+            } else if (alias && typeof alias === 'object') {
+                for (const [key, replacement] of Object.entries(alias)) {
+                    // A trailing "$" restricts the alias to the exact specifier
+                    const exact = key.endsWith('$');
+                    this.addAlias(exact ? key.slice(0, -1) : key, replacement, 'webpack', exact);
                 }
-            } catch (error) {
-                // Ignore config parsing errors
             }
         }
     }
 
     async loadJestAliases() {
-        const jestConfigPath = path.join(this.projectPath, 'jest.config.js');
-        if (await this.fileExists(jestConfigPath)) {
+        let config = null;
+        let configDir = this.projectPath;
+
+        const configPath = await this.findConfigFile('jest.config', [...CONFIG_EXTENSIONS, '.json']);
+        if (configPath) {
+            configDir = path.dirname(configPath);
+            config = configPath.endsWith('.json')
+                ? await this.readJson(configPath)
+                : await ConfigEvaluator.load(configPath, { cwd: this.projectPath });
+        } else {
+            const packageJson = await this.readJson(path.join(this.projectPath, 'package.json'));
+            config = packageJson && packageJson.jest;
+        }
+
+        if (!config || typeof config !== 'object' || !config.moduleNameMapper) return;
+
+        const rootDir = typeof config.rootDir === 'string' ? path.resolve(configDir, config.rootDir) : configDir;
+
+        for (const [pattern, mapping] of Object.entries(config.moduleNameMapper)) {
+            let find;
             try {
-                const content = await fsPromises.readFile(jestConfigPath, 'utf-8');
-                const moduleNameMatch = content.match(/moduleNameMapping:\s*\{([^}]*)\}/);
-                if (moduleNameMatch) {
-                    const aliasRegex = /['"`]([^'"`]+)['"`]\s*:\s*['"`]([^'"`]+)['"`]/g;
-                    let match;
-                    while ((match = aliasRegex.exec(moduleNameMatch[1])) !== null) {
-                        this.aliases[match[1]] = match[2];
-                    }
-                }
+                find = new RegExp(pattern);
             } catch (error) {
-                // Ignore config parsing errors
+                continue;
+            }
+
+            // Jest tries each mapped path in order
+            for (const replacement of [].concat(mapping)) {
+                if (typeof replacement !== 'string') continue;
+                // A pattern that matches many specifiers but maps to one file is a stub ("\\.css$" -> styleMock.js)
+                if (!/\$\d/.test(replacement) && !JEST_LITERAL_PATTERN.test(pattern)) continue;
+                // A mapper onto node_modules points at a package, not at project code
+                if (replacement.split(/[\\/]/).includes('node_modules')) continue;
+
+                this.addAlias(find, replacement.replace(/<rootDir>/g, rootDir), 'jest');
             }
         }
     }
 
+    addAlias(find, replacement, source, exact = false) {
+        if ((typeof find !== 'string' && !(find instanceof RegExp)) || typeof replacement !== 'string') {
+            return;
+        }
+
+        let target = replacement;
+        if (target.startsWith('/') && !target.startsWith(this.projectPath) && source === 'vite' && !fs.existsSync(target)) {
+            // Vite treats "/src" as relative to the project root
+            target = path.join(this.projectPath, target);
+        } else if (!target.startsWith('.') && !path.isAbsolute(target)) {
+            // Aliases onto another package (react -> preact/compat, css -> identity-obj-proxy) are not project files
+            return;
+        }
+
+        this.aliases.push({ find, replacement: target, exact, source });
+    }
+
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fsPromises.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
     async fileExists(filePath) {
         try {
             await fsPromises.access(filePath);
@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PackageUtils = require('../utils/package-utils');
+const DependencyGraph = require('../utils/dependency-graph');
+const LicensePolicy = require('../utils/license-policy');
+const SpdxExpression = require('../utils/spdx-expression');
+
+// Looked up in the project when --licensePolicy is not given
+const POLICY_FILES = ['.license-policy.json', 'license-policy.json'];
+
+// Opening text of the usual license files, for packages whose manifest declares nothing
+const LICENSE_TEXT_SIGNATURES = [
+    { license: 'MIT', pattern: /Permission is hereby granted, free of charge/i },
+    { license: 'ISC', pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose/i },
+    { license: 'Apache-2.0', pattern: /Apache License[\s\S]{0,40}Version 2\.0/i },
+    { license: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+    { license: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i },
+    { license: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i }
+];
+
+const SEVERITY = { deny: 'high', unknown: 'medium', review: 'low' };
+
+class LicenseAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        this.maxPaths = options.maxLicensePaths || 3;
+    }
+
+    async analyze(packageJson) {
+        const policy = await this.loadPolicy();
+        const graph = await PackageUtils.buildInstalledGraph(this.projectPath, packageJson);
+        const reverseEdges = DependencyGraph.buildReverseEdges(graph);
+        const production = this.findProductionPackages(graph);
+
+        const counts = new Map();
+        const issues = [];
+
+        for (const node of graph.packages.values()) {
+            const { expression, source } = await this.readLicense(node.path);
+            const parsed = SpdxExpression.parse(expression);
+            const license = parsed ? SpdxExpression.stringify(parsed) : 'UNKNOWN';
+            counts.set(license, (counts.get(license) || 0) + 1);
+
+            const dev = !production.has(node.id);
+            if (dev && policy.ignoreDev) continue;
+
+            const result = policy.evaluate(node.name, node.version, parsed);
+            if (result.verdict === 'allow') continue;
+
+            // Each path runs from a direct dependency down to the package
+            const paths = DependencyGraph.findPaths(graph, reverseEdges, node.id, { maxPaths: this.maxPaths });
+            issues.push({
+                name: node.name,
+                version: node.version,
+                license,
+                licenseSource: source,
+                verdict: result.verdict,
+                rule: result.rule,
+                dev,
+                chain: paths[0] || [DependencyGraph.label(graph, node.id)],
+                paths,
+                reason: this.describe(node, result),
+                severity: result.verdict === 'deny' ? SEVERITY.deny : result.rule === 'unknown' ? SEVERITY.unknown : SEVERITY.review
+            });
+        }
+
+        issues.sort((a, b) => (a.verdict === b.verdict ? 0 : a.verdict === 'deny' ? -1 : 1) ||
+            a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+
+        return {
+            policy: policy.source === 'default' ? 'default' : path.relative(this.projectPath, policy.source),
+            packages: graph.packages.size,
+            licenses: Object.fromEntries(Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))),
+            issues
+        };
+    }
+
+    async loadPolicy() {
+        if (this.options.licensePolicy) {
+            return LicensePolicy.load(path.resolve(this.projectPath, this.options.licensePolicy));
+        }
+
+        for (const file of POLICY_FILES) {
+            const policyPath = path.join(this.projectPath, file);
+            try {
+                await fs.access(policyPath);
+            } catch (error) {
+                continue;
+            }
+            return LicensePolicy.load(policyPath);
+        }
+
+        return new LicensePolicy();
+    }
+
+    findProductionPackages(graph) {
+        // Packages reachable without going through a devDependency of the project
+        const production = new Set();
+        const queue = [];
+
+        for (const entry of graph.importers.values()) {
+            for (const edge of entry.dependencies) {
+                if (edge.type !== 'dev' && edge.id && !production.has(edge.id)) {
+                    production.add(edge.id);
+                    queue.push(edge.id);
+                }
+            }
+        }
+
+        while (queue.length > 0) {
+            const node = graph.packages.get(queue.pop());
+            for (const edge of node ? node.dependencies : []) {
+                if (edge.id && !production.has(edge.id)) {
+                    production.add(edge.id);
+                    queue.push(edge.id);
+                }
+            }
+        }
+
+        return production;
+    }
+
+    async readLicense(packageDir) {
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+            const expression = PackageUtils.extractLicense(manifest);
+            if (expression !== 'Unknown') {
+                return { expression, source: 'package.json' };
+            }
+        } catch (error) {
+            // Fall through to the license file
+        }
+
+        try {
+            const file = (await fs.readdir(packageDir)).find(name => /^(?:licen[cs]e|copying)(?:[.-]|$)/i.test(name));
+            if (file) {
+                const handle = await fs.open(path.join(packageDir, file), 'r');
+                try {
+                    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+                    const text = buffer.toString('utf-8', 0, bytesRead);
+                    const match = LICENSE_TEXT_SIGNATURES.find(signature => signature.pattern.test(text));
+                    if (match) {
+                        return { expression: match.license, source: file };
+                    }
+                } finally {
+                    await handle.close();
+                }
+            }
+        } catch (error) {
+            // Unreadable package directory
+        }
+
+        return { expression: null, source: null };
+    }
+
+    describe(node, result) {
+        switch (result.rule) {
+            case 'package':
+                return `${node.name} is listed as ${result.verdict} in the license policy`;
+            case 'unknown':
+                return 'No license declared in package.json or a LICENSE file';
+            case 'deny':
+                return `${result.license} is denied by the license policy`;
+            case 'review':
+                return `${result.license} is on the review list`;
+            default:
+                return `${result.license} is not in the license policy`;
+        }
+    }
+}
+
+module.exports = LicenseAnalyzer;
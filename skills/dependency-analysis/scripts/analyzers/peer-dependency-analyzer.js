@@ -1,6 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
-const semver = require('semver');
+const VersionRange = require('../utils/version-range');
 
 class PeerDependencyAnalyzer {
     constructor(projectPath, options = {}) {
@@ -222,40 +222,7 @@ class PeerDependencyAnalyzer {
     }
 
     checkVersionCompatibility(requiredRange, installedVersion) {
-        try {
-            return semver.satisfies(installedVersion, requiredRange);
-        } catch (error) {
-            // Fallback for complex ranges or invalid versions
-            return this.fallbackCompatibilityCheck(requiredRange, installedVersion);
-        }
-    }
-
-    fallbackCompatibilityCheck(requiredRange, installedVersion) {
-        // Handle complex ranges like "^16.8.0 || ^17.0.0 || ^18.0.0"
-        const ranges = requiredRange.split('||').map(r => r.trim());
-
-        return ranges.some(range => {
-            try {
-                return semver.satisfies(installedVersion, range);
-            } catch (error) {
-                // Basic manual check
-                const cleanRequired = range.replace(/^[\^~<>=]/, '');
-                const requiredMajor = parseInt(cleanRequired.split('.')[0]);
-                const installedMajor = parseInt(installedVersion.split('.')[0]);
-
-                if (range.startsWith('^')) {
-                    return requiredMajor === installedMajor;
-                }
-
-                if (range.startsWith('~')) {
-                    const requiredMinor = parseInt(cleanRequired.split('.')[1]);
-                    const installedMinor = parseInt(installedVersion.split('.')[1]);
-                    return requiredMajor === installedMajor && requiredMinor === installedMinor;
-                }
-
-                return cleanRequired === installedVersion;
-            }
-        });
+        return VersionRange.satisfies(installedVersion, requiredRange);
     }
 
     async analyzeCrossPackageConflicts() {
@@ -313,37 +280,20 @@ class PeerDependencyAnalyzer {
     areRequirementsCompatible(requirements) {
         const versions = requirements.map(req => req.requiredVersion);
 
-        // Try to find a version that satisfies all requirements
-        try {
-            const range = versions.join(' ');
-            return semver.validRange(range);
-        } catch (error) {
-            // Manual compatibility check
-            for (let i = 0; i < versions.length; i++) {
-                for (let j = i + 1; j < versions.length; j++) {
-                    if (!this.rangesOverlap(versions[i], versions[j])) {
-                        return false;
-                    }
+        // Every pair of ranges must share at least one version
+        for (let i = 0; i < versions.length; i++) {
+            for (let j = i + 1; j < versions.length; j++) {
+                if (!this.rangesOverlap(versions[i], versions[j])) {
+                    return false;
                 }
             }
-            return true;
         }
+        return true;
     }
 
     rangesOverlap(range1, range2) {
-        try {
-            return semver.intersects(range1, range2);
-        } catch (error) {
-            // Simplified check
-            const major1 = this.extractMajorVersion(range1);
-            const major2 = this.extractMajorVersion(range2);
-
-            if (range1.startsWith('^') && range2.startsWith('^')) {
-                return major1 === major2;
-            }
-
-            return true; // Default to assuming overlap
-        }
+        // Specifiers that are not semver ranges cannot be compared; assume they overlap
+        return VersionRange.intersects(range1, range2) !== false;
     }
 
     extractMajorVersion(versionRange) {
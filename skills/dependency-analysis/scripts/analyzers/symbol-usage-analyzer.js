@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const babelParser = require('@babel/parser');
+const PackageUtils = require('../utils/package-utils');
+const PackageExports = require('../utils/package-exports');
+
+// Entry files larger than this are bundles whose exports are not worth parsing for
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const MAX_EXPORT_DEPTH = 5;
+
+class SymbolUsageAnalyzer {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+    }
+
+    async analyze(packageImports) {
+        // packageImports: package name -> usages carrying specifier and bindings (ImportAnalyzer.groupByPackage)
+        const surfaces = [];
+
+        for (const [name, usages] of packageImports) {
+            const surface = this.summarize(name, usages);
+            const entry = await this.inspectEntry(name);
+            surface.exportCount = entry.exportCount;
+            surface.treeShakable = entry.treeShakable;
+            surface.coverage = entry.exportCount && !surface.wholeModule.length
+                ? Math.min(1, surface.symbols.filter(symbol => symbol.from === name && !symbol.typeOnly).length / entry.exportCount)
+                : null;
+            surfaces.push(surface);
+        }
+
+        return surfaces.sort((a, b) => b.files.length - a.files.length || a.name.localeCompare(b.name));
+    }
+
+    summarize(name, usages) {
+        const files = new Set();
+        const wholeModule = new Set();
+        const symbols = new Map();
+
+        const addSymbol = (symbolName, from, file, typeOnly) => {
+            const key = `${from}\0${symbolName}`;
+            if (!symbols.has(key)) {
+                symbols.set(key, { name: symbolName, from, files: new Set(), typeOnly: true });
+            }
+            const symbol = symbols.get(key);
+            symbol.files.add(file);
+            symbol.typeOnly = symbol.typeOnly && typeOnly;
+        };
+
+        for (const usage of usages) {
+            const file = path.relative(this.projectPath, usage.file);
+            const from = usage.specifier || name;
+            files.add(file);
+
+            // Regex-extracted and asset imports carry no bindings; treat them as using the whole module
+            const bindings = usage.bindings || [{ imported: '*', local: null, typeOnly: Boolean(usage.typeOnly) }];
+            for (const binding of bindings) {
+                if (binding.members && binding.members.length > 0) {
+                    binding.members.forEach(member => addSymbol(member, from, file, binding.typeOnly));
+                } else if (binding.imported !== '*') {
+                    addSymbol(binding.imported, from, file, binding.typeOnly);
+                } else if (from !== name) {
+                    // "lodash/debounce" is already one narrow piece of the package
+                    addSymbol('*', from, file, binding.typeOnly);
+                } else {
+                    wholeModule.add(file);
+                }
+            }
+        }
+
+        return {
+            name,
+            files: Array.from(files).sort(),
+            imports: usages.length,
+            symbols: Array.from(symbols.values())
+                .map(symbol => ({ ...symbol, files: Array.from(symbol.files).sort() }))
+                .sort((a, b) => b.files.length - a.files.length || a.from.localeCompare(b.from) || a.name.localeCompare(b.name)),
+            wholeModule: Array.from(wholeModule).sort(),
+            subpaths: Array.from(new Set(usages.map(usage => usage.specifier).filter(specifier => specifier && specifier !== name))).sort()
+        };
+    }
+
+    async inspectEntry(name) {
+        // Export count of the ESM (or CommonJS) entry, and whether bundlers can tree-shake it
+        const unknown = { exportCount: null, treeShakable: null };
+        const packageDir = await PackageUtils.resolvePackageDir(name, this.projectPath);
+        if (!packageDir) {
+            return unknown;
+        }
+
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+        } catch (error) {
+            return unknown;
+        }
+
+        const entry = PackageExports.hasExports(packageJson)
+            ? PackageExports.resolveExports(packageJson, '.', ['import', 'module', 'node'])
+            : `./${(packageJson.module || packageJson.main || 'index.js').replace(/^\.\//, '')}`;
+        if (!entry) {
+            return unknown;
+        }
+
+        const result = await this.collectExports(path.join(packageDir, entry), new Set(), 0);
+        if (!result || result.names.size === 0) {
+            return unknown;
+        }
+        return { exportCount: result.names.size, treeShakable: result.esm };
+    }
+
+    async collectExports(filePath, visited, depth) {
+        const file = await this.findEntryFile(filePath);
+        if (!file || visited.has(file) || depth > MAX_EXPORT_DEPTH) {
+            return null;
+        }
+        visited.add(file);
+
+        let ast;
+        try {
+            const stats = await fs.stat(file);
+            if (stats.size > MAX_ENTRY_BYTES) {
+                return null;
+            }
+            ast = babelParser.parse(await fs.readFile(file, 'utf-8'), {
+                sourceType: 'unambiguous',
+                allowReturnOutsideFunction: true,
+                errorRecovery: true,
+                plugins: file.endsWith('.ts') ? ['typescript'] : []
+            });
+        } catch (error) {
+            return null;
+        }
+
+        const names = new Set();
+        let esm = false;
+
+        for (const statement of ast.program.body) {
+            if (statement.type === 'ExportNamedDeclaration') {
+                esm = true;
+                const declaration = statement.declaration;
+                if (declaration && declaration.id) {
+                    names.add(declaration.id.name);
+                } else if (declaration && declaration.declarations) {
+                    declaration.declarations.forEach(d => d.id.type === 'Identifier' && names.add(d.id.name));
+                }
+                statement.specifiers.forEach(spec => names.add(spec.exported.name || spec.exported.value));
+            } else if (statement.type === 'ExportDefaultDeclaration') {
+                esm = true;
+                names.add('default');
+            } else if (statement.type === 'ExportAllDeclaration') {
+                esm = true;
+                if (statement.exported) {
+                    names.add(statement.exported.name);
+                } else if (statement.source.value.startsWith('.')) {
+                    // export * from './map.js' re-exports everything but the default
+                    const nested = await this.collectExports(path.resolve(path.dirname(file), statement.source.value), visited, depth + 1);
+                    if (nested) {
+                        nested.names.forEach(nestedName => nestedName !== 'default' && names.add(nestedName));
+                    }
+                }
+            } else if (statement.type === 'ExpressionStatement') {
+                this.collectCommonJsExports(statement.expression, names);
+            }
+        }
+
+        names.delete('__esModule');
+        return { names, esm };
+    }
+
+    collectCommonJsExports(expression, names) {
+        // exports.x = ..., module.exports.x = ..., module.exports = { x, y }, Object.defineProperty(exports, 'x', ...)
+        const isModuleExports = node => node.type === 'MemberExpression' &&
+            node.object.name === 'module' && node.property.name === 'exports';
+        const isExports = node => node.type === 'Identifier' ? node.name === 'exports' : isModuleExports(node);
+
+        if (expression.type === 'CallExpression') {
+            const [target, property] = expression.arguments;
+            if (expression.callee.type === 'MemberExpression' && expression.callee.object.name === 'Object' &&
+                expression.callee.property.name === 'defineProperty' && target && isExports(target) &&
+                property && property.type === 'StringLiteral') {
+                names.add(property.value);
+            }
+            return;
+        }
+        if (expression.type !== 'AssignmentExpression') {
+            return;
+        }
+
+        const target = expression.left;
+        // TypeScript output declares "exports.a = exports.b = void 0"
+        this.collectCommonJsExports(expression.right, names);
+        if (target.type !== 'MemberExpression' || target.computed) {
+            return;
+        }
+
+        if (isModuleExports(target) && expression.right.type === 'ObjectExpression') {
+            expression.right.properties.forEach(property => {
+                if (property.key && !property.computed) {
+                    names.add(property.key.name || property.key.value);
+                }
+            });
+        } else if (isExports(target.object)) {
+            names.add(target.property.name);
+        }
+    }
+
+    async findEntryFile(filePath) {
+        for (const candidate of [filePath, `${filePath}.js`, `${filePath}.mjs`, `${filePath}.cjs`, path.join(filePath, 'index.js')]) {
+            try {
+                if ((await fs.stat(candidate)).isFile()) {
+                    return candidate;
+                }
+            } catch (error) {
+                // Candidate does not exist
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = SymbolUsageAnalyzer;
@@ -0,0 +1,148 @@
+const path = require('path');
+const VersionRange = require('../utils/version-range');
+
+class WorkspaceAnalyzer {
+    constructor(rootPath, options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+    }
+
+    analyze(workspace, members) {
+        // members: [{ pkg, importMap, dependencies }] for the root and every workspace package
+        const siblings = new Map(workspace.packages.map(pkg => [pkg.name, pkg]));
+        const graph = this.buildGraph(workspace, members, siblings);
+
+        return {
+            graph,
+            issues: {
+                undeclaredSiblings: this.findUndeclaredSiblings(workspace, members, siblings),
+                internalRangeMismatches: graph.edges.filter(edge => !edge.satisfied).map(edge => ({
+                    package: edge.from,
+                    sibling: edge.to,
+                    range: edge.range,
+                    siblingVersion: siblings.get(edge.to).version,
+                    severity: 'high',
+                    suggestion: `${edge.from} asks for ${edge.to}@${edge.range} but the workspace has ${siblings.get(edge.to).version}; the registry copy would be installed instead`
+                })),
+                versionConflicts: this.findVersionConflicts(members, siblings)
+            }
+        };
+    }
+
+    buildGraph(workspace, members, siblings) {
+        const nodes = workspace.packages.map(pkg => ({
+            id: pkg.name,
+            version: pkg.version,
+            path: pkg.relativePath
+        }));
+        const edges = [];
+
+        for (const { pkg, dependencies } of members) {
+            for (const [name, info] of dependencies) {
+                if (!siblings.has(name) || name === pkg.name) continue;
+
+                edges.push({
+                    from: pkg.name,
+                    to: name,
+                    range: info.version,
+                    type: info.type,
+                    protocol: info.version.startsWith('workspace:') ? 'workspace' : 'semver',
+                    satisfied: VersionRange.satisfies(siblings.get(name).version, info.version, { includePrerelease: true })
+                });
+            }
+        }
+
+        return { nodes, edges };
+    }
+
+    findUndeclaredSiblings(workspace, members, siblings) {
+        const issues = [];
+
+        for (const { pkg, importMap, dependencies } of members) {
+            const undeclared = new Map();
+
+            for (const [importName, usages] of importMap) {
+                const name = this.getPackageName(importName);
+                if (!siblings.has(name) || name === pkg.name || dependencies.has(name)) continue;
+
+                if (!undeclared.has(name)) {
+                    undeclared.set(name, new Set());
+                }
+                usages.forEach(usage => undeclared.get(name).add(path.relative(this.rootPath, usage.file)));
+            }
+
+            for (const [sibling, files] of undeclared) {
+                const range = workspace.type === 'npm' ? `^${siblings.get(sibling).version}` : 'workspace:*';
+                issues.push({
+                    package: pkg.name,
+                    sibling,
+                    usedIn: Array.from(files).sort(),
+                    severity: 'high',
+                    suggestion: `Add "${sibling}": "${range}" to ${path.posix.join(pkg.relativePath, 'package.json')}`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    findVersionConflicts(members, siblings) {
+        // External dependency -> every workspace that declares it
+        const declarations = new Map();
+
+        for (const { pkg, dependencies } of members) {
+            for (const [name, info] of dependencies) {
+                if (siblings.has(name)) continue;
+
+                if (!declarations.has(name)) {
+                    declarations.set(name, []);
+                }
+                declarations.get(name).push({
+                    package: pkg.name,
+                    range: info.version,
+                    resolvedVersion: info.resolvedVersion || null,
+                    type: info.type
+                });
+            }
+        }
+
+        const conflicts = [];
+        for (const [name, declared] of declarations) {
+            if (declared.length < 2) continue;
+
+            const ranges = new Set(declared.map(d => d.range));
+            const resolved = new Set(declared.map(d => d.resolvedVersion).filter(Boolean));
+            if (ranges.size < 2 && resolved.size < 2) continue;
+
+            const compatible = this.rangesIntersect(Array.from(ranges));
+            if (compatible && resolved.size < 2) continue;
+
+            conflicts.push({
+                name,
+                declarations: declared,
+                versions: Array.from(resolved).sort((a, b) => VersionRange.compare(a, b)),
+                compatible,
+                severity: compatible ? 'low' : 'medium',
+                suggestion: compatible
+                    ? `Ranges overlap; re-resolve so every workspace shares one ${name} version`
+                    : `Align the ${name} ranges across workspaces`
+            });
+        }
+
+        return conflicts.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    rangesIntersect(ranges) {
+        // Non-semver specifiers (git, file:, tags) cannot be compared and count as conflicting
+        return ranges.every((range, index) =>
+            ranges.slice(index + 1).every(other => VersionRange.intersects(range, other) === true)
+        );
+    }
+
+    getPackageName(importName) {
+        const parts = importName.split('/');
+        return importName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+}
+
+module.exports = WorkspaceAnalyzer;
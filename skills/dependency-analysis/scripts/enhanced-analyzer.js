@@ -9,11 +9,47 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { execSync } = require('child_process');
+const semver = require('semver');
 
 // Import modular analyzers
 const ImportAnalyzer = require('./analyzers/import-analyzer');
 const PeerDependencyAnalyzer = require('./analyzers/peer-dependency-analyzer');
+const ConfigUsageAnalyzer = require('./analyzers/config-usage-analyzer');
+const WorkspaceAnalyzer = require('./analyzers/workspace-analyzer');
+const DuplicateAnalyzer = require('./analyzers/duplicate-analyzer');
+const SymbolUsageAnalyzer = require('./analyzers/symbol-usage-analyzer');
+const DeadCodeAnalyzer = require('./analyzers/dead-code-analyzer');
+const LicenseAnalyzer = require('./analyzers/license-analyzer');
+const BreakingChangeAnalyzer = require('./analyzers/breaking-change-analyzer');
 const PackageUtils = require('./utils/package-utils');
+const PackageSizeCalculator = require('./utils/package-size');
+const AdvisoryDatabase = require('./utils/advisory-database');
+const LockfileParser = require('./utils/lockfile-parser');
+const DependencyGraph = require('./utils/dependency-graph');
+const VersionRange = require('./utils/version-range');
+const IssueBaseline = require('./utils/issue-baseline');
+const ImportCache = require('./utils/import-cache');
+const ImportWorkerPool = require('./utils/import-worker-pool');
+const SourceFileScanner = require('./utils/source-files');
+const PackageExports = require('./utils/package-exports');
+const WorkspaceDiscovery = require('./utils/workspace-discovery');
+const RegistryMetadata = require('./utils/registry-metadata');
+const PackageManager = require('./utils/package-manager');
+const FixPlan = require('./utils/fix-plan');
+
+// Build-output and private directories that are not public entry points of a package without "exports"
+const INTERNAL_SUBPATH = /^\.\/(?:.*\/)?(?:dist|lib|build|src|internal|internals|esm|cjs|es|umd|_[^/]*)(?:\/|$)/;
+
+// A non-tree-shakable package this large, used for at most this many functions, is worth importing per function
+const HEAVY_PACKAGE_BYTES = 100 * 1024;
+const PER_FUNCTION_SYMBOL_LIMIT = 10;
+
+// Upgrade risk points (out of 100) by update type, plus at most UPGRADE_RISK_MAX_* for how widely
+// the package is imported and how many installed packages declare it as a peer
+const UPGRADE_RISK_BY_TYPE = { premajor: 55, major: 50, prerelease: 25, minor: 15, patch: 5 };
+const UPGRADE_RISK_ZERO_MAJOR = { minor: 20, other: 10 };
+const UPGRADE_RISK_MAX_FILES = 20;
+const UPGRADE_RISK_MAX_PEERS = 15;
 
 class EnhancedDependencyAnalyzer {
     constructor(projectPath, options = {}) {
@@ -23,19 +59,44 @@ class EnhancedDependencyAnalyzer {
             checkPeerDependencies: options.checkPeerDependencies !== false,
             checkOutdated: options.checkOutdated || false,
             checkSecurity: options.checkSecurity || false,
+            checkDeadCode: options.checkDeadCode || false,
+            checkLicenses: options.checkLicenses || false,
             includeDev: options.includeDev !== false,
             generateGraph: options.generateGraph || false,
             generateFixScript: options.generateFixScript || false,
+            generateReport: options.generateReport !== false,
+            workspaces: options.workspaces || false,
+            baseline: options.baseline || null,
+            updateBaseline: options.updateBaseline || false,
+            failOn: options.failOn || 'medium',
             maxDepth: options.maxDepth || 5,
             parallel: options.parallel || false,
             incremental: options.incremental || false,
             cacheDir: options.cacheDir || path.join(this.projectPath, '.dependency-cache'),
-            filePattern: options.filePattern || '**/*.{js,jsx,ts,tsx,vue,svelte}',
+            filePattern: options.filePattern || '**/*.{js,jsx,ts,tsx,vue,svelte,astro,mdx,css,scss,sass}',
             ...options
         };
 
         this.importAnalyzer = new ImportAnalyzer(this.projectPath, this.options);
+        this.sourceScanner = new SourceFileScanner(this.projectPath, this.options);
         this.peerAnalyzer = new PeerDependencyAnalyzer(this.projectPath, this.options);
+        this.duplicateAnalyzer = new DuplicateAnalyzer(this.projectPath, this.options);
+        this.symbolUsageAnalyzer = new SymbolUsageAnalyzer(this.projectPath, this.options);
+        this.deadCodeAnalyzer = new DeadCodeAnalyzer(this.projectPath, this.options);
+        this.licenseAnalyzer = new LicenseAnalyzer(this.projectPath, this.options);
+        this.breakingChangeAnalyzer = new BreakingChangeAnalyzer(this.projectPath, this.options);
+        this.sizeCalculator = new PackageSizeCalculator(this.projectPath);
+        // Workspace packages share the root lockfile, where they are keyed by their relative path
+        this.workspaceRoot = this.options.workspaceRoot ? path.resolve(this.options.workspaceRoot) : null;
+        this.importer = this.workspaceRoot
+            ? path.relative(this.workspaceRoot, this.projectPath).split(path.sep).join('/') || '.'
+            : '.';
+        this.lockfile = new LockfileParser(this.workspaceRoot || this.projectPath);
+        this.workspaceAnalyzer = new WorkspaceAnalyzer(this.projectPath, this.options);
+        this.workspace = null;
+        this.workspacePackages = new Map((this.options.workspacePackages || []).map(pkg => [pkg.name, pkg]));
+        this.configUsageAnalyzer = new ConfigUsageAnalyzer(this.projectPath, this.options);
+        this.configUsage = { configFiles: new Map(), scripts: new Map() };
 
         this.result = {
             success: true,
@@ -55,7 +116,15 @@ class EnhancedDependencyAnalyzer {
                 peerConflicts: 0,
                 circular: 0,
                 duplicate: 0,
-                versionConflicts: 0
+                versionConflicts: 0,
+                typeOnly: 0,
+                unexportedSubpaths: 0,
+                unusedFiles: 0,
+                unusedExports: 0,
+                licenseViolations: 0,
+                licenseReview: 0,
+                unusedBytes: 0,
+                duplicateBytes: 0
             },
             categories: {
                 frontend: { count: 0, size: '0KB', packages: [] },
@@ -72,9 +141,13 @@ class EnhancedDependencyAnalyzer {
                 peerConflicts: [],
                 circular: [],
                 duplicate: [],
+                unexportedSubpaths: [],
                 versionConflicts: [],
                 outdated: [],
-                vulnerable: []
+                vulnerable: [],
+                unusedFiles: [],
+                unusedExports: [],
+                licenses: []
             },
             recommendations: {
                 high: [],
@@ -82,6 +155,10 @@ class EnhancedDependencyAnalyzer {
                 low: []
             },
             dependencies: {},
+            typeOnlyImports: [],
+            packageSurface: [],
+            entryPoints: [],
+            licenses: null,
             graph: {
                 nodes: [],
                 edges: []
@@ -90,7 +167,9 @@ class EnhancedDependencyAnalyzer {
                 analyzedAt: new Date().toISOString(),
                 duration: 0,
                 filesAnalyzed: 0,
-                cacheHits: 0
+                cacheHits: 0,
+                lockfile: null,
+                packageManager: null
             }
         };
     }
@@ -99,46 +178,92 @@ class EnhancedDependencyAnalyzer {
         const startTime = Date.now();
 
         try {
-            // Setup cache if incremental
-            if (this.options.incremental) {
-                await this.setupCache();
-            }
-
             // Load package.json
             const packageJson = await this.loadPackageJson();
             if (!packageJson) {
                 throw new Error('package.json not found');
             }
+            this.packageJson = packageJson;
+
+            if (this.options.workspaces) {
+                this.workspace = await WorkspaceDiscovery.discover(this.projectPath);
+                if (!this.workspace) {
+                    throw new Error('No workspace configuration found (pnpm-workspace.yaml, package.json workspaces, lerna.json or nx.json)');
+                }
+                this.workspacePackages = new Map(this.workspace.packages.map(pkg => [pkg.name, pkg]));
+            }
 
             this.result.project.name = packageJson.name || path.basename(this.projectPath);
             this.result.project.version = packageJson.version || '0.0.0';
 
+            // Resolved versions come from the lockfile, not the package.json ranges
+            if (await this.lockfile.load()) {
+                this.result.metadata.lockfile = {
+                    type: this.lockfile.type,
+                    version: this.lockfile.lockfileVersion,
+                    path: path.relative(this.projectPath, this.lockfile.lockfilePath),
+                    packages: this.lockfile.packages.size
+                };
+            }
+            // Fix commands and the report's quick fixes are written for this package manager
+            this.packageManager = await PackageManager.detect(this.workspaceRoot || this.projectPath, packageJson, this.options.packageManager);
+            this.result.metadata.packageManager = this.packageManager.toJSON();
+
             // Initialize analyzers
             await this.importAnalyzer.initialize();
 
+            // Setup cache if incremental; it is keyed by the alias configuration just loaded
+            if (this.options.incremental) {
+                await this.setupCache();
+            }
+
             // Get and categorize dependencies
             const dependencies = await this.getAllDependencies(packageJson);
+            this.dependencies = dependencies;
             await this.categorizeDependencies(dependencies);
 
             // Analyze imports
             const sourceFiles = await this.getSourceFiles();
             this.result.metadata.filesAnalyzed = sourceFiles.length;
 
-            if (this.options.parallel && sourceFiles.length > 100) {
+            if (this.options.parallel) {
                 await this.analyzeImportsParallel(sourceFiles);
             } else {
                 await this.analyzeImportsSequential(sourceFiles);
             }
 
+            if (this.importCache) {
+                await this.saveCache();
+            }
+
+            this.packageImports = this.importAnalyzer.groupByPackage(this.importMap);
+
+            // File-level import graph for circular import detection
+            this.dependencyGraph = this.buildDependencyGraph(sourceFiles);
+            this.detectCircularDependencies();
+
+            // Reachability needs the whole tree, not just the files changed since --since
+            if (this.options.checkDeadCode && !this.sourceScanner.changedFiles) {
+                await this.detectDeadCode(sourceFiles);
+            }
+
             // Run all analyses
+            // A --since run only sees the changed files, so nothing can be called unused
             await Promise.all([
-                this.findUnusedDependencies(dependencies),
+                this.sourceScanner.changedFiles ? null : this.findUnusedDependencies(dependencies),
                 this.findMissingDependencies(dependencies),
                 this.findPhantomDependencies(dependencies),
+                this.findTypeOnlyImports(dependencies),
+                this.findUnexportedSubpaths(),
+                this.analyzePackageSurface(dependencies),
                 this.detectDuplicateDependencies(dependencies),
                 this.detectVersionConflicts(dependencies)
             ]);
 
+            if (this.workspace) {
+                await this.analyzeWorkspaces();
+            }
+
             // Optional analyses
             if (this.options.checkPeerDependencies) {
                 await this.analyzePeerDependencies();
@@ -152,9 +277,17 @@ class EnhancedDependencyAnalyzer {
                 await this.checkSecurityVulnerabilities(dependencies);
             }
 
+            if (this.options.checkLicenses) {
+                await this.checkLicenses();
+            }
+
             // Generate recommendations
             await this.generateRecommendations();
 
+            if (this.options.baseline) {
+                await this.compareWithBaseline();
+            }
+
             // Generate outputs
             if (this.options.generateGraph) {
                 await this.generateDependencyGraph();
@@ -165,7 +298,9 @@ class EnhancedDependencyAnalyzer {
             }
 
             // Generate markdown report
-            await this.generateMarkdownReport();
+            if (this.options.generateReport) {
+                await this.generateMarkdownReport();
+            }
 
         } catch (error) {
             this.result.success = false;
@@ -180,10 +315,21 @@ class EnhancedDependencyAnalyzer {
     }
 
     async setupCache() {
+        this.importCache = new ImportCache(path.resolve(this.projectPath, this.options.cacheDir));
+        await this.importCache.load(ImportCache.hash(this.importAnalyzer.getConfigSignature()));
+        if (this.importCache.invalidated) {
+            this.result.metadata.cacheInvalidated = this.importCache.invalidated;
+        }
+    }
+
+    async saveCache() {
+        this.result.metadata.cacheHits = this.importCache.hits;
+        this.result.metadata.cacheMisses = this.importCache.misses;
         try {
-            await fs.mkdir(this.options.cacheDir, { recursive: true });
+            await this.importCache.save();
         } catch (error) {
-            // Cache directory might exist
+            // A read-only checkout still gets a full analysis, just no cache for the next run
+            this.result.metadata.cacheError = error.message;
         }
     }
 
@@ -200,30 +346,51 @@ class EnhancedDependencyAnalyzer {
     async getAllDependencies(packageJson) {
         const dependencies = new Map();
 
-        const addDependencies = (deps, type) => {
+        const addDependencies = async (deps, type) => {
             if (!deps) return;
 
-            Object.entries(deps).forEach(async ([name, version]) => {
+            for (const [name, version] of Object.entries(deps)) {
+                // Sibling workspace packages are linked, not installed from the registry
+                const sibling = this.workspacePackages.get(name);
+                if (sibling && VersionRange.satisfies(sibling.version, version, { includePrerelease: true })) {
+                    dependencies.set(name, {
+                        version,
+                        resolvedVersion: sibling.version,
+                        type,
+                        category: this.categorizeDependency(name),
+                        workspace: true,
+                        installed: true,
+                        size: PackageUtils.formatSize(0),
+                        sizeBytes: 0,
+                        installSize: PackageUtils.formatSize(0),
+                        installSizeBytes: 0,
+                        installPackageCount: 0,
+                        lastUsed: null
+                    });
+                    continue;
+                }
+
                 dependencies.set(name, {
                     version,
+                    resolvedVersion: await this.getResolvedVersion(name),
                     type,
                     category: this.categorizeDependency(name),
-                    size: await this.getDependencySize(name),
+                    ...await this.getDependencySize(name),
                     lastUsed: null // Can be enhanced with git blame analysis
                 });
-            });
+            }
         };
 
         if (this.options.scope === 'all' || this.options.scope === 'dependencies') {
-            addDependencies(packageJson.dependencies, 'dependencies');
+            await addDependencies(packageJson.dependencies, 'dependencies');
         }
 
         if (this.options.includeDev && (this.options.scope === 'all' || this.options.scope === 'devDependencies')) {
-            addDependencies(packageJson.devDependencies, 'devDependencies');
+            await addDependencies(packageJson.devDependencies, 'devDependencies');
         }
 
         if (this.options.scope === 'all' || this.options.scope === 'peerDependencies') {
-            addDependencies(packageJson.peerDependencies, 'peerDependencies');
+            await addDependencies(packageJson.peerDependencies, 'peerDependencies');
         }
 
         this.result.summary.total = dependencies.size;
@@ -232,6 +399,14 @@ class EnhancedDependencyAnalyzer {
         return dependencies;
     }
 
+    async getResolvedVersion(name) {
+        const locked = this.lockfile.getResolvedVersion(name, this.importer);
+        if (locked) {
+            return locked;
+        }
+        return PackageUtils.getInstalledVersion(name, this.projectPath);
+    }
+
     categorizeDependency(name) {
         const patterns = {
             frontend: [
@@ -266,192 +441,375 @@ class EnhancedDependencyAnalyzer {
     }
 
     async categorizeDependencies(dependencies) {
+        const categoryBytes = {};
+
         for (const [name, info] of dependencies) {
             const category = info.category || this.categorizeDependency(name);
             this.result.categories[category].count++;
             this.result.categories[category].packages.push({
                 name,
                 version: info.version,
-                size: info.size || '0KB'
+                size: info.size,
+                sizeBytes: info.sizeBytes,
+                installSize: info.installSize
             });
 
-            // Update category size
-            // This would need actual size calculation in a real implementation
+            categoryBytes[category] = (categoryBytes[category] || 0) + info.sizeBytes;
+        }
+
+        for (const [category, info] of Object.entries(this.result.categories)) {
+            info.sizeBytes = categoryBytes[category] || 0;
+            info.size = PackageUtils.formatSize(info.sizeBytes);
         }
     }
 
     async getDependencySize(name) {
-        // Simplified size calculation
-        // In practice, you'd calculate actual disk usage
-        const avgSize = Math.random() * 1000; // KB
-        return `${Math.round(avgSize)}KB`;
+        // Own files vs. the full transitive install footprint, measured from node_modules
+        const { installed, size, installSize, packageCount } = await this.sizeCalculator.getSize(name);
+
+        return {
+            installed,
+            size: PackageUtils.formatSize(size),
+            sizeBytes: size,
+            installSize: PackageUtils.formatSize(installSize),
+            installSizeBytes: installSize,
+            installPackageCount: packageCount
+        };
     }
 
     async getSourceFiles() {
-        const sourceFiles = [];
-        const extensions = ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss', '.sass'];
+        // Nested workspace packages are analyzed against their own manifest
+        const nestedWorkspaces = new Set(Array.from(this.workspacePackages.values())
+            .map(pkg => pkg.path)
+            .filter(packagePath => packagePath !== this.projectPath));
+
+        const sourceFiles = await this.sourceScanner.scan({ skipDirectories: nestedWorkspaces });
+        if (this.sourceScanner.changedFiles) {
+            this.result.metadata.changedSince = {
+                ref: this.options.since,
+                changedFiles: this.sourceScanner.changedFiles.size,
+                sourceFiles: sourceFiles.length
+            };
+        }
+        return sourceFiles;
+    }
 
-        const scanDir = async (dir) => {
-            try {
-                const items = await fs.readdir(dir, { withFileTypes: true });
+    async analyzeImportsSequential(sourceFiles) {
+        this.importMap = new Map();
+        this.fileImports = new Map();
 
-                const promises = items.map(async (item) => {
-                    const fullPath = path.join(dir, item.name);
-                    const relativePath = path.relative(this.projectPath, fullPath);
+        for (const file of sourceFiles) {
+            const imports = await this.extractImports(file);
+            this.recordImports(file, imports);
+        }
+    }
 
-                    if (this.shouldExclude(item.name, relativePath)) {
-                        return;
-                    }
+    async analyzeImportsParallel(sourceFiles) {
+        this.importMap = new Map();
+        this.fileImports = new Map();
 
-                    if (item.isDirectory()) {
-                        await scanDir(fullPath);
-                    } else if (extensions.some(ext => item.name.endsWith(ext))) {
-                        sourceFiles.push(fullPath);
-                    }
-                });
+        const pool = new ImportWorkerPool(this.projectPath, this.options);
+        if (!(await pool.start())) {
+            await pool.close();
+            this.result.metadata.workerError = 'Worker threads could not start; imports were analyzed on the main thread';
+            return this.analyzeImportsSequential(sourceFiles);
+        }
 
-                await Promise.all(promises);
-            } catch (error) {
-                // Skip directories that can't be read
+        // Results arrive in completion order but are recorded in source order, so the output matches a sequential run
+        const results = new Array(sourceFiles.length);
+        let recorded = 0;
+        let next = 0;
+        const lane = async () => {
+            while (next < sourceFiles.length) {
+                const index = next++;
+                results[index] = await this.extractImports(sourceFiles[index], pool);
+                while (recorded < sourceFiles.length && results[recorded]) {
+                    this.recordImports(sourceFiles[recorded], results[recorded]);
+                    recorded++;
+                }
             }
         };
 
-        await scanDir(this.projectPath);
-        return sourceFiles;
-    }
-
-    shouldExclude(name, relativePath) {
-        const excludePatterns = [
-            'node_modules',
-            'dist',
-            'build',
-            'coverage',
-            '.git',
-            '.nyc_output',
-            '.next',
-            '.nuxt',
-            'storybook-static',
-            '.cache',
-            '.dependency-cache'
-        ];
+        try {
+            // A few files in flight per worker keeps them busy without reading the whole tree into memory
+            await Promise.all(Array.from({ length: pool.size * 4 }, lane));
+        } finally {
+            await pool.close();
+        }
 
-        return name.startsWith('.') || excludePatterns.some(pattern =>
-            relativePath.includes(pattern) || name === pattern
-        );
+        this.result.metadata.workers = pool.stats;
+        this.result.metadata.workerFailures = pool.failures.map(failure => ({
+            ...failure,
+            file: path.relative(this.projectPath, failure.file)
+        }));
     }
 
-    async analyzeImportsSequential(sourceFiles) {
-        this.importMap = new Map();
+    async extractImports(file, pool = null) {
+        let content = null;
+        let relativePath;
+        let contentHash;
 
-        for (const file of sourceFiles) {
-            const imports = await this.importAnalyzer.analyzeFile(file);
-            for (const imp of imports) {
-                if (!this.importMap.has(imp.module)) {
-                    this.importMap.set(imp.module, []);
-                }
-                this.importMap.get(imp.module).push({
-                    file,
-                    line: imp.line,
-                    type: imp.type
-                });
+        if (this.importCache) {
+            try {
+                content = await fs.readFile(file, 'utf-8');
+            } catch (error) {
+                return [];
+            }
+
+            relativePath = path.relative(this.projectPath, file);
+            contentHash = ImportCache.hash(content);
+            const cached = this.importCache.get(relativePath, contentHash);
+            if (cached) {
+                return this.importAnalyzer.resolveCachedImports(cached, file);
             }
         }
 
-        // Build dependency graph for circular detection
-        this.dependencyGraph = await this.buildDependencyGraph(sourceFiles);
-        await this.detectCircularDependencies();
-    }
+        const outcome = pool ? await pool.run(file, content) : null;
+        if (outcome && outcome.error) {
+            // The file timed out or crashed its worker; retrying it here could hang the whole run
+            return outcome.imports;
+        }
 
-    async analyzeImportsParallel(sourceFiles) {
-        // Simplified parallel processing
-        // In practice, you'd use worker threads
-        const batchSize = 50;
-        this.importMap = new Map();
+        let imports;
+        if (outcome) {
+            imports = outcome.imports;
+        } else {
+            imports = content === null
+                ? await this.importAnalyzer.analyzeFile(file)
+                : await this.importAnalyzer.analyzeContent(content, file);
+        }
 
-        for (let i = 0; i < sourceFiles.length; i += batchSize) {
-            const batch = sourceFiles.slice(i, i + batchSize);
-            const promises = batch.map(file => this.importAnalyzer.analyzeFile(file));
+        if (this.importCache) {
+            this.importCache.set(relativePath, contentHash, imports);
+        }
+        return imports;
+    }
 
-            const results = await Promise.all(promises);
+    recordImports(file, imports) {
+        this.fileImports.set(file, imports);
 
-            results.forEach(imports => {
-                for (const imp of imports) {
-                    if (!this.importMap.has(imp.module)) {
-                        this.importMap.set(imp.module, []);
-                    }
-                    this.importMap.get(imp.module).push({
-                        file: imp.file,
-                        line: imp.line,
-                        type: imp.type
-                    });
-                }
+        for (const imp of imports) {
+            if (!this.importMap.has(imp.module)) {
+                this.importMap.set(imp.module, []);
+            }
+            this.importMap.get(imp.module).push({
+                file,
+                line: imp.line,
+                type: imp.type,
+                typeOnly: Boolean(imp.typeOnly),
+                bindings: imp.bindings
             });
         }
     }
 
-    async buildDependencyGraph(sourceFiles) {
+    buildDependencyGraph(sourceFiles) {
+        // file -> [{ file, kind, line, type, bindings }]; only runtime edges can form cycles that break module loading
         const graph = new Map();
+        const knownFiles = new Set(sourceFiles);
 
         for (const filePath of sourceFiles) {
-            const deps = [];
-            const fileImports = await this.importAnalyzer.analyzeFile(filePath);
-
-            for (const imp of fileImports) {
-                if (this.importAnalyzer.isRelativeImport(imp.module)) {
-                    const resolvedPath = this.importAnalyzer.resolveImportPath(imp.module, filePath);
-                    if (resolvedPath && sourceFiles.includes(resolvedPath)) {
-                        deps.push(resolvedPath);
-                    }
+            const edges = [];
+
+            for (const imp of this.fileImports.get(filePath) || []) {
+                if (imp.type === 'require-resolve' || this.importAnalyzer.isBuiltinModule(imp.module)) {
+                    continue;
                 }
+
+                // Relative specifiers, tsconfig paths and bundler aliases all resolve to project files
+                const resolvedPath = this.importAnalyzer.resolveImportPath(imp.module, filePath);
+                if (!knownFiles.has(resolvedPath)) continue;
+
+                let kind = 'runtime';
+                if (imp.typeOnly) {
+                    kind = 'type';
+                } else if (imp.dynamic) {
+                    kind = 'dynamic';
+                }
+
+                edges.push({ file: resolvedPath, kind, line: imp.line, type: imp.type, bindings: imp.bindings });
             }
 
-            graph.set(filePath, deps);
+            graph.set(filePath, edges);
         }
 
         return graph;
     }
 
-    async detectCircularDependencies() {
-        const visited = new Set();
-        const recursionStack = new Set();
+    async detectDeadCode(sourceFiles) {
+        // Files no entry point reaches, and exports no reachable file imports
+        const { entryPoints, unusedFiles, unusedExports } = await this.deadCodeAnalyzer.analyze({
+            sourceFiles,
+            graph: this.dependencyGraph,
+            packageJson: this.packageJson,
+            importAnalyzer: this.importAnalyzer
+        });
+
+        this.result.entryPoints = entryPoints;
+        this.result.issues.unusedFiles = unusedFiles;
+        this.result.issues.unusedExports = unusedExports;
+        this.result.summary.unusedFiles = unusedFiles.length;
+        this.result.summary.unusedExports = unusedExports.length;
+    }
+
+    detectCircularDependencies() {
         const cycles = [];
+        const runtimeComponents = this.findStronglyConnectedComponents(edge => edge.kind === 'runtime');
+        const runtimeComponentOf = new Map();
+
+        for (const component of runtimeComponents) {
+            component.forEach(file => runtimeComponentOf.set(file, component));
+            cycles.push({
+                runtime: true,
+                files: component,
+                cycle: this.findCycle(component, edge => edge.kind === 'runtime')
+            });
+        }
 
-        const dfs = (node, path) => {
-            if (recursionStack.has(node)) {
-                const cycleStart = path.indexOf(node);
-                const cycle = path.slice(cycleStart);
-                cycles.push(cycle.map(f => path.relative(this.projectPath, f)));
-                return;
-            }
+        // Loops that only close through type-only or dynamic imports are reported but do not break loading
+        for (const component of this.findStronglyConnectedComponents(() => true)) {
+            const runtimeComponent = runtimeComponentOf.get(component[0]);
+            if (runtimeComponent && runtimeComponent.length === component.length) continue;
 
-            if (visited.has(node)) return;
+            const members = new Set(component);
+            const closingEdge = component
+                .flatMap(file => (this.dependencyGraph.get(file) || []).map(edge => ({ from: file, edge })))
+                .find(({ edge }) => edge.kind !== 'runtime' && members.has(edge.file));
 
-            visited.add(node);
-            recursionStack.add(node);
-            path.push(node);
+            cycles.push({
+                runtime: false,
+                files: component,
+                cycle: this.findCycle(component, () => true, closingEdge)
+            });
+        }
 
-            const deps = this.dependencyGraph.get(node) || [];
-            for (const dep of deps) {
-                dfs(dep, [...path]);
-            }
+        this.result.issues.circular = cycles.map(({ runtime, files, cycle }) => {
+            const kinds = new Set(cycle.edges.map(edge => edge.kind));
+            const cyclePath = cycle.files.map(f => path.relative(this.projectPath, f));
+            // The path repeats its first file at the end
+            const length = cyclePath.length - 1;
+
+            return {
+                path: cyclePath,
+                files: files.map(f => path.relative(this.projectPath, f)),
+                runtime,
+                via: runtime ? [] : Array.from(kinds).filter(kind => kind !== 'runtime'),
+                severity: !runtime ? 'low' : length <= 3 ? 'high' : length <= 5 ? 'medium' : 'low',
+                impact: this.calculateCycleImpact(cyclePath.slice(0, length))
+            };
+        });
 
-            recursionStack.delete(node);
-            path.pop();
-        };
+        this.result.summary.circular = cycles.filter(cycle => cycle.runtime).length;
+    }
 
-        for (const node of this.dependencyGraph.keys()) {
-            if (!visited.has(node)) {
-                dfs(node, []);
+    findStronglyConnectedComponents(includeEdge) {
+        // Iterative Tarjan so that deep import chains cannot overflow the call stack
+        const indexOf = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        for (const root of this.dependencyGraph.keys()) {
+            if (indexOf.has(root)) continue;
+
+            const work = [{ node: root, edgeIndex: 0 }];
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const { node } = frame;
+
+                if (frame.edgeIndex === 0 && !indexOf.has(node)) {
+                    indexOf.set(node, nextIndex);
+                    lowLink.set(node, nextIndex);
+                    nextIndex++;
+                    stack.push(node);
+                    onStack.add(node);
+                }
+
+                const edges = (this.dependencyGraph.get(node) || []).filter(includeEdge);
+                if (frame.edgeIndex < edges.length) {
+                    const next = edges[frame.edgeIndex++].file;
+                    if (!indexOf.has(next)) {
+                        work.push({ node: next, edgeIndex: 0 });
+                    } else if (onStack.has(next)) {
+                        lowLink.set(node, Math.min(lowLink.get(node), indexOf.get(next)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].node;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)));
+                }
+
+                if (lowLink.get(node) === indexOf.get(node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== node);
+
+                    const selfImport = edges.some(edge => edge.file === node);
+                    if (component.length > 1 || selfImport) {
+                        components.push(component.sort());
+                    }
+                }
             }
         }
 
-        this.result.issues.circular = cycles.map(cycle => ({
-            path: cycle,
-            severity: cycle.length <= 3 ? 'high' : cycle.length <= 5 ? 'medium' : 'low',
-            impact: this.calculateCycleImpact(cycle)
-        }));
+        return components;
+    }
+
+    findCycle(component, includeEdge, closingEdge = null) {
+        // Shortest loop inside the component, through closingEdge when one is given
+        const members = new Set(component);
+
+        if (!closingEdge) {
+            return this.findRoute(component[0], component[0], members, includeEdge);
+        }
+
+        const { from, edge } = closingEdge;
+        if (edge.file === from) {
+            return { files: [from, from], edges: [edge] };
+        }
 
-        this.result.summary.circular = cycles.length;
+        const route = this.findRoute(edge.file, from, members, includeEdge);
+        return { files: [from, ...route.files], edges: [edge, ...route.edges] };
+    }
+
+    findRoute(from, to, members, includeEdge) {
+        // Breadth-first over at least one edge, so from === to yields a loop
+        const previous = new Map();
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+
+            for (const edge of (this.dependencyGraph.get(node) || []).filter(includeEdge)) {
+                if (!members.has(edge.file)) continue;
+
+                if (edge.file === to) {
+                    const files = [to];
+                    const edges = [edge];
+                    for (let current = node; current !== from; current = previous.get(current).node) {
+                        files.unshift(current);
+                        edges.unshift(previous.get(current).edge);
+                    }
+                    files.unshift(from);
+                    return { files, edges };
+                }
+
+                if (edge.file !== from && !previous.has(edge.file)) {
+                    previous.set(edge.file, { node, edge });
+                    queue.push(edge.file);
+                }
+            }
+        }
+
+        return { files: Array.from(members), edges: [] };
     }
 
     calculateCycleImpact(cycle) {
@@ -462,7 +820,67 @@ class EnhancedDependencyAnalyzer {
         };
     }
 
+    async analyzeWorkspaces() {
+        const siblings = this.workspace.packages.map(pkg => ({ name: pkg.name, version: pkg.version, path: pkg.path }));
+        const members = [{
+            pkg: { name: this.packageJson.name || '(root)', version: this.packageJson.version, relativePath: '.' },
+            importMap: this.importMap,
+            dependencies: this.dependencies
+        }];
+        const packages = [];
+
+        for (const pkg of this.workspace.packages) {
+            const analyzer = new EnhancedDependencyAnalyzer(pkg.path, {
+                ...this.options,
+                workspaces: false,
+                workspaceRoot: this.projectPath,
+                workspacePackages: siblings,
+                generateGraph: false,
+                generateFixScript: false,
+                generateReport: false
+            });
+            const result = await analyzer.analyze();
+
+            members.push({
+                pkg,
+                importMap: analyzer.importMap || new Map(),
+                dependencies: analyzer.dependencies || new Map()
+            });
+            packages.push({
+                name: pkg.name,
+                version: pkg.version,
+                path: pkg.relativePath,
+                success: result.success,
+                error: result.error ? result.error.message : undefined,
+                summary: result.summary,
+                issues: result.issues,
+                dependencies: result.dependencies
+            });
+        }
+
+        const { graph, issues } = this.workspaceAnalyzer.analyze(this.workspace, members);
+
+        this.result.workspace = {
+            type: this.workspace.type,
+            patterns: this.workspace.patterns,
+            packages,
+            graph,
+            issues
+        };
+        this.result.summary.workspacePackages = packages.length;
+        this.result.summary.workspaceIssues = Object.values(issues).reduce((total, list) => total + list.length, 0);
+    }
+
+    isWorkspaceImport(importName) {
+        // Sibling imports are checked against the manifest by the workspace analysis
+        const parts = importName.split('/');
+        const packageName = importName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+        return this.workspacePackages.has(packageName);
+    }
+
     async findUnusedDependencies(dependencies) {
+        this.configUsage = await this.configUsageAnalyzer.analyze(this.packageJson, Array.from(dependencies.keys()));
+
         for (const [depName, depInfo] of dependencies) {
             if (await this.isDependencyUsed(depName, depInfo)) {
                 continue;
@@ -478,6 +896,9 @@ class EnhancedDependencyAnalyzer {
                 type: depInfo.type,
                 category: depInfo.category,
                 size: depInfo.size,
+                sizeBytes: depInfo.sizeBytes,
+                installSize: depInfo.installSize,
+                installSizeBytes: depInfo.installSizeBytes,
                 confidence: this.calculateConfidence(depName),
                 reason: this.getUnusedReason(depName, depInfo),
                 suggestedAction: this.getSuggestedAction(depName, depInfo)
@@ -486,47 +907,51 @@ class EnhancedDependencyAnalyzer {
             this.result.issues.unused.push(unused);
             this.result.summary.unused++;
         }
+
+        const unusedNames = this.result.issues.unused.map(u => u.name);
+        const keptNames = Array.from(dependencies.keys()).filter(name => !unusedNames.includes(name));
+        this.result.summary.unusedBytes = await this.sizeCalculator.getRemovableSize(unusedNames, keptNames);
     }
 
     async isDependencyUsed(depName, depInfo) {
-        if (this.importMap.has(depName)) {
+        if (this.packageImports.has(depName)) {
+            return true;
+        }
+
+        if (depName.startsWith('@types/') && this.isTypedPackageImported(PackageUtils.getTypedPackageName(depName))) {
             return true;
         }
 
         const patterns = [
-            depName.startsWith('@babel/') && this.importMap.has('babel'),
-            depName.startsWith('eslint-plugin-') && this.importMap.has('eslint'),
-            depName.startsWith('@types/') && this.importMap.has('typescript'),
-            depName.endsWith('-loader') && this.importMap.has('webpack'),
-            depName.startsWith('vite-plugin-') && this.importMap.has('vite'),
-            depName.startsWith('prettier-plugin-') && this.importMap.has('prettier')
+            depName.startsWith('@babel/') && this.packageImports.has('babel'),
+            depName.startsWith('eslint-plugin-') && this.packageImports.has('eslint'),
+            depName.startsWith('@types/') && this.packageImports.has('typescript'),
+            depName.endsWith('-loader') && this.packageImports.has('webpack'),
+            depName.startsWith('vite-plugin-') && this.packageImports.has('vite'),
+            depName.startsWith('prettier-plugin-') && this.packageImports.has('prettier')
         ];
 
         return patterns.some(Boolean);
     }
 
-    isUsedInConfigFiles(depName) {
-        // Enhanced config file checking
-        const configFiles = [
-            'webpack.config.js', 'webpack.config.ts',
-            'vite.config.js', 'vite.config.ts',
-            'rollup.config.js', 'rollup.config.ts',
-            '.babelrc', 'babel.config.js',
-            'tsconfig.json', 'tsconfig.build.json',
-            '.eslintrc.js', '.eslintrc.json', '.eslintrc.yml',
-            'prettier.config.js', '.prettierrc',
-            'tailwind.config.js', 'postcss.config.js',
-            'jest.config.js', 'vitest.config.js'
-        ];
+    isTypedPackageImported(packageName) {
+        // @types/node covers the built-in modules rather than a package called "node"
+        return this.packageImports.has(packageName) ||
+            (packageName === 'node' && Array.from(this.importMap.keys()).some(importName => this.importAnalyzer.isBuiltinModule(importName)));
+    }
+
+    isSatisfiedByTypesPackage(importName, usages, dependencies) {
+        // Type-only imports compile against @types/<name> without the package itself being declared
+        return usages.every(usage => usage.typeOnly) &&
+            dependencies.has(PackageUtils.getTypesPackageName(importName));
+    }
 
-        // In practice, you'd read these files and check for usage
-        return false;
+    isUsedInConfigFiles(depName) {
+        return this.configUsage.configFiles.has(depName);
     }
 
     isUsedInScripts(depName) {
-        // Enhanced script checking in package.json
-        // In practice, you'd parse package.json scripts
-        return false;
+        return this.configUsage.scripts.has(depName);
     }
 
     calculateConfidence(depName) {
@@ -563,14 +988,12 @@ class EnhancedDependencyAnalyzer {
     async findMissingDependencies(dependencies) {
         const nodeModulesPath = path.join(this.projectPath, 'node_modules');
 
-        for (const [importName, usages] of this.importMap) {
-            if (this.importAnalyzer.isRelativeImport(importName) ||
-                this.importAnalyzer.isBuiltinModule(importName) ||
-                importName.startsWith('@types/')) {
+        for (const [importName, usages] of this.packageImports) {
+            if (importName.startsWith('@types/') || this.isWorkspaceImport(importName)) {
                 continue;
             }
 
-            if (dependencies.has(importName)) {
+            if (dependencies.has(importName) || this.isSatisfiedByTypesPackage(importName, usages, dependencies)) {
                 continue;
             }
 
@@ -582,6 +1005,12 @@ class EnhancedDependencyAnalyzer {
                 continue;
             }
 
+            const typeOnly = usages.every(u => u.typeOnly);
+            // /// <reference types="x" /> is looked up under @types first
+            const installName = usages.every(u => u.type === 'reference-types')
+                ? PackageUtils.getTypesPackageName(importName)
+                : importName;
+
             const missing = {
                 name: importName,
                 usedIn: usages.map(u => ({
@@ -590,9 +1019,12 @@ class EnhancedDependencyAnalyzer {
                     type: u.type
                 })),
                 suggestedType: this.categorizeDependency(importName),
+                installName,
+                typeOnly,
                 confidence: usages.length > 2 ? 'high' : 'medium',
                 severity: usages.length > 5 ? 'high' : 'medium',
-                npmCommand: `npm install ${importName}`
+                // Kept under its old name; the command is the detected package manager's
+                npmCommand: PackageManager.format(this.packageManager.command('add', [installName], { dev: typeOnly || null }))
             };
 
             this.result.issues.missing.push(missing);
@@ -603,10 +1035,10 @@ class EnhancedDependencyAnalyzer {
     async findPhantomDependencies(dependencies) {
         const nodeModulesPath = path.join(this.projectPath, 'node_modules');
 
-        for (const [importName, usages] of this.importMap) {
-            if (this.importAnalyzer.isRelativeImport(importName) ||
-                this.importAnalyzer.isBuiltinModule(importName) ||
-                dependencies.has(importName)) {
+        for (const [importName, usages] of this.packageImports) {
+            if (dependencies.has(importName) ||
+                this.isWorkspaceImport(importName) ||
+                this.isSatisfiedByTypesPackage(importName, usages, dependencies)) {
                 continue;
             }
 
@@ -616,12 +1048,14 @@ class EnhancedDependencyAnalyzer {
             if (await PackageUtils.fileExists(packageJsonPath)) {
                 const packageInfo = await PackageUtils.getPackageInfo(modulePath);
                 if (packageInfo) {
+                    const provider = await this.findPhantomProvider(importName);
                     const phantom = {
                         name: importName,
                         version: packageInfo.version,
                         usedIn: usages.map(u => path.relative(this.projectPath, u.file)),
                         risk: this.assessPhantomRisk(importName, usages.length),
-                        providedBy: await this.findPhantomProvider(importName),
+                        providedBy: provider.providedBy,
+                        chains: provider.chains,
                         suggestion: `Add to ${this.categorizeDependency(importName)}`
                     };
 
@@ -632,6 +1066,101 @@ class EnhancedDependencyAnalyzer {
         }
     }
 
+    async findTypeOnlyImports(dependencies) {
+        // Packages that are only ever imported for their types and are erased from the emitted code
+        for (const [importName, usages] of this.packageImports) {
+            if (!usages.every(u => u.typeOnly)) {
+                continue;
+            }
+
+            const declared = dependencies.get(importName);
+            const typesPackage = PackageUtils.getTypesPackageName(importName);
+            const typeOnlyImport = {
+                name: importName,
+                usedIn: [...new Set(usages.map(u => path.relative(this.projectPath, u.file)))],
+                declaredAs: declared ? declared.type : null,
+                typesPackage: dependencies.has(typesPackage) ? typesPackage : null
+            };
+
+            if (declared && declared.type === 'dependencies') {
+                typeOnlyImport.suggestion = 'Not needed at runtime; move to devDependencies unless published type declarations reference it';
+            }
+
+            this.result.typeOnlyImports.push(typeOnlyImport);
+            this.result.summary.typeOnly++;
+        }
+    }
+
+    async findUnexportedSubpaths() {
+        // Deep imports that bypass a package's public entry points
+        for (const [packageName, usages] of this.packageImports) {
+            const deepUsages = usages.filter(usage => usage.specifier !== packageName);
+            if (deepUsages.length === 0) continue;
+
+            const packageDir = this.workspacePackages.has(packageName)
+                ? this.workspacePackages.get(packageName).path
+                : await PackageUtils.resolvePackageDir(packageName, this.projectPath);
+            // Packages that are not installed are reported as missing instead
+            const packageJson = packageDir && await this.importAnalyzer.readJson(path.join(packageDir, 'package.json'));
+            if (!packageJson) continue;
+
+            for (const specifier of new Set(deepUsages.map(usage => usage.specifier))) {
+                const specifierUsages = deepUsages.filter(usage => usage.specifier === specifier);
+                const subpath = '.' + specifier.slice(packageName.length);
+                let blocked = [];
+                let issue;
+
+                if (PackageExports.hasExports(packageJson)) {
+                    // Conditions differ between import and require, so each usage is checked on its own
+                    blocked = specifierUsages.filter(usage =>
+                        PackageExports.resolveExports(packageJson, subpath, this.importAnalyzer.getConditions(usage)) === null
+                    );
+                    issue = {
+                        reason: 'not-exported',
+                        severity: 'high',
+                        suggestion: `${packageName}@${packageJson.version} does not export "${subpath}"; Node and bundlers refuse to resolve it, import a public entry point instead`
+                    };
+                } else if (INTERNAL_SUBPATH.test(subpath)) {
+                    blocked = specifierUsages;
+                    issue = {
+                        reason: 'internal-path',
+                        severity: 'low',
+                        suggestion: `"${subpath}" reaches into the build output of ${packageName}; it is likely to move, or be blocked once the package adds an "exports" map`
+                    };
+                }
+
+                if (blocked.length === 0) continue;
+
+                this.result.issues.unexportedSubpaths.push({
+                    name: packageName,
+                    specifier,
+                    subpath,
+                    version: packageJson.version,
+                    usedIn: [...new Set(blocked.map(u => path.relative(this.projectPath, u.file)))],
+                    ...issue
+                });
+                this.result.summary.unexportedSubpaths++;
+            }
+        }
+    }
+
+    async analyzePackageSurface(dependencies) {
+        // Which exports of each package the code uses, to scope migrations and spot per-function import wins
+        this.result.packageSurface = await this.symbolUsageAnalyzer.analyze(this.packageImports);
+
+        for (const surface of this.result.packageSurface) {
+            const depInfo = dependencies.get(surface.name);
+            const runtimeSymbols = surface.symbols.filter(symbol => symbol.from === surface.name && !symbol.typeOnly);
+
+            // A CommonJS package pulled in whole for a handful of functions ships all of it to the bundle
+            if (depInfo && surface.treeShakable === false && surface.wholeModule.length === 0 &&
+                runtimeSymbols.length > 0 && runtimeSymbols.length <= PER_FUNCTION_SYMBOL_LIMIT &&
+                depInfo.sizeBytes >= HEAVY_PACKAGE_BYTES) {
+                surface.suggestion = `Only ${runtimeSymbols.length} of ${surface.exportCount || 'its'} exports are used and ${surface.name} cannot be tree-shaken (${depInfo.size}); import them per function (e.g. ${surface.name}/${runtimeSymbols[0].name}) or use an ES module build`;
+            }
+        }
+    }
+
     assessPhantomRisk(dependencyName, usageCount) {
         if (usageCount > 10) return 'high';
         if (usageCount > 5) return 'medium';
@@ -639,9 +1168,27 @@ class EnhancedDependencyAnalyzer {
     }
 
     async findPhantomProvider(dependencyName) {
-        // Try to find which package provides this phantom dependency
-        // This would require analyzing the dependency tree
-        return 'Unknown';
+        // Walk the tree backwards from the phantom package to the project's direct dependencies
+        const graph = await this.getPackageGraph();
+        const reverseEdges = graph.reverseEdges;
+        const chains = DependencyGraph.findPackages(graph, dependencyName)
+            .flatMap(node => DependencyGraph.findPaths(graph, reverseEdges, node.id, { importer: this.importer }))
+            .filter(chain => chain.length > 1);
+
+        const providedBy = [...new Set(chains.map(chain => chain[0].replace(/@[^@]+$/, '')))];
+
+        return { providedBy, chains };
+    }
+
+    async getPackageGraph() {
+        if (!this.packageGraph) {
+            const graph = this.lockfile.type
+                ? { packages: this.lockfile.packages, importers: this.lockfile.importers }
+                : await PackageUtils.buildInstalledGraph(this.projectPath, this.packageJson);
+            graph.reverseEdges = DependencyGraph.buildReverseEdges(graph);
+            this.packageGraph = graph;
+        }
+        return this.packageGraph;
     }
 
     async detectDuplicateDependencies(dependencies) {
@@ -672,7 +1219,7 @@ class EnhancedDependencyAnalyzer {
                     type: 'functional',
                     packages: found.map(name => ({
                         name,
-                        version: dependencies.get(name).version,
+                        version: dependencies.get(name).resolvedVersion || dependencies.get(name).version,
                         size: dependencies.get(name).size
                     })),
                     recommendation: `Consider consolidating to a single ${group[0]} implementation`,
@@ -681,6 +1228,16 @@ class EnhancedDependencyAnalyzer {
                 this.result.summary.duplicate++;
             }
         }
+
+        // Same package installed at several versions across the tree; the workspace root reports this once
+        if (this.workspaceRoot) {
+            return;
+        }
+
+        const { duplicates } = await this.duplicateAnalyzer.analyze(this.packageJson, this.lockfile);
+        this.result.issues.duplicate.push(...duplicates);
+        this.result.summary.duplicate += duplicates.length;
+        this.result.summary.duplicateBytes = duplicates.reduce((total, d) => total + d.wastedBytes, 0);
     }
 
     async detectVersionConflicts(dependencies) {
@@ -693,7 +1250,7 @@ class EnhancedDependencyAnalyzer {
                 const peerDeps = await this.getPeerDependencies(packagePath);
 
                 for (const [peerName, peerRange] of Object.entries(peerDeps || {})) {
-                    const installedVersion = dependencies.get(peerName)?.version;
+                    const installedVersion = dependencies.get(peerName)?.resolvedVersion;
                     if (installedVersion && !this.satisfiesVersion(installedVersion, peerRange)) {
                         conflicts.push({
                             package: name,
@@ -725,9 +1282,7 @@ class EnhancedDependencyAnalyzer {
     }
 
     satisfiesVersion(version, range) {
-        // Simplified semver check
-        // In practice, you'd use the semver library
-        return true;
+        return VersionRange.satisfies(version, range);
     }
 
     async analyzePeerDependencies() {
@@ -757,22 +1312,39 @@ class EnhancedDependencyAnalyzer {
     }
 
     async checkOutdatedDependencies(dependencies) {
+        const registry = new RegistryMetadata(this.projectPath, this.options);
+        await registry.initialize();
+        const graph = await PackageUtils.buildInstalledGraph(this.projectPath, this.packageJson);
+        this.breakingChangeAnalyzer.initialize(graph, registry);
+        const peerDependents = this.getPeerDependents(graph);
+
         const batchSize = 5;
-        const depArray = Array.from(dependencies.entries());
+        const depArray = Array.from(dependencies.entries()).filter(([, info]) => !info.workspace);
 
         for (let i = 0; i < depArray.length; i += batchSize) {
             const batch = depArray.slice(i, i + batchSize);
             const batchPromises = batch.map(async ([name, info]) => {
-                const latest = await PackageUtils.getLatestVersion(name);
-                if (latest && PackageUtils.isOutdated(info.version, latest)) {
+                // "lp": "npm:left-pad@^1.0.0" is published as left-pad
+                const packageName = VersionRange.aliasTarget(info.version) || name;
+                const metadata = await registry.get(packageName);
+                if (!metadata) return null;
+
+                const current = info.resolvedVersion || info.version;
+                const resolved = this.toVersion(current);
+                const { latest, ...updates } = RegistryMetadata.resolveUpdates(metadata, resolved, info.version);
+                if (latest && PackageUtils.isOutdated(current, latest)) {
+                    const updateType = this.getUpdateType(current, latest);
                     return {
                         name,
-                        current: info.version,
+                        current,
+                        range: info.version,
                         latest,
+                        ...updates,
                         type: info.type,
                         category: info.category,
-                        updateType: this.getUpdateType(info.version, latest),
-                        breakingChanges: await this.checkBreakingChanges(name, info.version, latest)
+                        updateType,
+                        risk: this.scoreUpgradeRisk(name, resolved, updateType, peerDependents.get(packageName) || []),
+                        breakingChanges: await this.checkBreakingChanges(name, resolved, latest, metadata, packageName)
                     };
                 }
                 return null;
@@ -782,91 +1354,205 @@ class EnhancedDependencyAnalyzer {
             this.result.issues.outdated.push(...results.filter(Boolean));
         }
 
+        // Riskiest upgrades first
+        this.result.issues.outdated.sort((a, b) => b.risk.score - a.risk.score || a.name.localeCompare(b.name));
+
+        try {
+            await registry.save();
+        } catch (error) {
+            registry.errors.push({ name: null, error: `Cannot write registry cache: ${error.message}` });
+        }
+        this.result.metadata.registry = registry.getSummary();
         this.result.summary.outdated = this.result.issues.outdated.length;
     }
 
+    toVersion(versionOrRange) {
+        // A declared range that no lockfile resolved ("^1.2.3") stands for its lowest version
+        return VersionRange.clean(versionOrRange) || VersionRange.minVersion(versionOrRange);
+    }
+
     getUpdateType(current, latest) {
-        const [currentMajor] = current.split('.');
-        const [latestMajor] = latest.split('.');
+        // major | premajor | minor | patch | prerelease, or null when either side is not a version
+        const from = this.toVersion(current);
+        const to = this.toVersion(latest);
+        if (!from || !to || !semver.gt(to, from)) {
+            return null;
+        }
 
-        if (currentMajor !== latestMajor) return 'major';
-        if (current !== latest) return 'minor';
-        return 'patch';
+        // A prerelease of the next minor or patch carries the risk of a prerelease, not of that bump
+        const diff = semver.diff(from, to);
+        return diff === 'preminor' || diff === 'prepatch' ? 'prerelease' : diff;
     }
 
-    async checkBreakingChanges(name, from, to) {
-        // In practice, you'd check changelogs or GitHub releases
-        return null;
+    getPeerDependents(graph) {
+        // Package name -> installed packages ("name@version") that list it in peerDependencies
+        const dependents = new Map();
+        for (const node of graph.packages.values()) {
+            for (const edge of node.dependencies) {
+                if (edge.type !== 'peer') continue;
+                if (!dependents.has(edge.name)) {
+                    dependents.set(edge.name, new Set());
+                }
+                dependents.get(edge.name).add(`${node.name}@${node.version}`);
+            }
+        }
+        return new Map(Array.from(dependents, ([name, labels]) => [name, Array.from(labels).sort()]));
+    }
+
+    scoreUpgradeRisk(name, current, updateType, peerOf) {
+        const usages = this.packageImports.get(name) || [];
+        const files = new Set(usages.map(usage => usage.file)).size;
+        // Below 1.0.0 a minor bump may break as much as a major one
+        const zeroMajor = Boolean(current) && semver.major(current) === 0;
+
+        let score = UPGRADE_RISK_BY_TYPE[updateType] || 0;
+        if (zeroMajor) {
+            score += updateType === 'minor' ? UPGRADE_RISK_ZERO_MAJOR.minor : UPGRADE_RISK_ZERO_MAJOR.other;
+        }
+        // Each doubling of the importing files adds about as much as the first file
+        score += Math.min(UPGRADE_RISK_MAX_FILES, Math.round(7 * Math.log2(files + 1)));
+        if (peerOf.length > 0) {
+            score += Math.min(UPGRADE_RISK_MAX_PEERS, 10 + peerOf.length - 1);
+        }
+        score = Math.min(100, score);
+
+        return {
+            score,
+            level: score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low',
+            files,
+            peerOf,
+            zeroMajor
+        };
+    }
+
+    async checkBreakingChanges(name, from, to, metadata, packageName = name) {
+        // Only updates semver allows to break: a new major, or a new minor below 1.0.0
+        const updateType = this.getUpdateType(from, to);
+        if (!['major', 'premajor'].includes(updateType) && !(updateType === 'minor' && semver.major(from) === 0)) {
+            return null;
+        }
+
+        // Imports use the alias; changelogs and tarballs belong to the published package
+        const surface = this.result.packageSurface.find(entry => entry.name === name);
+        return this.breakingChangeAnalyzer.analyze(packageName, from, to, {
+            versions: metadata.versions,
+            symbols: surface ? surface.symbols : []
+        });
     }
 
     async checkSecurityVulnerabilities(dependencies) {
-        // Enhanced security check with more comprehensive database
-        const vulnerabilities = await this.fetchVulnerabilityDatabase();
+        const database = await this.fetchVulnerabilityDatabase();
+        this.result.metadata.advisorySources = database.sources;
 
-        for (const [name, info] of dependencies) {
-            const vulns = vulnerabilities[name];
-            if (vulns) {
-                const affected = vulns.filter(v => this.versionInRange(info.version, v.vulnerableVersions));
-                for (const vuln of affected) {
-                    this.result.issues.vulnerable.push({
-                        name,
-                        version: info.version,
-                        severity: vuln.severity,
-                        title: vuln.title,
-                        url: vuln.url,
-                        patchedIn: vuln.patchedVersions[0],
-                        recommendation: `Update to ${vuln.patchedVersions[0]} or later`,
-                        cve: vuln.cve
-                    });
-                }
+        for (const { name, version, range, direct } of this.getAuditTargets(dependencies)) {
+            const advisories = database.getAdvisories(name);
+            if (advisories.length === 0) continue;
+
+            const affected = advisories.filter(v => this.versionInRange(version, v.vulnerableVersions));
+            for (const vuln of affected) {
+                const patchedIn = vuln.patchedVersions.find(v => semver.gt(v, version)) || null;
+
+                this.result.issues.vulnerable.push({
+                    name,
+                    version,
+                    range,
+                    direct,
+                    id: vuln.id,
+                    severity: vuln.severity,
+                    title: vuln.title,
+                    url: vuln.url,
+                    vulnerableVersions: vuln.vulnerableVersions,
+                    patchedIn,
+                    recommendation: patchedIn
+                        ? `Update to ${patchedIn} or later`
+                        : `Update to a version outside ${vuln.vulnerableVersions}`,
+                    cve: vuln.cve
+                });
             }
         }
 
         this.result.summary.vulnerable = this.result.issues.vulnerable.length;
     }
 
-    async fetchVulnerabilityDatabase() {
-        // In practice, you'd fetch from OSV database or npm audit
-        return {
-            'lodash': [{
-                severity: 'high',
-                title: 'Prototype Pollution',
-                vulnerableVersions: '<4.17.21',
-                patchedVersions: ['4.17.21'],
-                url: 'https://github.com/advisories/GHSA-p6mc-m468-83gw',
-                cve: 'CVE-2021-23337'
-            }],
-            'axios': [{
-                severity: 'medium',
-                title: 'Server-Side Request Forgery',
-                vulnerableVersions: '<0.21.1',
-                patchedVersions: ['0.21.1'],
-                url: 'https://github.com/advisories/GHSA-4hc2-jf5x-2r5q',
-                cve: 'CVE-2021-3749'
-            }]
-        };
+    async checkLicenses() {
+        // Every installed package, direct or transitive, against the project's license policy
+        const { issues, ...licenses } = await this.licenseAnalyzer.analyze(this.packageJson);
+
+        this.result.licenses = licenses;
+        this.result.issues.licenses = issues;
+        this.result.summary.licenseViolations = issues.filter(issue => issue.verdict === 'deny').length;
+        this.result.summary.licenseReview = issues.filter(issue => issue.verdict === 'review').length;
     }
 
-    versionInRange(version, range) {
-        // Simplified version check
-        try {
-            const cleanVersion = PackageUtils.cleanVersion(version);
-            return range.startsWith('<') && this.compareVersions(cleanVersion, range.substring(1)) < 0;
-        } catch {
-            return false;
+    async fetchVulnerabilityDatabase() {
+        // Vendored OSV or npm audit snapshots keep the check working without network access
+        if (this.options.advisoryDb) {
+            return AdvisoryDatabase.load(path.resolve(this.projectPath, this.options.advisoryDb));
         }
+
+        const database = new AdvisoryDatabase();
+        database.add('lodash', {
+            id: 'GHSA-p6mc-m468-83gw',
+            severity: 'high',
+            title: 'Prototype Pollution',
+            vulnerableVersions: '<4.17.21',
+            patchedVersions: ['4.17.21'],
+            url: 'https://github.com/advisories/GHSA-p6mc-m468-83gw',
+            cve: 'CVE-2021-23337',
+            source: 'builtin'
+        });
+        database.add('axios', {
+            id: 'GHSA-4hc2-jf5x-2r5q',
+            severity: 'medium',
+            title: 'Server-Side Request Forgery',
+            vulnerableVersions: '<0.21.1',
+            patchedVersions: ['0.21.1'],
+            url: 'https://github.com/advisories/GHSA-4hc2-jf5x-2r5q',
+            cve: 'CVE-2021-3749',
+            source: 'builtin'
+        });
+        return database;
     }
 
-    compareVersions(v1, v2) {
-        const parts1 = v1.split('.').map(Number);
-        const parts2 = v2.split('.').map(Number);
+    getAuditTargets(dependencies) {
+        const targets = [];
+        const seen = new Set();
+
+        for (const [name, info] of dependencies) {
+            const version = this.getAuditedVersion(info);
+            if (!version || info.workspace) continue;
+
+            seen.add(`${name}@${version}`);
+            targets.push({ name, version, range: info.version, direct: true });
+        }
+
+        // Every transitive package the lockfile pins is audited as well, once per workspace
+        if (this.workspaceRoot) {
+            return targets;
+        }
+
+        for (const pkg of this.lockfile.packages.values()) {
+            if (seen.has(pkg.id) || !semver.valid(pkg.version)) continue;
+
+            seen.add(pkg.id);
+            targets.push({ name: pkg.name, version: pkg.version, range: null, direct: false });
+        }
+
+        return targets;
+    }
 
-        for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-            const p1 = parts1[i] || 0;
-            const p2 = parts2[i] || 0;
-            if (p1 !== p2) return p1 - p2;
+    getAuditedVersion(info) {
+        // Prefer the resolved version; fall back to the lowest version the range allows
+        if (info.resolvedVersion && semver.valid(info.resolvedVersion)) {
+            return info.resolvedVersion;
         }
-        return 0;
+
+        return VersionRange.minVersion(info.version);
+    }
+
+    versionInRange(version, range) {
+        // Advisory ranges such as "<4.17.21" must also catch prereleases of vulnerable versions
+        return VersionRange.satisfies(version, range, { includePrerelease: true });
     }
 
     async generateRecommendations() {
@@ -895,13 +1581,63 @@ class EnhancedDependencyAnalyzer {
             });
         }
 
+        const licenseViolations = this.result.issues.licenses.filter(issue => issue.verdict === 'deny');
+        if (licenseViolations.length > 0) {
+            recommendations.push({
+                priority: 'high',
+                type: 'compliance',
+                title: 'Replace Packages With Denied Licenses',
+                description: `Found ${licenseViolations.length} installed packages whose license the policy denies`,
+                action: 'Replace or remove the direct dependency that pulls each one in, or record an exception in the license policy',
+                packages: [...new Set(licenseViolations.map(issue => issue.name))]
+            });
+        }
+
+        if (this.result.workspace) {
+            const { undeclaredSiblings, internalRangeMismatches, versionConflicts } = this.result.workspace.issues;
+
+            if (undeclaredSiblings.length > 0 || internalRangeMismatches.length > 0) {
+                recommendations.push({
+                    priority: 'high',
+                    type: 'workspace',
+                    title: 'Fix Workspace Package Links',
+                    description: `Found ${undeclaredSiblings.length} undeclared sibling imports and ${internalRangeMismatches.length} internal ranges the local package does not satisfy`,
+                    action: 'Declare sibling packages with the workspace protocol in the importing package.json',
+                    packages: [...new Set([...undeclaredSiblings, ...internalRangeMismatches].map(i => i.sibling))]
+                });
+            }
+
+            if (versionConflicts.length > 0) {
+                recommendations.push({
+                    priority: 'medium',
+                    type: 'workspace',
+                    title: 'Align Dependency Versions Across Workspaces',
+                    description: `Found ${versionConflicts.length} dependencies declared at conflicting versions in different workspace packages`,
+                    action: 'Use one range per dependency across the monorepo (e.g. a shared catalog or root constraint)',
+                    packages: versionConflicts.map(c => c.name)
+                });
+            }
+        }
+
         // Medium priority recommendations
+        if (this.result.issues.unexportedSubpaths.length > 0) {
+            const blocked = this.result.issues.unexportedSubpaths.filter(i => i.reason === 'not-exported').length;
+            recommendations.push({
+                priority: 'medium',
+                type: 'errors',
+                title: 'Import Packages Through Their Public Entry Points',
+                description: `Found ${this.result.issues.unexportedSubpaths.length} deep imports, ${blocked} of them into subpaths the package does not export`,
+                action: 'Switch to exported subpaths; deep imports break when the package is upgraded',
+                packages: [...new Set(this.result.issues.unexportedSubpaths.map(i => i.name))]
+            });
+        }
+
         if (this.result.issues.unused.length > 0) {
             recommendations.push({
                 priority: 'medium',
                 type: 'cleanup',
                 title: 'Remove Unused Dependencies',
-                description: `Found ${this.result.issues.unused.length} unused dependencies (${this.calculateUnusedSize()})`,
+                description: `Found ${this.result.issues.unused.length} unused dependencies (${PackageUtils.formatSize(this.calculateUnusedSize())})`,
                 action: 'Remove unused packages to reduce bundle size',
                 packages: this.result.issues.unused.map(u => u.name)
             });
@@ -918,15 +1654,64 @@ class EnhancedDependencyAnalyzer {
             });
         }
 
+        const licenseReview = this.result.issues.licenses.filter(issue => issue.verdict === 'review');
+        if (licenseReview.length > 0) {
+            recommendations.push({
+                priority: 'medium',
+                type: 'compliance',
+                title: 'Review Package Licenses',
+                description: `Found ${licenseReview.length} installed packages whose license needs review (${licenseReview.filter(issue => issue.rule === 'unknown').length} without a declared license)`,
+                action: 'Have the licenses reviewed and add them to the allow or deny list of the license policy',
+                packages: [...new Set(licenseReview.map(issue => issue.name))]
+            });
+        }
+
         // Low priority recommendations
-        if (this.result.issues.duplicate.length > 0) {
+        const perFunctionCandidates = this.result.packageSurface.filter(surface => surface.suggestion);
+        if (perFunctionCandidates.length > 0) {
+            recommendations.push({
+                priority: 'low',
+                type: 'optimization',
+                title: 'Import Heavy Packages Per Function',
+                description: `Found ${perFunctionCandidates.length} packages that bundlers cannot tree-shake but that are used for only a few functions`,
+                action: 'Import each function from its own module or switch to the package\'s ES module build',
+                packages: perFunctionCandidates.map(surface => surface.name)
+            });
+        }
+
+        const { unusedFiles, unusedExports } = this.result.issues;
+        if (unusedFiles.length > 0 || unusedExports.length > 0) {
+            recommendations.push({
+                priority: 'low',
+                type: 'cleanup',
+                title: 'Remove Dead Code',
+                description: `Found ${unusedFiles.length} files no entry point reaches and ${unusedExports.length} exports nothing imports`,
+                action: 'Delete the files and exports, or declare missing entry points with --entry',
+                packages: []
+            });
+        }
+
+        const functionalDuplicates = this.result.issues.duplicate.filter(d => d.type === 'functional');
+        if (functionalDuplicates.length > 0) {
             recommendations.push({
                 priority: 'low',
                 type: 'optimization',
                 title: 'Consolidate Duplicate Dependencies',
-                description: `Found ${this.result.issues.duplicate.length} sets of functionally duplicate packages`,
+                description: `Found ${functionalDuplicates.length} sets of functionally duplicate packages`,
                 action: 'Consider consolidating to reduce maintenance overhead',
-                packages: this.result.issues.duplicate.flatMap(d => d.packages.map(p => p.name))
+                packages: functionalDuplicates.flatMap(d => d.packages.map(p => p.name))
+            });
+        }
+
+        const versionDuplicates = this.result.issues.duplicate.filter(d => d.type === 'version');
+        if (versionDuplicates.length > 0) {
+            recommendations.push({
+                priority: 'medium',
+                type: 'optimization',
+                title: 'Deduplicate Package Versions',
+                description: `Found ${versionDuplicates.length} packages installed at multiple versions (${PackageUtils.formatSize(this.result.summary.duplicateBytes)} in extra copies)`,
+                action: 'Run your package manager\'s dedupe command or align the requesting ranges',
+                packages: versionDuplicates.map(d => d.name)
             });
         }
 
@@ -936,11 +1721,48 @@ class EnhancedDependencyAnalyzer {
         this.result.recommendations.low = recommendations.filter(r => r.priority === 'low');
     }
 
+    async compareWithBaseline() {
+        // Only issues missing from the snapshot count against the run, so CI can adopt the tool incrementally
+        if (!IssueBaseline.isSeverity(this.options.failOn)) {
+            throw new Error(`Invalid --failOn severity: ${this.options.failOn}`);
+        }
+
+        const baselinePath = path.resolve(this.projectPath, this.options.baseline);
+        const current = IssueBaseline.collect(this.result);
+        const previous = await IssueBaseline.load(baselinePath);
+
+        if (!previous) {
+            await IssueBaseline.save(baselinePath, current);
+            this.result.baseline = {
+                file: baselinePath,
+                created: true,
+                new: [],
+                resolved: [],
+                unchanged: current.length,
+                failOn: this.options.failOn,
+                blocking: 0,
+                failed: false
+            };
+            return;
+        }
+
+        this.result.baseline = {
+            file: baselinePath,
+            created: false,
+            ...IssueBaseline.compare(previous, current, this.options.failOn)
+        };
+
+        if (this.options.updateBaseline) {
+            // Rewriting the snapshot accepts the current issues, so they no longer fail the run
+            await IssueBaseline.save(baselinePath, current);
+            this.result.baseline.updated = true;
+            this.result.baseline.failed = false;
+        }
+    }
+
     calculateUnusedSize() {
-        return this.result.issues.unused.reduce((total, dep) => {
-            const size = parseInt(dep.size) || 0;
-            return total + size;
-        }, 0);
+        // Bytes freed by removing every unused package, excluding shared transitive packages
+        return this.result.summary.unusedBytes;
     }
 
     async generateDependencyGraph() {
@@ -960,7 +1782,7 @@ class EnhancedDependencyAnalyzer {
         }
 
         // Add edges based on actual imports
-        for (const [importName, usages] of this.importMap) {
+        for (const [importName, usages] of this.packageImports) {
             if (nodes.find(n => n.id === importName)) {
                 for (const usage of usages) {
                     // Find the file that imports this
@@ -998,68 +1820,43 @@ class EnhancedDependencyAnalyzer {
     }
 
     async generateFixScript() {
-        const script = await this.generateNpmFixScript();
-        const outputPath = path.join(this.projectPath, 'fix-dependencies.sh');
-        await fs.writeFile(outputPath, script, { mode: 0o755 });
-
-        this.result.fixScript = outputPath;
-    }
-
-    async generateNpmFixScript() {
-        const commands = [];
-
-        // Install missing dependencies
-        if (this.result.issues.missing.length > 0) {
-            const missingDeps = this.result.issues.missing
-                .filter(m => m.type !== 'peer-dependency')
-                .map(m => m.name)
-                .join(' ');
-            commands.push(`echo "Installing missing dependencies..."`);
-            commands.push(`npm install ${missingDeps}`);
-            commands.push('');
-        }
+        const plan = FixPlan.fromResult(this.result, this.packageManager);
 
-        // Remove unused dependencies
-        if (this.result.issues.unused.length > 0) {
-            const unusedDeps = this.result.issues.unused
-                .filter(u => u.confidence === 'high')
-                .map(u => u.name)
-                .join(' ');
-            if (unusedDeps) {
-                commands.push(`echo "Removing unused dependencies..."`);
-                commands.push(`npm uninstall ${unusedDeps}`);
-                commands.push('');
+        // Missing packages are pinned from metadata the user opted into: a snapshot, the cache of
+        // earlier runs, or the registry itself with --pinVersions. Otherwise they stay bare names.
+        const registry = new RegistryMetadata(this.projectPath, {
+            ...this.options,
+            offline: this.options.offline || !this.options.pinVersions
+        });
+        await registry.initialize();
+        if (registry.snapshot || registry.cache.size > 0 || this.options.pinVersions) {
+            await plan.resolveVersions(async name => {
+                const metadata = await registry.get(name);
+                return metadata ? metadata.distTags.latest || metadata.versions[metadata.versions.length - 1] || null : null;
+            });
+            try {
+                await registry.save();
+            } catch (error) {
+                // The cache only saves a later lookup
             }
         }
 
-        // Update vulnerable packages
-        if (this.result.issues.vulnerable.length > 0) {
-            commands.push(`echo "Updating vulnerable packages..."`);
-            for (const vuln of this.result.issues.vulnerable) {
-                commands.push(`npm update ${vuln.name}`);
-            }
-            commands.push('');
-        }
+        if (this.options.fixFormat === 'diff') {
+            const { diff, skipped } = await plan.toManifestDiff(this.workspaceRoot || this.projectPath);
+            const preamble = skipped.length > 0
+                ? `Not part of this patch:\n${skipped.map(line => `- ${line}`).join('\n')}\n\n`
+                : '';
+            const outputPath = path.join(this.projectPath, 'fix-dependencies.diff');
+            await fs.writeFile(outputPath, preamble + diff);
 
-        // Update outdated packages
-        if (this.result.issues.outdated.length > 0) {
-            commands.push(`echo "Updating outdated packages..."`);
-            commands.push('npm update');
+            this.result.fixDiff = outputPath;
+            return;
         }
 
-        return `#!/bin/bash
-# Auto-generated dependency fix script
-# Generated on ${new Date().toISOString()}
-
-set -e
-
-echo "🔧 Fixing dependency issues..."
-
-${commands.join('\n')}
+        const outputPath = path.join(this.projectPath, 'fix-dependencies.sh');
+        await fs.writeFile(outputPath, plan.toScript(), { mode: 0o755 });
 
-echo "✅ Dependency fixes completed!"
-echo "📊 Run 'npm audit' to verify no vulnerabilities remain"
-`;
+        this.result.fixScript = outputPath;
     }
 }
 
@@ -1071,10 +1868,34 @@ if (require.main === module) {
         console.error('Usage: node enhanced-analyzer.js <project_path> [options]');
         console.error('');
         console.error('Options:');
-        console.error('  --generateFixScript Generate fix script');
+        console.error('  --generateFixScript Generate fix script (run it with --dry-run to only print the commands)');
+        console.error('  --fixFormat=diff    Write the fixes as a package.json patch instead of a script');
+        console.error('  --packageManager=<npm|yarn|pnpm|bun> Package manager for fix commands (default: detected)');
+        console.error('  --pinVersions       Query the registry to pin packages the fix script adds');
         console.error('  --generateGraph     Generate dependency graph');
-        console.error('  --parallel          Use parallel processing');
-        console.error('  --incremental       Use incremental analysis with cache');
+        console.error('  --parallel          Extract imports on worker threads');
+        console.error('  --workers=<n>       Worker threads for --parallel (default: CPU count)');
+        console.error('  --workerTimeout=<ms> Time one file may take on a worker before it is skipped');
+        console.error('  --incremental       Reuse import extraction for unchanged files (cache in --cacheDir)');
+        console.error('  --advisoryDb=<path> Offline OSV / npm audit JSON file or directory');
+        console.error('  --checkOutdated     Report dependencies with newer versions in the registry');
+        console.error('  --registrySnapshot=<path> Packument JSON file or directory used instead of the registry');
+        console.error('  --registry=<url>    Registry for --checkOutdated (default: from .npmrc)');
+        console.error('  --offline           Use only registry metadata cached by earlier runs');
+        console.error('  --tarballDir=<dir>  Package tarballs to read changelogs from for major updates');
+        console.error('  --include=<globs>   Source files to analyze, comma separated (default: --filePattern)');
+        console.error('  --exclude=<globs>   Source files to skip, comma separated (on top of .gitignore)');
+        console.error('  --gitignore=false   Do not skip files matched by .gitignore');
+        console.error('  --since=<ref>       Only analyze files changed since a git ref (skips unused checks)');
+        console.error('  --workspaces        Analyze every workspace package of a monorepo');
+        console.error('  --conditions=<list> Extra package.json export conditions, e.g. browser,development');
+        console.error('  --baseline <file>   Report only issues not in the baseline snapshot (created on first run)');
+        console.error('  --updateBaseline    Rewrite the baseline with the current issues');
+        console.error('  --failOn=<severity> Lowest severity of a new issue that fails the run (default: medium)');
+        console.error('  --checkDeadCode     Report files unreachable from entry points and unused exports');
+        console.error('  --checkLicenses     Check installed package licenses against the license policy');
+        console.error('  --licensePolicy=<file> License policy JSON (default: .license-policy.json if present)');
+        console.error('  --entry=<globs>     Extra entry points for --checkDeadCode, comma separated');
         console.error('');
         process.exit(1);
     }
@@ -1089,6 +1910,9 @@ if (require.main === module) {
             if (flag.includes('=')) {
                 const [key, value] = flag.split('=');
                 options[key] = value === 'true' ? true : value === 'false' ? false : value;
+            } else if (args[i + 1] && !args[i + 1].startsWith('--') && !args[i + 1].startsWith('{')) {
+                // "--baseline file" form
+                options[flag] = args[++i];
             } else {
                 options[flag] = true;
             }
@@ -1119,6 +1943,27 @@ if (require.main === module) {
             if (result.fixScript) {
                 console.log(`\n🔧 Fix script generated: ${result.fixScript}`);
             }
+
+            if (result.fixDiff) {
+                console.log(`\n🔧 Fix patch generated: ${result.fixDiff}`);
+            }
+
+            if (options.baseline && !result.success) {
+                // A gate that cannot compare must not pass
+                console.error(`\n❌ Baseline comparison skipped: ${result.error.message}`);
+                process.exitCode = 1;
+            } else if (result.baseline) {
+                const { baseline } = result;
+                if (baseline.created) {
+                    console.error(`\n📌 Baseline created with ${baseline.unchanged} issues: ${baseline.file}`);
+                } else {
+                    console.error(`\n📌 Baseline${baseline.updated ? ' updated' : ''}: ${baseline.new.length} new, ${baseline.resolved.length} resolved, ${baseline.unchanged} unchanged`);
+                    if (baseline.failed) {
+                        console.error(`❌ ${baseline.blocking} new issues at or above ${baseline.failOn} severity`);
+                        process.exitCode = 1;
+                    }
+                }
+            }
         })
         .catch(error => {
             console.error('Analysis failed:', error.message);
@@ -7,6 +7,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const PackageManager = require('./utils/package-manager');
+const FixPlan = require('./utils/fix-plan');
 
 class ReportGenerator {
     constructor(analysisResult, outputPath) {
@@ -54,10 +56,14 @@ class ReportGenerator {
 | Version Conflicts | ${result.summary.versionConflicts} | 🔥 Conflicts |
 | Circular Dependencies | ${result.summary.circular} | 🔄 Loops |
 
-## Dependency Categories
-
 `;
 
+        if (result.baseline && !result.baseline.created) {
+            markdown += this.buildBaselineSection(result.baseline);
+        }
+
+        markdown += `## Dependency Categories\n\n`;
+
         // Add category breakdown
         for (const [category, info] of Object.entries(result.categories)) {
             markdown += `- **${category.charAt(0).toUpperCase() + category.slice(1)}**: ${info.count} packages\n`;
@@ -89,7 +95,7 @@ class ReportGenerator {
             for (const vuln of result.issues.vulnerable) {
                 markdown += `- **${vuln.name}** (${vuln.version}): ${vuln.title}\n`;
                 markdown += `  - Severity: ${vuln.severity}\n`;
-                markdown += `  - Patched in: ${vuln.patchedIn}\n`;
+                markdown += `  - Patched in: ${vuln.patchedIn || 'no patched version known'}\n`;
                 markdown += `  - [More info](${vuln.url})\n\n`;
             }
         }
@@ -100,43 +106,310 @@ class ReportGenerator {
             for (const unused of result.issues.unused.slice(0, 10)) {
                 markdown += `- **${unused.name}** (${unused.version}) - ${unused.reason}\n`;
                 markdown += `  - Type: ${unused.type}\n`;
-                markdown += `  - Size: ${unused.size}\n\n`;
+                markdown += `  - Size: ${unused.size} (install footprint: ${unused.installSize})\n\n`;
             }
             if (result.issues.unused.length > 10) {
                 markdown += `... and ${result.issues.unused.length - 10} more\n\n`;
             }
         }
 
+        if (result.issues.phantom.length > 0) {
+            markdown += `\n## 👻 Phantom Dependencies\n\n`;
+            for (const phantom of result.issues.phantom.slice(0, 10)) {
+                const via = phantom.chains && phantom.chains.length > 0
+                    ? phantom.chains[0].join(' > ')
+                    : 'unknown provider';
+                markdown += `- **${phantom.name}** (${phantom.version}) - importable via ${via}\n`;
+                markdown += `  - Used in: ${phantom.usedIn.slice(0, 3).join(', ')}\n\n`;
+            }
+            if (result.issues.phantom.length > 10) {
+                markdown += `... and ${result.issues.phantom.length - 10} more\n\n`;
+            }
+        }
+
+        const unexportedSubpaths = result.issues.unexportedSubpaths || [];
+        if (unexportedSubpaths.length > 0) {
+            markdown += `\n## 🚪 Deep Imports\n\n`;
+            for (const deepImport of unexportedSubpaths.slice(0, 10)) {
+                const label = deepImport.reason === 'not-exported' ? 'not exported' : 'package internals';
+                markdown += `- **${deepImport.specifier}** (${label}) - ${deepImport.suggestion}\n`;
+                markdown += `  - Used in: ${deepImport.usedIn.slice(0, 3).join(', ')}\n`;
+            }
+            if (unexportedSubpaths.length > 10) {
+                markdown += `\n... and ${unexportedSubpaths.length - 10} more\n`;
+            }
+            markdown += '\n';
+        }
+
+        const typeOnlyImports = result.typeOnlyImports || [];
+        if (typeOnlyImports.length > 0) {
+            markdown += `\n## 🏷️ Type-Only Imports\n\n`;
+            for (const typeOnly of typeOnlyImports.slice(0, 10)) {
+                const declared = typeOnly.declaredAs || (typeOnly.typesPackage ? `via ${typeOnly.typesPackage}` : 'undeclared');
+                markdown += `- **${typeOnly.name}** (${declared}) - ${typeOnly.usedIn.length} files`;
+                markdown += typeOnly.suggestion ? ` - ${typeOnly.suggestion}\n` : '\n';
+            }
+            if (typeOnlyImports.length > 10) {
+                markdown += `\n... and ${typeOnlyImports.length - 10} more\n`;
+            }
+            markdown += '\n';
+        }
+
+        const packageSurface = result.packageSurface || [];
+        if (packageSurface.length > 0) {
+            markdown += `\n## 🧩 Package Surface Used\n\n`;
+            markdown += `| Package | Used | Files | Tree-shakable | Most used |\n`;
+            markdown += `|---------|------|-------|---------------|-----------|\n`;
+            for (const surface of packageSurface.slice(0, 15)) {
+                markdown += `| ${surface.name} | ${this.formatSurfaceUsed(surface)} | ${surface.files.length} | ${surface.treeShakable === null ? '?' : surface.treeShakable ? 'yes' : 'no'} | ${surface.symbols.slice(0, 5).map(symbol => this.formatSymbol(symbol, surface.name)).join(', ') || '-'} |\n`;
+            }
+            if (packageSurface.length > 15) {
+                markdown += `\n... and ${packageSurface.length - 15} more\n`;
+            }
+
+            const suggestions = packageSurface.filter(surface => surface.suggestion);
+            if (suggestions.length > 0) {
+                markdown += '\n';
+                for (const surface of suggestions) {
+                    markdown += `- **${surface.name}** - ${surface.suggestion}\n`;
+                }
+            }
+            markdown += '\n';
+        }
+
+        if (result.issues.circular.length > 0) {
+            markdown += `\n## 🔄 Circular Imports\n\n`;
+            for (const cycle of result.issues.circular.slice(0, 10)) {
+                const note = cycle.runtime ? cycle.severity : `closes through ${cycle.via.join('/')} imports, not a runtime cycle`;
+                markdown += `- ${cycle.path.join(' → ')} (${note})\n`;
+            }
+            if (result.issues.circular.length > 10) {
+                markdown += `\n... and ${result.issues.circular.length - 10} more\n`;
+            }
+            markdown += '\n';
+        }
+
+        const unusedFiles = result.issues.unusedFiles || [];
+        const unusedExports = result.issues.unusedExports || [];
+        if (unusedFiles.length > 0 || unusedExports.length > 0) {
+            markdown += `\n## 🧹 Unused Files & Exports\n\n`;
+            markdown += `Reachable from ${result.entryPoints.length} entry points (${[...new Set(result.entryPoints.map(entry => entry.source))].join(', ')}).\n\n`;
+            if (unusedFiles.length > 0) {
+                markdown += `### Unreachable Files\n\n`;
+                for (const unused of unusedFiles.slice(0, 20)) {
+                    markdown += `- ${unused.file}\n`;
+                }
+                if (unusedFiles.length > 20) {
+                    markdown += `\n... and ${unusedFiles.length - 20} more\n`;
+                }
+                markdown += '\n';
+            }
+            if (unusedExports.length > 0) {
+                markdown += `### Unused Exports\n\n`;
+                for (const unused of unusedExports.slice(0, 20)) {
+                    markdown += `- \`${unused.name}\`${unused.kind === 'type' ? ' (type)' : ''} in ${unused.file}:${unused.line}\n`;
+                }
+                if (unusedExports.length > 20) {
+                    markdown += `\n... and ${unusedExports.length - 20} more\n`;
+                }
+                markdown += '\n';
+            }
+        }
+
+        if (result.issues.outdated.length > 0) {
+            markdown += this.buildOutdatedSection(result.issues.outdated, result.metadata.registry);
+        }
+
+        if (result.licenses) {
+            markdown += this.buildLicenseSection(result.licenses, result.issues.licenses || []);
+        }
+
+        if (result.workspace) {
+            markdown += this.buildWorkspaceSection(result.workspace);
+        }
+
+        const versionDuplicates = result.issues.duplicate.filter(d => d.type === 'version');
+        if (versionDuplicates.length > 0) {
+            markdown += `\n## 📦 Duplicate Package Versions\n\n`;
+            markdown += `Extra copies on disk: ${this.formatSize(result.summary.duplicateBytes || 0)}\n\n`;
+            for (const duplicate of versionDuplicates.slice(0, 10)) {
+                markdown += `- **${duplicate.name}** (${duplicate.versions.map(v => v.version).join(', ')}) - ${duplicate.wastedSize} wasted\n`;
+                for (const version of duplicate.versions) {
+                    const firstPath = version.paths[0] ? version.paths[0].join(' > ') : 'unknown';
+                    markdown += `  - ${version.version}: ${version.copies} cop${version.copies === 1 ? 'y' : 'ies'}, via ${firstPath}\n`;
+                }
+                markdown += `  - ${duplicate.recommendation}\n\n`;
+            }
+            if (versionDuplicates.length > 10) {
+                markdown += `... and ${versionDuplicates.length - 10} more\n\n`;
+            }
+        }
+
         // Add quick fix commands
         markdown += `\n## Quick Fix Commands\n\n`;
         markdown += `\`\`\`bash\n`;
-        if (result.issues.missing.length > 0) {
-            const missing = result.issues.missing
-                .filter(m => m.type !== 'peer-dependency')
-                .map(m => m.name)
-                .join(' ');
-            markdown += `# Install missing dependencies\n`;
-            markdown += `npm install ${missing}\n\n`;
-        }
-        if (result.issues.unused.length > 0) {
-            const unused = result.issues.unused
-                .filter(u => u.confidence === 'high')
-                .map(u => u.name)
-                .join(' ');
-            if (unused) {
-                markdown += `# Remove unused dependencies\n`;
-                markdown += `npm uninstall ${unused}\n\n`;
-            }
+        // Reports of older runs carry no package manager; their commands were npm's
+        const detected = result.metadata && result.metadata.packageManager;
+        const manager = detected ? new PackageManager(detected.name, detected) : new PackageManager('npm');
+        const plan = FixPlan.fromResult(result, manager);
+        for (const step of plan.getSteps()) {
+            markdown += `# ${FixPlan.describe(step)}\n`;
+            markdown += `${PackageManager.format(plan.getCommand(step))}\n\n`;
         }
-        markdown += `# Update all packages\n`;
-        markdown += `npm update\n\n`;
         markdown += `# Check for vulnerabilities\n`;
-        markdown += `npm audit\n`;
+        markdown += `${PackageManager.format(manager.command('audit', []))}\n`;
         markdown += `\`\`\`\n`;
 
         return markdown;
     }
 
+    formatSurfaceUsed(surface) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        if (surface.wholeModule.length > 0) {
+            return `whole module in ${plural(surface.wholeModule.length, 'file')}`;
+        }
+        if (surface.symbols.length === 0) {
+            return 'side effects only';
+        }
+        return surface.exportCount
+            ? `${surface.symbols.length} of ${plural(surface.exportCount, 'export')}`
+            : plural(surface.symbols.length, 'export');
+    }
+
+    formatSymbol(symbol, packageName) {
+        // Subpath imports ("lodash/debounce") read better as the path than as its default export
+        if (symbol.from === packageName) {
+            return symbol.name;
+        }
+        return symbol.name === 'default' || symbol.name === '*' ? symbol.from : `${symbol.from} › ${symbol.name}`;
+    }
+
+    buildBaselineSection(baseline) {
+        let markdown = `## 🆕 Changes Since Baseline\n\n`;
+        markdown += `${baseline.new.length} new, ${baseline.resolved.length} resolved, ${baseline.unchanged} unchanged`;
+        markdown += baseline.failed ? ` - **${baseline.blocking} new at or above ${baseline.failOn}**\n\n` : '\n\n';
+
+        if (baseline.new.length > 0) {
+            markdown += `### New\n\n`;
+            for (const entry of baseline.new) {
+                // Advisory ids and licenses fill the file slot of their keys
+                const location = entry.file && !['vulnerable', 'license'].includes(entry.type) ? ` in ${entry.file}` : '';
+                markdown += `- [${entry.severity}] ${entry.message}${location}${entry.scope !== '.' ? ` (${entry.scope})` : ''}\n`;
+            }
+            markdown += '\n';
+        }
+
+        if (baseline.resolved.length > 0) {
+            markdown += `### Resolved\n\n`;
+            for (const entry of baseline.resolved) {
+                markdown += `- ~~${entry.message}~~\n`;
+            }
+            markdown += '\n';
+        }
+
+        return markdown;
+    }
+
+    buildOutdatedSection(outdated, registry) {
+        let markdown = `\n## ⬆️ Outdated Packages\n\n`;
+        if (registry) {
+            markdown += `Versions from the ${registry.source === 'snapshot' ? 'registry snapshot' : registry.source === 'cache' ? 'offline registry cache' : 'registry'}`;
+            markdown += registry.missing > 0 ? `; ${registry.missing} package${registry.missing === 1 ? '' : 's'} had no metadata.\n\n` : '.\n\n';
+        }
+
+        const age = days => (days === null || days === undefined ? '-' : `${days}d`);
+        markdown += `| Package | Current | In range | Latest minor | Latest major | Current age | Update | Risk |\n`;
+        markdown += `|---------|---------|----------|--------------|--------------|-------------|--------|------|\n`;
+        for (const pkg of outdated.slice(0, 30)) {
+            const risk = pkg.risk ? `${pkg.risk.score} ${pkg.risk.level}` : '-';
+            markdown += `| ${pkg.name} | ${pkg.current} | ${pkg.wanted || '-'} | ${pkg.latestMinor || '-'} | ${pkg.latestMajor || '-'} | ${age(pkg.ageDays)} | ${pkg.updateType || '-'} | ${risk} |\n`;
+        }
+        if (outdated.length > 30) {
+            markdown += `\n... and ${outdated.length - 30} more\n`;
+        }
+
+        const breaking = outdated.filter(pkg => pkg.breakingChanges);
+        if (breaking.length > 0) {
+            markdown += `\n### Breaking Changes\n\n`;
+            for (const pkg of breaking) {
+                const { breakingChanges } = pkg;
+                markdown += `- **${pkg.name}** ${pkg.current} → ${pkg.latest} (${breakingChanges.file} in ${breakingChanges.source}): ${breakingChanges.summary}\n`;
+                // Entries naming APIs the project imports first, they are the ones that need work
+                const entries = [...breakingChanges.entries].sort((a, b) => b.symbols.length - a.symbols.length);
+                for (const entry of entries.slice(0, 5)) {
+                    markdown += `  - ${entry.version} [${entry.kind}] ${entry.text}\n`;
+                }
+                if (entries.length > 5) {
+                    markdown += `  - ... and ${entries.length - 5} more\n`;
+                }
+            }
+        }
+
+        return markdown + '\n';
+    }
+
+    buildLicenseSection(licenses, issues) {
+        let markdown = `\n## ⚖️ License Compliance\n\n`;
+        const counts = Object.entries(licenses.licenses);
+        markdown += `${licenses.packages} installed packages checked against the ${licenses.policy === 'default' ? 'default policy' : `policy in ${licenses.policy}`}: `;
+        markdown += `${counts.slice(0, 6).map(([license, count]) => `${license} (${count})`).join(', ')}${counts.length > 6 ? `, and ${counts.length - 6} more` : ''}\n\n`;
+
+        if (issues.length === 0) {
+            return markdown + 'Every license is allowed by the policy.\n\n';
+        }
+
+        markdown += `| Package | License | Verdict | Introduced by |\n`;
+        markdown += `|---------|---------|---------|---------------|\n`;
+        for (const issue of issues.slice(0, 30)) {
+            const verdict = issue.verdict === 'deny' ? '🚫 deny' : '🔍 review';
+            markdown += `| ${issue.name}@${issue.version}${issue.dev ? ' (dev)' : ''} | ${issue.license} | ${verdict} | ${issue.chain.join(' > ')} |\n`;
+        }
+        if (issues.length > 30) {
+            markdown += `\n... and ${issues.length - 30} more\n`;
+        }
+
+        return markdown + '\n';
+    }
+
+    buildWorkspaceSection(workspace) {
+        const { undeclaredSiblings, internalRangeMismatches, versionConflicts } = workspace.issues;
+        let markdown = `\n## 🗂️ Workspace Packages (${workspace.type})\n\n`;
+
+        markdown += `| Package | Path | Dependencies | Unused | Missing | Phantom |\n`;
+        markdown += `|---------|------|--------------|--------|---------|---------|\n`;
+        for (const pkg of workspace.packages) {
+            const { summary } = pkg;
+            markdown += `| ${pkg.name} | ${pkg.path} | ${summary.total} | ${summary.unused} | ${summary.missing} | ${summary.phantom} |\n`;
+        }
+
+        if (undeclaredSiblings.length > 0) {
+            markdown += `\n### Undeclared Sibling Imports\n\n`;
+            for (const issue of undeclaredSiblings) {
+                markdown += `- **${issue.package}** imports **${issue.sibling}** in ${issue.usedIn.slice(0, 3).join(', ')}\n`;
+                markdown += `  - ${issue.suggestion}\n`;
+            }
+        }
+
+        if (internalRangeMismatches.length > 0) {
+            markdown += `\n### Internal Range Mismatches\n\n`;
+            for (const issue of internalRangeMismatches) {
+                markdown += `- **${issue.package}** → ${issue.sibling}@${issue.range} (workspace has ${issue.siblingVersion})\n`;
+            }
+        }
+
+        if (versionConflicts.length > 0) {
+            markdown += `\n### Conflicting Versions Across Workspaces\n\n`;
+            for (const conflict of versionConflicts) {
+                const declared = conflict.declarations
+                    .map(d => `${d.package}: ${d.range}${d.resolvedVersion ? ` (${d.resolvedVersion})` : ''}`)
+                    .join(', ');
+                markdown += `- **${conflict.name}** - ${declared}\n`;
+            }
+        }
+
+        return markdown + '\n';
+    }
+
     async generateJsonSummary() {
         const summary = {
             project: this.result.project,
@@ -164,14 +437,34 @@ class ReportGenerator {
             csv += `Missing,${missing.name},-,-,${missing.severity},-,"${missing.npmCommand}"\n`;
         }
 
+        // Add deep imports
+        for (const deepImport of this.result.issues.unexportedSubpaths || []) {
+            csv += `Deep Import,${deepImport.specifier},${deepImport.version},-,${deepImport.severity},-,"Use a public entry point of ${deepImport.name}"\n`;
+        }
+
+        // Add dead code
+        for (const unused of this.result.issues.unusedFiles || []) {
+            csv += `Unused File,${unused.file},-,-,${unused.severity},-,"Delete or import from an entry point"\n`;
+        }
+        for (const unused of this.result.issues.unusedExports || []) {
+            csv += `Unused Export,${unused.file}:${unused.name},-,-,${unused.severity},-,"Remove the export"\n`;
+        }
+
+        // Add license findings
+        for (const issue of this.result.issues.licenses || []) {
+            csv += `License ${issue.verdict === 'deny' ? 'Violation' : 'Review'},${issue.name},${issue.version},-,${issue.severity},-,"${issue.reason} (via ${issue.chain.join(' > ')})"\n`;
+        }
+
         // Add vulnerable packages
         for (const vuln of this.result.issues.vulnerable) {
-            csv += `Vulnerable,${vuln.name},${vuln.version},-,${vuln.severity},-,"Update to ${vuln.patchedIn}"\n`;
+            csv += `Vulnerable,${vuln.name},${vuln.version},-,${vuln.severity},-,"${vuln.recommendation}"\n`;
         }
 
         // Add outdated packages
         for (const outdated of this.result.issues.outdated) {
-            csv += `Outdated,${outdated.name},${outdated.current},${outdated.category},Low,-,"Update to ${outdated.latest}"\n`;
+            const breaking = outdated.breakingChanges ? `; ${outdated.breakingChanges.summary}` : '';
+            const severity = outdated.risk ? outdated.risk.level.charAt(0).toUpperCase() + outdated.risk.level.slice(1) : 'Low';
+            csv += `Outdated,${outdated.name},${outdated.current},${outdated.category},${severity},-,"Update to ${outdated.latest}${breaking}"\n`;
         }
 
         const filePath = path.join(this.outputPath, 'dependency-issues.csv');
@@ -191,6 +484,10 @@ class ReportGenerator {
             report += `##teamcity[buildProblem description='Found ${this.result.issues.missing.length} missing dependencies' identity='missing-deps']\n`;
         }
 
+        if (this.result.summary.licenseViolations > 0) {
+            report += `##teamcity[buildProblem description='Found ${this.result.summary.licenseViolations} packages with denied licenses' identity='license-violations']\n`;
+        }
+
         // Add statistics
         report += `##teamcity[buildStatisticValue key='dependency_total' value='${this.result.summary.total}']\n`;
         report += `##teamcity[buildStatisticValue key='dependency_unused' value='${this.result.summary.unused}']\n`;
@@ -260,6 +557,9 @@ class ReportGenerator {
         if (result.summary.missing > 0) {
             summary += `- 🚨 ${result.summary.missing} missing dependencies\n`;
         }
+        if (result.summary.licenseViolations > 0) {
+            summary += `- ⚖️ ${result.summary.licenseViolations} packages with denied licenses\n`;
+        }
         if (result.summary.unused > 0) {
             summary += `- 🟡 ${result.summary.unused} unused dependencies (${this.formatSize(this.calculateUnusedSize())})\n`;
         }
@@ -286,17 +586,18 @@ class ReportGenerator {
     }
 
     calculateUnusedSize() {
-        return this.result.issues.unused.reduce((total, dep) => {
-            const size = parseInt(dep.size) || 0;
-            return total + size;
-        }, 0);
+        if (typeof this.result.summary.unusedBytes === 'number') {
+            return this.result.summary.unusedBytes;
+        }
+
+        return this.result.issues.unused.reduce((total, dep) => total + (dep.sizeBytes || 0), 0);
     }
 
     calculateTotalSize() {
         let total = 0;
         for (const category of Object.values(this.result.categories)) {
             for (const pkg of category.packages) {
-                total += parseInt(pkg.size) || 0;
+                total += pkg.sizeBytes || 0;
             }
         }
         return total;
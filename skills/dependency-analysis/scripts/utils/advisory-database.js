@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const VersionRange = require('./version-range');
+
+class AdvisoryDatabase {
+    constructor() {
+        this.advisories = new Map();
+        this.sources = [];
+    }
+
+    static async load(sourcePath) {
+        const database = new AdvisoryDatabase();
+        await database.loadPath(path.resolve(sourcePath));
+        return database;
+    }
+
+    async loadPath(sourcePath) {
+        const stat = await fs.stat(sourcePath);
+
+        if (stat.isDirectory()) {
+            const items = await fs.readdir(sourcePath, { withFileTypes: true });
+            for (const item of items) {
+                const itemPath = path.join(sourcePath, item.name);
+                if (item.isDirectory()) {
+                    await this.loadPath(itemPath);
+                } else if (item.name.endsWith('.json')) {
+                    await this.loadFile(itemPath);
+                }
+            }
+            return;
+        }
+
+        await this.loadFile(sourcePath);
+    }
+
+    async loadFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf-8');
+        let data;
+
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid advisory file ${filePath}: ${error.message}`);
+        }
+
+        this.sources.push(filePath);
+        this.addReport(data);
+    }
+
+    addReport(data) {
+        if (Array.isArray(data)) {
+            data.forEach(entry => this.addReport(entry));
+        } else if (data && data.vulnerabilities && data.auditReportVersion) {
+            this.addNpmAuditReport(data);
+        } else if (data && data.advisories) {
+            this.addLegacyNpmAuditReport(data);
+        } else if (data && Array.isArray(data.affected)) {
+            this.addOsvEntry(data);
+        }
+    }
+
+    addOsvEntry(entry) {
+        const cve = (entry.aliases || []).find(alias => alias.startsWith('CVE-')) || null;
+        const reference = (entry.references || []).find(ref => ref.type === 'ADVISORY') ||
+            (entry.references || [])[0];
+
+        for (const affected of entry.affected) {
+            const pkg = affected.package || {};
+            if (pkg.ecosystem !== 'npm' || !pkg.name) continue;
+
+            const { range, patched } = AdvisoryDatabase.osvAffectedToRange(affected);
+            if (!range) continue;
+
+            this.add(pkg.name, {
+                id: entry.id,
+                severity: AdvisoryDatabase.normalizeSeverity(
+                    entry.database_specific?.severity || affected.database_specific?.severity
+                ),
+                title: entry.summary || entry.id,
+                vulnerableVersions: range,
+                patchedVersions: patched,
+                url: reference ? reference.url : `https://osv.dev/vulnerability/${entry.id}`,
+                cve,
+                source: 'osv'
+            });
+        }
+    }
+
+    addNpmAuditReport(report) {
+        for (const [name, vulnerability] of Object.entries(report.vulnerabilities)) {
+            for (const via of vulnerability.via || []) {
+                // String entries point at another vulnerable package that has its own record
+                if (typeof via !== 'object' || via.name !== name) continue;
+
+                this.add(name, {
+                    id: String(via.source || via.url),
+                    severity: AdvisoryDatabase.normalizeSeverity(via.severity),
+                    title: via.title,
+                    vulnerableVersions: via.range,
+                    patchedVersions: [],
+                    url: via.url,
+                    cve: null,
+                    source: 'npm-audit'
+                });
+            }
+        }
+    }
+
+    addLegacyNpmAuditReport(report) {
+        for (const advisory of Object.values(report.advisories)) {
+            const patched = VersionRange.minVersion(advisory.patched_versions);
+
+            this.add(advisory.module_name, {
+                id: String(advisory.id),
+                severity: AdvisoryDatabase.normalizeSeverity(advisory.severity),
+                title: advisory.title,
+                vulnerableVersions: advisory.vulnerable_versions,
+                patchedVersions: patched ? [patched] : [],
+                url: advisory.url,
+                cve: (advisory.cves || [])[0] || null,
+                source: 'npm-audit'
+            });
+        }
+    }
+
+    add(packageName, advisory) {
+        if (!VersionRange.isValid(advisory.vulnerableVersions)) {
+            return;
+        }
+
+        if (!this.advisories.has(packageName)) {
+            this.advisories.set(packageName, []);
+        }
+
+        const existing = this.advisories.get(packageName);
+        const known = existing.find(a => a.id === advisory.id);
+        if (!known) {
+            existing.push(advisory);
+            return;
+        }
+
+        // GHSA records list each affected version branch of a package as its own block
+        const ranges = known.vulnerableVersions.split(' || ');
+        for (const range of advisory.vulnerableVersions.split(' || ')) {
+            if (!ranges.includes(range)) {
+                ranges.push(range);
+            }
+        }
+        known.vulnerableVersions = ranges.join(' || ');
+        known.patchedVersions = [...new Set([...known.patchedVersions, ...advisory.patchedVersions])].sort(semver.compare);
+    }
+
+    getAdvisories(packageName) {
+        return this.advisories.get(packageName) || [];
+    }
+
+    static osvAffectedToRange(affected) {
+        const ranges = [];
+        const patched = [];
+
+        for (const range of affected.ranges || []) {
+            if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+
+            let introduced = null;
+            for (const event of range.events || []) {
+                if (event.introduced !== undefined) {
+                    introduced = event.introduced === '0' ? '0.0.0-0' : event.introduced;
+                } else if (event.fixed !== undefined && introduced) {
+                    ranges.push(`>=${introduced} <${event.fixed}`);
+                    patched.push(event.fixed);
+                    introduced = null;
+                } else if (event.last_affected !== undefined && introduced) {
+                    ranges.push(`>=${introduced} <=${event.last_affected}`);
+                    introduced = null;
+                }
+            }
+
+            if (introduced) {
+                ranges.push(`>=${introduced}`);
+            }
+        }
+
+        // Explicitly enumerated versions complement (or replace) the ranges
+        for (const version of affected.versions || []) {
+            if (semver.valid(version)) {
+                ranges.push(version);
+            }
+        }
+
+        return {
+            range: ranges.length > 0 ? ranges.join(' || ') : null,
+            patched: patched.filter(version => semver.valid(version)).sort(semver.compare)
+        };
+    }
+
+    static normalizeSeverity(severity) {
+        const value = String(severity || '').toLowerCase();
+        if (value === 'moderate') return 'medium';
+        if (['critical', 'high', 'medium', 'low', 'info'].includes(value)) return value;
+        return 'medium';
+    }
+}
+
+module.exports = AdvisoryDatabase;
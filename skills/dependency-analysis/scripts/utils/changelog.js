@@ -0,0 +1,123 @@
+const semver = require('semver');
+
+// File names packages use for their release notes, most common first
+const CHANGELOG_NAMES = ['CHANGELOG', 'HISTORY', 'CHANGES', 'RELEASES', 'NEWS'];
+const CHANGELOG_FILE = new RegExp(`^(?:${CHANGELOG_NAMES.join('|')})(?:\\.(?:md|markdown|txt))?$`, 'i');
+
+const VERSION_PATTERN = /(?:^|[\s[(/@v])v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)(?=$|[\s\])/,:])/;
+
+// Checked in order, so an entry that is both breaking and a removal counts as breaking
+const ENTRY_KINDS = [
+    { kind: 'breaking', pattern: /\bbreaking\b|⚠|💥/i },
+    { kind: 'removed', pattern: /\bremov(?:e|ed|es|al|ing)\b|\bdropp?(?:ed)?\s+support\b/i },
+    { kind: 'deprecated', pattern: /\bdeprecat(?:e|ed|es|ion|ing)\b/i }
+];
+
+// Release notes in the usual markdown shapes: "## [2.0.0] - 2024-01-01" (Keep a Changelog),
+// "# 2.0.0 (2024-01-01)" (conventional-changelog), "2.0.0 / 2024-01-01" underlined (HISTORY.md)
+class Changelog {
+    static isChangelogFile(fileName) {
+        return CHANGELOG_FILE.test(fileName);
+    }
+
+    static rank(fileName) {
+        // Lower is preferred when a package ships several
+        const index = CHANGELOG_NAMES.findIndex(name => fileName.toUpperCase().startsWith(name));
+        return index === -1 ? CHANGELOG_NAMES.length : index;
+    }
+
+    static parse(content) {
+        // -> [{ version, entries: [{ kind, text }] }], one per release heading
+        const lines = content.split(/\r?\n/);
+        const sections = [];
+        let section = null;
+        let headingKind = null;
+        let entry = null;
+
+        const flush = () => {
+            if (entry && section) {
+                const text = entry.lines.join(' ').replace(/\s+/g, ' ').trim();
+                const kind = entry.headingKind || Changelog.classify(text);
+                if (text && kind) {
+                    section.entries.push({ kind, text });
+                }
+            }
+            entry = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const underline = /^\s*(?:=+|-+)\s*$/.test(lines[i + 1] || '') && line.trim() !== '';
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const headingText = heading ? heading[2] : underline ? line : null;
+            const version = headingText !== null ? Changelog.headingVersion(headingText) : null;
+
+            if (version) {
+                flush();
+                section = { version, entries: [] };
+                sections.push(section);
+                headingKind = Changelog.classify(headingText.replace(VERSION_PATTERN, ' '));
+                if (underline) i++;
+                continue;
+            }
+            if (headingText !== null) {
+                // "### BREAKING CHANGES", "### Removed": every entry below it has that kind
+                flush();
+                headingKind = Changelog.classify(headingText);
+                entry = headingKind ? null : { lines: [headingText], headingKind: null };
+                if (underline) i++;
+                continue;
+            }
+            if (!section) continue;
+
+            const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                flush();
+                entry = { lines: [item[1]], headingKind };
+            } else if (!line.trim()) {
+                flush();
+            } else if (entry) {
+                entry.lines.push(line.trim());
+            } else {
+                entry = { lines: [line.trim()], headingKind };
+            }
+        }
+        flush();
+
+        return sections;
+    }
+
+    static headingVersion(text) {
+        const match = text.match(VERSION_PATTERN);
+        return match && semver.valid(match[1]) ? match[1] : null;
+    }
+
+    static classify(text) {
+        const match = ENTRY_KINDS.find(({ pattern }) => pattern.test(text));
+        return match ? match.kind : null;
+    }
+
+    static between(sections, from, to) {
+        // Releases after `from` up to and including `to`, oldest first
+        return sections
+            .filter(section => semver.gt(section.version, from) && semver.lte(section.version, to))
+            .sort((a, b) => semver.compare(a.version, b.version));
+    }
+
+    static mentions(text, symbol) {
+        // Whether a changelog entry names an imported symbol. Plain lowercase words ("map", "filter")
+        // only count inside code spans or when written as a call or member, to keep prose from matching.
+        const escaped = symbol.replace(/[$]/g, '\\$');
+        const word = `(?<![\\w$])${escaped}(?![\\w$])`;
+        const codeSpans = text.match(/`[^`]+`/g) || [];
+        if (codeSpans.some(span => new RegExp(word).test(span))) {
+            return true;
+        }
+        if (new RegExp(`\\.${escaped}(?![\\w$])|${word}\\(`).test(text)) {
+            return true;
+        }
+        return /[A-Z_$\d]/.test(symbol.slice(1)) && new RegExp(word).test(text);
+    }
+}
+
+module.exports = Changelog;
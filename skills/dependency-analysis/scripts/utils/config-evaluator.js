@@ -0,0 +1,423 @@
+const fs = require('fs').promises;
+const path = require('path');
+const url = require('url');
+const babelParser = require('@babel/parser');
+
+// Anything whose value depends on running code (env lookups, plugin calls, branches on mode)
+const UNKNOWN = Symbol('unknown');
+
+const PATH_MODULES = new Set(['path', 'node:path', 'path/posix', 'node:path/posix', 'pathe', 'upath']);
+const URL_MODULES = new Set(['url', 'node:url']);
+const PATH_FUNCTIONS = new Set(['resolve', 'join', 'normalize', 'dirname']);
+const MAX_CALL_DEPTH = 8;
+
+// A module, or a member of one, reached through import/require
+class ModuleReference {
+    constructor(source, members = []) {
+        this.source = source;
+        this.members = members;
+    }
+
+    get(member) {
+        return new ModuleReference(this.source, [...this.members, member]);
+    }
+}
+
+class ConfigFunction {
+    constructor(node, scope) {
+        this.node = node;
+        this.scope = scope;
+    }
+}
+
+// Statically evaluates the exported object of a JS/TS tool config (vite, webpack, jest)
+// without executing it. Covers the idioms configs use to build paths: path.resolve(__dirname, ...),
+// fileURLToPath(new URL(..., import.meta.url)), top-level constants, spreads and defineConfig wrappers.
+class ConfigEvaluator {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.dir = path.dirname(filePath);
+        // Relative path.resolve() arguments resolve against the directory the tool runs in
+        this.cwd = options.cwd || this.dir;
+        this.depth = 0;
+    }
+
+    static async load(filePath, options = {}) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            return null;
+        }
+
+        try {
+            const value = new ConfigEvaluator(filePath, options).evaluateModule(content);
+            return value === UNKNOWN ? null : value;
+        } catch (error) {
+            // Syntax the parser cannot recover from
+            return null;
+        }
+    }
+
+    evaluateModule(content) {
+        const ast = babelParser.parse(content, {
+            sourceType: 'unambiguous',
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true,
+            errorRecovery: true,
+            plugins: /\.[mc]?ts$/.test(this.filePath) ? ['typescript'] : []
+        });
+
+        const scope = { bindings: new Map(), parent: null };
+        this.collectBindings(ast.program.body, scope);
+
+        let exported = null;
+        for (const statement of ast.program.body) {
+            if (statement.type === 'ExportDefaultDeclaration') {
+                exported = statement.declaration;
+            } else if (statement.type === 'ExpressionStatement' &&
+                statement.expression.type === 'AssignmentExpression' &&
+                this.isModuleExports(statement.expression.left)) {
+                exported = statement.expression.right;
+            }
+        }
+
+        if (!exported) {
+            return UNKNOWN;
+        }
+
+        const value = this.evaluate(exported, scope);
+        // Config factories such as (env, argv) => ({ ... }) are called with unknown arguments
+        return value instanceof ConfigFunction ? this.invoke(value, []) : value;
+    }
+
+    isModuleExports(node) {
+        if (node.type !== 'MemberExpression') return false;
+
+        const { object, property } = node;
+        if (object.type === 'Identifier' && object.name === 'module' && property.name === 'exports') {
+            return true;
+        }
+        // exports.default = ... and module.exports.default = ...
+        return property.name === 'default' &&
+            ((object.type === 'Identifier' && object.name === 'exports') || this.isModuleExports(object));
+    }
+
+    collectBindings(statements, scope) {
+        for (const statement of statements) {
+            const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+            if (!declaration) continue;
+
+            if (declaration.type === 'ImportDeclaration') {
+                for (const specifier of declaration.specifiers) {
+                    const members = specifier.type === 'ImportSpecifier'
+                        ? [specifier.imported.name || specifier.imported.value]
+                        : [];
+                    scope.bindings.set(specifier.local.name, {
+                        value: new ModuleReference(declaration.source.value, members)
+                    });
+                }
+            } else if (declaration.type === 'VariableDeclaration') {
+                for (const declarator of declaration.declarations) {
+                    if (!declarator.init) continue;
+
+                    if (declarator.id.type === 'Identifier') {
+                        scope.bindings.set(declarator.id.name, { node: declarator.init });
+                    } else if (declarator.id.type === 'ObjectPattern') {
+                        // const { resolve } = require('path')
+                        for (const property of declarator.id.properties) {
+                            if (property.type === 'ObjectProperty' && !property.computed &&
+                                property.value.type === 'Identifier') {
+                                scope.bindings.set(property.value.name, {
+                                    node: declarator.init,
+                                    member: property.key.name || property.key.value
+                                });
+                            }
+                        }
+                    }
+                }
+            } else if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+                scope.bindings.set(declaration.id.name, { value: new ConfigFunction(declaration, scope) });
+            }
+        }
+    }
+
+    lookup(name, scope) {
+        for (let current = scope; current; current = current.parent) {
+            const binding = current.bindings.get(name);
+            if (!binding) continue;
+
+            if (!('value' in binding)) {
+                // Evaluated on first use; the placeholder breaks self-referencing declarations
+                binding.value = UNKNOWN;
+                const value = this.evaluate(binding.node, current);
+                binding.value = binding.member === undefined ? value : this.getMember(value, binding.member);
+            }
+            return binding.value;
+        }
+        return undefined;
+    }
+
+    evaluate(node, scope) {
+        if (!node) return UNKNOWN;
+
+        switch (node.type) {
+            case 'StringLiteral':
+            case 'NumericLiteral':
+            case 'BooleanLiteral':
+                return node.value;
+            case 'NullLiteral':
+                return null;
+            case 'RegExpLiteral':
+                return new RegExp(node.pattern, node.flags);
+            case 'TemplateLiteral': {
+                let value = node.quasis[0].value.cooked;
+                for (let i = 0; i < node.expressions.length; i++) {
+                    const expression = this.evaluate(node.expressions[i], scope);
+                    if (typeof expression !== 'string' && typeof expression !== 'number') return UNKNOWN;
+                    value += expression + node.quasis[i + 1].value.cooked;
+                }
+                return value;
+            }
+            case 'BinaryExpression': {
+                if (node.operator !== '+') return UNKNOWN;
+                const left = this.evaluate(node.left, scope);
+                const right = this.evaluate(node.right, scope);
+                return (typeof left === 'string' || typeof right === 'string') &&
+                    left !== UNKNOWN && right !== UNKNOWN && typeof left !== 'object' && typeof right !== 'object'
+                    ? left + right
+                    : UNKNOWN;
+            }
+            case 'LogicalExpression': {
+                const left = this.evaluate(node.left, scope);
+                if (left === UNKNOWN) return UNKNOWN;
+                if (node.operator === '&&') return left ? this.evaluate(node.right, scope) : left;
+                if (node.operator === '??') return left === null || left === undefined ? this.evaluate(node.right, scope) : left;
+                return left ? left : this.evaluate(node.right, scope);
+            }
+            case 'Identifier':
+                return this.evaluateIdentifier(node.name, scope);
+            case 'ObjectExpression':
+                return this.evaluateObject(node, scope);
+            case 'ArrayExpression': {
+                const items = [];
+                for (const element of node.elements) {
+                    if (!element) continue;
+                    if (element.type === 'SpreadElement') {
+                        const spread = this.evaluate(element.argument, scope);
+                        if (Array.isArray(spread)) items.push(...spread);
+                        continue;
+                    }
+                    items.push(this.evaluate(element, scope));
+                }
+                return items;
+            }
+            case 'MemberExpression':
+            case 'OptionalMemberExpression':
+                return this.evaluateMember(node, scope);
+            case 'CallExpression':
+            case 'OptionalCallExpression':
+                return this.evaluateCall(node, scope);
+            case 'NewExpression':
+                return this.evaluateNew(node, scope);
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+                return new ConfigFunction(node, scope);
+            case 'AwaitExpression':
+            case 'TSAsExpression':
+            case 'TSSatisfiesExpression':
+            case 'TSNonNullExpression':
+            case 'TSTypeAssertion':
+            case 'ParenthesizedExpression':
+                return this.evaluate(node.expression || node.argument, scope);
+            default:
+                return UNKNOWN;
+        }
+    }
+
+    evaluateIdentifier(name, scope) {
+        const bound = this.lookup(name, scope);
+        if (bound !== undefined) return bound;
+
+        switch (name) {
+            case '__dirname':
+                return this.dir;
+            case '__filename':
+                return this.filePath;
+            case 'undefined':
+                return undefined;
+            default:
+                return UNKNOWN;
+        }
+    }
+
+    evaluateObject(node, scope) {
+        const value = {};
+
+        for (const property of node.properties) {
+            if (property.type === 'SpreadElement') {
+                const spread = this.evaluate(property.argument, scope);
+                if (spread && typeof spread === 'object' && !Array.isArray(spread)) {
+                    Object.assign(value, spread);
+                }
+                continue;
+            }
+            if (property.type !== 'ObjectProperty') continue;
+
+            const key = property.computed
+                ? this.evaluate(property.key, scope)
+                : property.key.name !== undefined ? property.key.name : String(property.key.value);
+            if (typeof key !== 'string' && typeof key !== 'number') continue;
+
+            value[key] = this.evaluate(property.value, scope);
+        }
+
+        return value;
+    }
+
+    evaluateMember(node, scope) {
+        if (node.object.type === 'MetaProperty') {
+            // import.meta.url / import.meta.dirname / import.meta.filename
+            switch (node.property.name) {
+                case 'url':
+                    return url.pathToFileURL(this.filePath).href;
+                case 'dirname':
+                    return this.dir;
+                case 'filename':
+                    return this.filePath;
+                default:
+                    return UNKNOWN;
+            }
+        }
+
+        const object = this.evaluate(node.object, scope);
+        const property = node.computed ? this.evaluate(node.property, scope) : node.property.name;
+        if (typeof property !== 'string' && typeof property !== 'number') return UNKNOWN;
+
+        return this.getMember(object, property);
+    }
+
+    getMember(object, property) {
+        if (object instanceof ModuleReference) {
+            return object.get(property);
+        }
+        if (object instanceof URL) {
+            return ['href', 'pathname'].includes(property) ? object[property] : UNKNOWN;
+        }
+        if (object && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, property)) {
+            return object[property];
+        }
+        return UNKNOWN;
+    }
+
+    evaluateCall(node, scope) {
+        const { callee } = node;
+
+        if (callee.type === 'Identifier' && callee.name === 'require' && this.lookup('require', scope) === undefined) {
+            const source = this.evaluate(node.arguments[0], scope);
+            return typeof source === 'string' ? new ModuleReference(source) : UNKNOWN;
+        }
+
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+            callee.object.name === 'process' && callee.property.name === 'cwd') {
+            return this.cwd;
+        }
+
+        const fn = this.evaluate(callee, scope);
+        const args = node.arguments.map(argument => this.evaluate(argument, scope));
+
+        if (fn instanceof ConfigFunction) {
+            return this.invoke(fn, args);
+        }
+        if (fn instanceof ModuleReference) {
+            return this.callModuleFunction(fn, args);
+        }
+        return UNKNOWN;
+    }
+
+    callModuleFunction(reference, args) {
+        const name = reference.members[reference.members.length - 1];
+
+        if (PATH_MODULES.has(reference.source) && PATH_FUNCTIONS.has(name)) {
+            if (!args.every(arg => typeof arg === 'string')) return UNKNOWN;
+            return name === 'resolve' ? path.resolve(this.cwd, ...args) : path[name](...args);
+        }
+
+        if (URL_MODULES.has(reference.source) && name === 'fileURLToPath') {
+            const target = args[0] instanceof URL ? args[0].href : args[0];
+            if (typeof target !== 'string') return UNKNOWN;
+            try {
+                return url.fileURLToPath(target);
+            } catch (error) {
+                return UNKNOWN;
+            }
+        }
+
+        // defineConfig() and friends from vite, vitest and jest only add typing
+        if (name && name.startsWith('define')) {
+            return args.length > 0 ? args[0] : UNKNOWN;
+        }
+
+        return UNKNOWN;
+    }
+
+    evaluateNew(node, scope) {
+        const { callee } = node;
+        const name = callee.type === 'Identifier' ? callee.name : null;
+        const bound = name ? this.lookup(name, scope) : undefined;
+        const isGlobal = bound === undefined;
+        const args = node.arguments.map(argument => this.evaluate(argument, scope));
+
+        const constructsUrl = (isGlobal && name === 'URL') ||
+            (bound instanceof ModuleReference && URL_MODULES.has(bound.source) && bound.members[0] === 'URL');
+        if (constructsUrl) {
+            const [input, base] = args;
+            if (typeof input !== 'string') return UNKNOWN;
+            try {
+                return base === undefined ? new URL(input) : new URL(input, base instanceof URL ? base.href : base);
+            } catch (error) {
+                return UNKNOWN;
+            }
+        }
+
+        if (isGlobal && name === 'RegExp') {
+            const [pattern, flags] = args;
+            if (typeof pattern !== 'string') return pattern instanceof RegExp ? pattern : UNKNOWN;
+            try {
+                return new RegExp(pattern, typeof flags === 'string' ? flags : undefined);
+            } catch (error) {
+                return UNKNOWN;
+            }
+        }
+
+        return UNKNOWN;
+    }
+
+    invoke(fn, args) {
+        if (this.depth >= MAX_CALL_DEPTH) return UNKNOWN;
+
+        const { node } = fn;
+        const scope = { bindings: new Map(), parent: fn.scope };
+        node.params.forEach((param, index) => {
+            if (param.type === 'Identifier') {
+                scope.bindings.set(param.name, { value: index < args.length ? args[index] : UNKNOWN });
+            }
+        });
+
+        this.depth++;
+        try {
+            if (node.body.type !== 'BlockStatement') {
+                return this.evaluate(node.body, scope);
+            }
+
+            this.collectBindings(node.body.body, scope);
+            // Only straight-line bodies: the first top-level return wins
+            const returned = node.body.body.find(statement => statement.type === 'ReturnStatement');
+            return returned ? this.evaluate(returned.argument, scope) : UNKNOWN;
+        } finally {
+            this.depth--;
+        }
+    }
+}
+
+module.exports = ConfigEvaluator;
@@ -0,0 +1,68 @@
+// Helpers for the { packages, importers } graphs produced by LockfileParser
+// and PackageUtils.buildInstalledGraph
+class DependencyGraph {
+    static buildReverseEdges(graph) {
+        const reverse = new Map();
+        const addEdge = (targetId, source) => {
+            if (!reverse.has(targetId)) {
+                reverse.set(targetId, []);
+            }
+            reverse.get(targetId).push(source);
+        };
+
+        for (const node of graph.packages.values()) {
+            for (const edge of node.dependencies) {
+                if (edge.id) addEdge(edge.id, { id: node.id, edge });
+            }
+        }
+
+        for (const [importer, entry] of graph.importers) {
+            for (const edge of entry.dependencies) {
+                if (edge.id) addEdge(edge.id, { importer, edge });
+            }
+        }
+
+        return reverse;
+    }
+
+    static findPaths(graph, reverseEdges, targetId, options = {}) {
+        // Walks edges backwards from the target up to an importer; each path starts with the
+        // importer's direct dependency (prefixed by the importer unless it is the root or the only one asked for)
+        const maxPaths = options.maxPaths || 10;
+        const paths = [];
+        let budget = 10000;
+
+        const walk = (id, chain, seen) => {
+            if (paths.length >= maxPaths || --budget < 0) return;
+
+            for (const source of reverseEdges.get(id) || []) {
+                if (source.importer !== undefined) {
+                    if (options.importer === undefined || options.importer === source.importer) {
+                        const prefix = source.importer === '.' || options.importer !== undefined ? [] : [source.importer];
+                        paths.push([...prefix, ...chain]);
+                    }
+                } else if (!seen.has(source.id)) {
+                    seen.add(source.id);
+                    walk(source.id, [this.label(graph, source.id), ...chain], seen);
+                    seen.delete(source.id);
+                }
+
+                if (paths.length >= maxPaths) return;
+            }
+        };
+
+        walk(targetId, [this.label(graph, targetId)], new Set([targetId]));
+        return paths;
+    }
+
+    static findPackages(graph, packageName) {
+        return Array.from(graph.packages.values()).filter(node => node.name === packageName);
+    }
+
+    static label(graph, id) {
+        const node = graph.packages.get(id);
+        return `${node.name}@${node.version}`;
+    }
+}
+
+module.exports = DependencyGraph;
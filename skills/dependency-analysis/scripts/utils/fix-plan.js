@@ -0,0 +1,360 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const GlobPattern = require('./glob-pattern');
+const PackageManager = require('./package-manager');
+const UnifiedDiff = require('./unified-diff');
+const VersionRange = require('./version-range');
+
+// A package only imported from these files belongs in devDependencies
+const DEV_FILES = [
+    '*.{test,spec,stories,e2e}.*', '**/__tests__/**', '**/__mocks__/**', '**/{test,tests,e2e,cypress}/**',
+    '**/.storybook/**', '*.config.*', '*.d.ts'
+];
+
+const MANIFEST_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Steps run in this order; each group gets its own echo line in the script
+const GROUPS = {
+    remove: 'Removing unused dependencies',
+    add: 'Installing missing dependencies',
+    security: 'Updating vulnerable packages',
+    outdated: 'Updating outdated packages within their ranges'
+};
+
+// Package manager commands that fix the issues of one analysis run, as a shell script or as a
+// patch to the package.json files. Targets are workspace packages ({ name, path, root }), or null
+// for a project that is not a workspace.
+class FixPlan {
+    constructor(packageManager) {
+        this.packageManager = packageManager;
+        this.steps = new Map();
+        this.notes = [];
+    }
+
+    static fromResult(result, packageManager) {
+        const plan = new FixPlan(packageManager);
+        if (!result.workspace) {
+            plan.addTarget(null, result.issues, result.dependencies);
+            return plan;
+        }
+
+        // In a monorepo every command names the workspace package whose manifest it changes
+        const root = { name: result.project.name, path: '.', root: true };
+        // Workspace issues name an unnamed root package "(root)"
+        const targets = new Map([[root.name, root], ['(root)', root]]);
+        plan.addTarget(root, result.issues, result.dependencies);
+        for (const pkg of result.workspace.packages.filter(member => member.success)) {
+            const target = { name: pkg.name, path: pkg.path, root: false };
+            targets.set(pkg.name, target);
+            plan.addTarget(target, pkg.issues, pkg.dependencies);
+        }
+        plan.addSiblings(
+            result.workspace.issues.undeclaredSiblings,
+            targets,
+            new Map(result.workspace.packages.map(pkg => [pkg.name, pkg.version]))
+        );
+        return plan;
+    }
+
+    static isDevFile(relativePath) {
+        return GlobPattern.matches(relativePath, DEV_FILES);
+    }
+
+    addTarget(target, issues, dependencies = {}) {
+        const declaredType = name => (dependencies[name] ? dependencies[name].type : null);
+        // One change per package: removing it makes pinning or updating it moot
+        const handled = new Set();
+
+        for (const unused of (issues.unused || []).filter(u => u.confidence === 'high')) {
+            handled.add(unused.name);
+            this.add('remove', 'remove', target, null, { name: unused.name, section: unused.type });
+        }
+
+        for (const missing of issues.missing || []) {
+            if (missing.type === 'peer-dependency') {
+                // A peer goes where the package that needs it is declared
+                const dev = declaredType(missing.requiredBy) === 'devDependencies';
+                this.add('add', 'add', target, dev, { name: missing.name, range: missing.version });
+            } else {
+                const dev = missing.typeOnly || missing.usedIn.every(usage => FixPlan.isDevFile(usage.file));
+                this.add('add', 'add', target, dev, { name: missing.installName || missing.name, range: null });
+            }
+        }
+
+        for (const phantom of issues.phantom || []) {
+            const dev = phantom.usedIn.every(file => FixPlan.isDevFile(file));
+            this.add('add', 'add', target, dev, { name: phantom.name, range: semver.valid(phantom.version) ? `^${phantom.version}` : null });
+        }
+
+        this.addSecurityFixes(target, issues.vulnerable || [], dependencies, handled);
+
+        for (const outdated of issues.outdated || []) {
+            if (handled.has(outdated.name)) continue;
+            const current = VersionRange.clean(outdated.current) || VersionRange.minVersion(outdated.current);
+
+            if (outdated.wanted && current && semver.gt(outdated.wanted, current)) {
+                this.add('outdated', 'update', target, null, { name: outdated.name });
+            }
+            if (outdated.latest !== outdated.wanted) {
+                // Leaving the declared range is a decision for a person; the command is only suggested
+                const risk = outdated.risk ? `, risk ${outdated.risk.score} ${outdated.risk.level}` : '';
+                const breaking = outdated.breakingChanges ? `: ${outdated.breakingChanges.summary}` : '';
+                this.notes.push({
+                    target,
+                    text: `${outdated.name} ${outdated.current} → ${outdated.latest} (${outdated.updateType || 'update'}${risk})${breaking}`,
+                    argv: this.packageManager.command('add', [`${outdated.name}@^${outdated.latest}`], {
+                        dev: declaredType(outdated.name) === 'devDependencies' ? true : null,
+                        target
+                    })
+                });
+            }
+        }
+    }
+
+    addSecurityFixes(target, vulnerable, dependencies, handled) {
+        // Several advisories against one package: the highest patched version fixes them all
+        const fixes = new Map();
+        for (const vuln of vulnerable) {
+            if (handled.has(vuln.name)) continue;
+            const fix = fixes.get(vuln.name) || { vuln, patchedIn: null, unpatched: [] };
+            if (vuln.patchedIn && (!fix.patchedIn || semver.gt(vuln.patchedIn, fix.patchedIn))) {
+                fix.patchedIn = vuln.patchedIn;
+            } else if (!vuln.patchedIn) {
+                fix.unpatched.push(vuln.id);
+            }
+            fixes.set(vuln.name, fix);
+        }
+
+        for (const [name, { vuln, patchedIn, unpatched }] of fixes) {
+            handled.add(name);
+            const declared = dependencies[name];
+
+            if (vuln.direct && declared && patchedIn) {
+                this.add('security', 'add', target, declared.type === 'devDependencies', {
+                    name,
+                    range: FixPlan.pinRange(declared.version, patchedIn),
+                    section: declared.type
+                });
+            } else if (!vuln.direct) {
+                this.add('security', 'update', target, null, { name });
+                this.notes.push({
+                    target,
+                    text: `${name} ${vuln.version} is a transitive dependency; if the update leaves it in place, set ${name} to ${patchedIn ? `^${patchedIn}` : 'a fixed version'} in ${this.getOverrideField()}`
+                });
+            }
+            if (unpatched.length > 0) {
+                const advisories = `${unpatched.length === 1 ? 'advisory' : 'advisories'} ${unpatched.join(', ')}`;
+                this.notes.push({ target, text: `${name} ${vuln.version} has no fixed version for ${advisories}; consider replacing it` });
+            }
+        }
+    }
+
+    addSiblings(undeclaredSiblings, targets, versions) {
+        for (const issue of undeclaredSiblings) {
+            const target = targets.get(issue.package);
+            if (!target || !versions.has(issue.sibling)) continue;
+            const dev = issue.usedIn.every(file => FixPlan.isDevFile(file));
+            this.add('add', 'add', target, dev, { name: issue.sibling, range: this.packageManager.workspaceRange(versions.get(issue.sibling)) });
+        }
+    }
+
+    static pinRange(declaredRange, version) {
+        // Keep the project's range style: exact stays exact, ~ stays ~, anything else becomes ^
+        if (semver.valid(declaredRange)) return version;
+        return declaredRange && declaredRange.trim().startsWith('~') ? `~${version}` : `^${version}`;
+    }
+
+    getOverrideField() {
+        switch (this.packageManager.name) {
+            case 'yarn':
+                return '"resolutions" in package.json';
+            case 'pnpm':
+                return '"pnpm.overrides" in package.json';
+            default:
+                return '"overrides" in package.json';
+        }
+    }
+
+    add(group, action, target, dev, pkg) {
+        const key = [group, action, target ? target.path : '.', dev].join('|');
+        if (!this.steps.has(key)) {
+            this.steps.set(key, { group, action, target, dev, packages: [] });
+        }
+        const step = this.steps.get(key);
+        if (!step.packages.some(existing => existing.name === pkg.name)) {
+            step.packages.push(pkg);
+        }
+    }
+
+    getSteps() {
+        const order = Object.keys(GROUPS);
+        return Array.from(this.steps.values()).sort((a, b) =>
+            order.indexOf(a.group) - order.indexOf(b.group) ||
+            (a.target ? a.target.path : '.').localeCompare(b.target ? b.target.path : '.') ||
+            Number(Boolean(a.dev)) - Number(Boolean(b.dev)));
+    }
+
+    static describe(step) {
+        return step.action === 'add' && step.dev ? `${GROUPS[step.group]} (dev)` : GROUPS[step.group];
+    }
+
+    getCommand(step) {
+        const specs = step.packages.map(pkg => (pkg.range ? `${pkg.name}@${pkg.range}` : pkg.name));
+        return this.packageManager.command(step.action, specs, { dev: step.action === 'add' ? step.dev : null, target: step.target });
+    }
+
+    isEmpty() {
+        return this.steps.size === 0 && this.notes.length === 0;
+    }
+
+    toScript(generatedAt = new Date()) {
+        const manager = this.packageManager;
+        const lines = [];
+        let group = null;
+
+        for (const step of this.getSteps()) {
+            if (step.group !== group) {
+                if (group) lines.push('');
+                group = step.group;
+                lines.push(`echo "${GROUPS[group]}..."`);
+            }
+            lines.push(`run ${PackageManager.format(this.getCommand(step))}`);
+        }
+
+        if (this.notes.length > 0) {
+            if (lines.length > 0) lines.push('');
+            lines.push('# Not applied automatically:');
+            for (const note of this.notes) {
+                lines.push(`# - ${note.text}${note.target && !note.target.root ? ` (${note.target.name})` : ''}`);
+                if (note.argv) {
+                    lines.push(`#   ${PackageManager.format(note.argv)}`);
+                }
+            }
+        }
+
+        return `#!/bin/bash
+# Auto-generated dependency fix script for ${manager.name}${manager.source !== 'default' ? ` (from ${manager.source})` : ''}
+# Generated on ${generatedAt.toISOString()}
+# Usage: ./fix-dependencies.sh [--dry-run]
+
+set -e
+
+DRY_RUN=0
+if [ "$1" = "--dry-run" ]; then
+    DRY_RUN=1
+fi
+
+run() {
+    echo "+ $*"
+    if [ "$DRY_RUN" = 0 ]; then
+        "$@"
+    fi
+}
+
+echo "🔧 Fixing dependency issues..."
+
+${lines.join('\n')}
+
+echo "✅ Dependency fixes completed!"
+echo "📊 Run '${PackageManager.format(manager.command('audit', []))}' to verify no vulnerabilities remain"
+`;
+    }
+
+    async resolveVersions(resolveVersion) {
+        // Missing packages have no version anywhere in the project; script and patch both pin the
+        // registry's latest with ^. A package without metadata keeps a bare name.
+        const unpinned = Array.from(this.steps.values())
+            .filter(step => step.action === 'add')
+            .flatMap(step => step.packages.filter(pkg => !pkg.range));
+        const names = [...new Set(unpinned.map(pkg => pkg.name))];
+
+        // In batches, as the outdated check does, so a slow registry is not asked for everything at once
+        const versions = new Map();
+        const batchSize = 5;
+        for (let i = 0; i < names.length; i += batchSize) {
+            const batch = names.slice(i, i + batchSize);
+            const resolved = await Promise.all(batch.map(name => resolveVersion(name)));
+            batch.forEach((name, index) => versions.set(name, resolved[index]));
+        }
+
+        for (const pkg of unpinned) {
+            if (versions.get(pkg.name)) {
+                pkg.range = `^${versions.get(pkg.name)}`;
+            }
+        }
+    }
+
+    async toManifestDiff(rootPath) {
+        // -> { diff, skipped }: the same changes written into each package.json. Lockfile-only updates
+        // and packages without a known version to add are listed above the patch instead.
+        const byManifest = new Map();
+        const skipped = [];
+
+        for (const step of this.getSteps()) {
+            const relativeDir = step.target ? step.target.path : '.';
+            if (!byManifest.has(relativeDir)) {
+                byManifest.set(relativeDir, []);
+            }
+            if (step.action === 'update') {
+                skipped.push(...step.packages.map(pkg => `${pkg.name}: lockfile-only update, run ${PackageManager.format(this.packageManager.command('update', [pkg.name], { target: step.target }))}`));
+                continue;
+            }
+            byManifest.get(relativeDir).push(step);
+        }
+
+        let diff = '';
+        for (const [relativeDir, steps] of byManifest) {
+            if (steps.length === 0) continue;
+            const manifestPath = path.posix.join(relativeDir, 'package.json');
+            const original = await fs.readFile(path.join(rootPath, manifestPath), 'utf-8');
+            const manifest = JSON.parse(original);
+            const touched = new Set();
+
+            for (const step of steps) {
+                for (const pkg of step.packages) {
+                    if (step.action === 'remove') {
+                        for (const section of MANIFEST_SECTIONS) {
+                            if (manifest[section] && manifest[section][pkg.name] !== undefined) {
+                                delete manifest[section][pkg.name];
+                                touched.add(section);
+                            }
+                        }
+                        continue;
+                    }
+
+                    if (!pkg.range) {
+                        skipped.push(`${pkg.name}: no registry version known, run ${PackageManager.format(this.packageManager.command('add', [pkg.name], { dev: step.dev, target: step.target }))}`);
+                        continue;
+                    }
+                    const section = pkg.section || (step.dev ? 'devDependencies' : 'dependencies');
+                    manifest[section] = manifest[section] || {};
+                    manifest[section][pkg.name] = pkg.range;
+                    touched.add(section);
+                }
+            }
+
+            diff += UnifiedDiff.create(original, FixPlan.serialize(original, manifest, touched), `a/${manifestPath}`, `b/${manifestPath}`);
+        }
+
+        skipped.push(...this.notes.map(note => note.text));
+        return { diff, skipped };
+    }
+
+    static serialize(original, manifest, touched) {
+        // Keep the file's indentation and final newline; re-sort a touched section only if it was sorted
+        const before = JSON.parse(original);
+        for (const section of touched) {
+            const names = Object.keys(before[section] || {});
+            const wasSorted = names.every((name, index) => index === 0 || names[index - 1].localeCompare(name) <= 0);
+            if (wasSorted) {
+                manifest[section] = Object.fromEntries(Object.entries(manifest[section]).sort(([a], [b]) => a.localeCompare(b)));
+            }
+        }
+
+        const indent = (original.match(/^[ \t]+(?=")/m) || ['  '])[0];
+        return JSON.stringify(manifest, null, indent) + (original.endsWith('\n') ? '\n' : '');
+    }
+}
+
+module.exports = FixPlan;
@@ -0,0 +1,98 @@
+// Glob matching for project-relative, "/"-separated paths: "*", "**", "?", "{a,b}" and [classes].
+// Like .gitignore, a pattern without a "/" matches the file name at any depth.
+const compiled = new Map();
+
+class GlobPattern {
+    static matches(relativePath, patterns) {
+        const normalized = relativePath.split('\\').join('/');
+        return [].concat(patterns).some(pattern => this.toRegExp(pattern).test(normalized));
+    }
+
+    static toRegExp(pattern) {
+        if (!compiled.has(pattern)) {
+            let source = pattern.replace(/^\.\//, '');
+            const anchored = source.replace(/\/+$/, '').includes('/');
+            source = source.replace(/^\//, '');
+            // "dir/" matches everything below dir
+            if (source.endsWith('/')) {
+                source += '**';
+            }
+            compiled.set(pattern, new RegExp(`^${anchored ? '' : '(?:.*/)?'}${this.translate(source)}$`));
+        }
+        return compiled.get(pattern);
+    }
+
+    static translate(glob) {
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    // "**/" is zero or more directories, a trailing "**" anything below
+                    if (glob[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '{') {
+                const close = this.findClosingBrace(glob, i);
+                if (close === -1) {
+                    source += '\\{';
+                    continue;
+                }
+                const alternatives = this.splitAlternatives(glob.slice(i + 1, close));
+                source += `(?:${alternatives.map(alternative => this.translate(alternative)).join('|')})`;
+                i = close;
+            } else if (char === '[') {
+                const close = glob.indexOf(']', i + 1);
+                if (close === -1) {
+                    source += '\\[';
+                    continue;
+                }
+                source += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return source;
+    }
+
+    static findClosingBrace(glob, open) {
+        let depth = 0;
+        for (let i = open; i < glob.length; i++) {
+            if (glob[i] === '{') depth++;
+            if (glob[i] === '}' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    static splitAlternatives(body) {
+        // Top-level commas only, so "{a,{b,c}}" keeps its nested group
+        const alternatives = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] === '{') depth++;
+            if (body[i] === '}') depth--;
+            if (body[i] === ',' && depth === 0) {
+                alternatives.push(body.slice(start, i));
+                start = i + 1;
+            }
+        }
+        alternatives.push(body.slice(start));
+        return alternatives;
+    }
+}
+
+module.exports = GlobPattern;
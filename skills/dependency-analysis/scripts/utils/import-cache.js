@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE = 'imports.json';
+const CACHE_FORMAT = 1;
+
+// Sources whose changes alter what gets extracted from an unchanged file
+const EXTRACTOR_SOURCES = [
+    path.join(__dirname, '..', 'analyzers', 'import-analyzer.js'),
+    path.join(__dirname, 'sfc-blocks.js'),
+    path.join(__dirname, '..', '..', 'package.json')
+];
+
+// Per-file import extraction results, reused while the file content, the extractor and the
+// alias configuration stay the same
+class ImportCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.filePath = path.join(cacheDir, CACHE_FILE);
+        this.entries = new Map();
+        this.seen = new Set();
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidated = null;
+    }
+
+    static hash(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    static async getAnalyzerVersion() {
+        // Hash of the extractor code itself, so a change to it never serves stale results
+        const hash = crypto.createHash('sha1');
+        for (const source of EXTRACTOR_SOURCES) {
+            try {
+                hash.update(await fs.readFile(source));
+            } catch (error) {
+                hash.update(source);
+            }
+        }
+        return hash.digest('hex');
+    }
+
+    async load(configHash) {
+        this.analyzerVersion = await ImportCache.getAnalyzerVersion();
+        this.configHash = configHash;
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+        } catch (error) {
+            // First run, or a cache file that was truncated mid-write
+            return;
+        }
+
+        if (data.format !== CACHE_FORMAT || data.analyzerVersion !== this.analyzerVersion) {
+            this.invalidated = 'analyzer changed';
+        } else if (data.configHash !== this.configHash) {
+            this.invalidated = 'tsconfig or bundler config changed';
+        } else {
+            this.entries = new Map(Object.entries(data.files || {}));
+        }
+    }
+
+    get(relativePath, contentHash) {
+        this.seen.add(relativePath);
+        const entry = this.entries.get(relativePath);
+        if (entry && entry.hash === contentHash) {
+            this.hits++;
+            return entry.imports;
+        }
+        this.misses++;
+        return null;
+    }
+
+    set(relativePath, contentHash, imports) {
+        this.seen.add(relativePath);
+        this.entries.set(relativePath, { hash: contentHash, imports });
+    }
+
+    async save() {
+        // Files not seen in this run were deleted or excluded; drop them so the cache does not grow forever
+        const files = {};
+        for (const [relativePath, entry] of this.entries) {
+            if (this.seen.has(relativePath)) {
+                files[relativePath] = entry;
+            }
+        }
+
+        const data = {
+            format: CACHE_FORMAT,
+            analyzerVersion: this.analyzerVersion,
+            configHash: this.configHash,
+            files
+        };
+
+        // Write then rename, so an interrupted run leaves the previous cache intact
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = ImportCache;
@@ -0,0 +1,168 @@
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// A file that takes longer than this to parse is treated as pathological and skipped
+const DEFAULT_TASK_TIMEOUT = 30000;
+
+// Shards import extraction across worker threads, each with its own ImportAnalyzer.
+// This file is also the worker entry point (see the bottom of the file).
+class ImportWorkerPool {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        this.size = Math.max(1, parseInt(options.workers, 10) || ImportWorkerPool.defaultSize());
+        this.taskTimeout = parseInt(options.workerTimeout, 10) || DEFAULT_TASK_TIMEOUT;
+        this.slots = [];
+        this.queue = [];
+        this.stats = [];
+        this.failures = [];
+        this.closed = false;
+    }
+
+    static defaultSize() {
+        return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length || 1;
+    }
+
+    async start() {
+        // Resolves false when no worker could initialize, so the caller can analyze on the main thread
+        const started = await Promise.all(Array.from({ length: this.size }, (_, id) => this.spawn(id)));
+        return started.some(Boolean);
+    }
+
+    spawn(id) {
+        if (!this.stats[id]) {
+            this.stats[id] = { worker: id, files: 0, durationMs: 0, failures: 0, restarts: 0 };
+        }
+
+        return new Promise(resolve => {
+            let worker;
+            try {
+                worker = new Worker(__filename, {
+                    workerData: {
+                        importWorker: true,
+                        projectPath: this.projectPath,
+                        // Functions and class instances cannot cross the thread boundary
+                        options: JSON.parse(JSON.stringify(this.options))
+                    }
+                });
+            } catch (error) {
+                resolve(false);
+                return;
+            }
+
+            const slot = { id, worker, task: null, timer: null, starting: true, ready: false, error: null };
+            this.slots[id] = slot;
+
+            worker.on('message', message => {
+                if (message.type === 'ready') {
+                    slot.starting = false;
+                    slot.ready = true;
+                    resolve(true);
+                    this.dispatch(slot);
+                } else if (message.type === 'result') {
+                    this.complete(slot, message.imports);
+                }
+            });
+            worker.on('error', error => {
+                slot.error = error.message;
+            });
+            worker.on('exit', code => {
+                const wasReady = slot.ready;
+                slot.starting = false;
+                slot.ready = false;
+                resolve(false);
+
+                if (slot.task) {
+                    this.fail(slot, slot.error || `worker exited with code ${code}`);
+                }
+                // Replace a worker lost to a crash or timeout; one that never initialized would only fail again
+                if (!this.closed && wasReady) {
+                    this.stats[id].restarts++;
+                    this.spawn(id);
+                } else if (!this.isAvailable()) {
+                    this.drain();
+                }
+            });
+        });
+    }
+
+    run(file, content = null) {
+        // Resolves { imports, error }, or null when no worker is left to take the file
+        if (!this.isAvailable()) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => {
+            this.queue.push({ file, content, resolve });
+            this.slots.forEach(slot => this.dispatch(slot));
+        });
+    }
+
+    isAvailable() {
+        return this.slots.some(slot => slot.ready || slot.starting);
+    }
+
+    dispatch(slot) {
+        if (!slot.ready || slot.task || this.queue.length === 0) {
+            return;
+        }
+
+        const task = this.queue.shift();
+        task.startedAt = Date.now();
+        slot.task = task;
+        slot.timer = setTimeout(() => {
+            slot.error = `timed out after ${this.taskTimeout}ms`;
+            slot.worker.terminate();
+        }, this.taskTimeout);
+        slot.worker.postMessage({ file: task.file, content: task.content });
+    }
+
+    complete(slot, imports) {
+        const task = this.finishTask(slot);
+        this.stats[slot.id].files++;
+        task.resolve({ imports, error: null });
+        this.dispatch(slot);
+    }
+
+    fail(slot, reason) {
+        const task = this.finishTask(slot);
+        this.stats[slot.id].failures++;
+        this.failures.push({ file: task.file, worker: slot.id, reason });
+        task.resolve({ imports: [], error: reason });
+    }
+
+    finishTask(slot) {
+        clearTimeout(slot.timer);
+        const task = slot.task;
+        slot.task = null;
+        slot.error = null;
+        this.stats[slot.id].durationMs += Date.now() - task.startedAt;
+        return task;
+    }
+
+    drain() {
+        // Every worker is gone; queued files go back to the caller
+        this.queue.splice(0).forEach(task => task.resolve(null));
+    }
+
+    async close() {
+        this.closed = true;
+        await Promise.all(this.slots.map(slot => slot.worker.terminate()));
+    }
+}
+
+if (!isMainThread && workerData && workerData.importWorker) {
+    const ImportAnalyzer = require('../analyzers/import-analyzer');
+    const analyzer = new ImportAnalyzer(workerData.projectPath, workerData.options);
+
+    analyzer.initialize().then(() => {
+        parentPort.on('message', async ({ file, content }) => {
+            const imports = content === null
+                ? await analyzer.analyzeFile(file)
+                : await analyzer.analyzeContent(content, file);
+            parentPort.postMessage({ type: 'result', imports });
+        });
+        parentPort.postMessage({ type: 'ready' });
+    });
+}
+
+module.exports = ImportWorkerPool;
@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+const BASELINE_VERSION = 1;
+
+class IssueBaseline {
+    static async load(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const data = JSON.parse(content);
+        if (data.version !== BASELINE_VERSION || !Array.isArray(data.issues)) {
+            throw new Error(`Unsupported baseline file ${filePath}`);
+        }
+        return data.issues;
+    }
+
+    static async save(filePath, entries) {
+        // Sorted and timestamp-free so the snapshot diffs cleanly when committed
+        const data = {
+            version: BASELINE_VERSION,
+            issues: [...entries].sort((a, b) => a.key.localeCompare(b.key))
+        };
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    static compare(baselineEntries, currentEntries, failOn = 'medium') {
+        const baselineKeys = new Set(baselineEntries.map(entry => entry.key));
+        const currentKeys = new Set(currentEntries.map(entry => entry.key));
+        const threshold = this.severityRank(failOn);
+
+        const added = currentEntries.filter(entry => !baselineKeys.has(entry.key));
+        const resolved = baselineEntries.filter(entry => !currentKeys.has(entry.key));
+        const blocking = added.filter(entry => this.severityRank(entry.severity) >= threshold);
+
+        return {
+            new: added,
+            resolved,
+            unchanged: currentEntries.length - added.length,
+            failOn,
+            blocking: blocking.length,
+            failed: blocking.length > 0
+        };
+    }
+
+    static collect(result) {
+        const entries = [];
+        this.collectIssues(result.issues, '.', entries);
+
+        if (result.workspace) {
+            for (const pkg of result.workspace.packages) {
+                this.collectIssues(pkg.issues, pkg.path, entries);
+            }
+
+            const { undeclaredSiblings, internalRangeMismatches, versionConflicts } = result.workspace.issues;
+            for (const issue of undeclaredSiblings) {
+                for (const file of issue.usedIn) {
+                    this.addEntry(entries, '.', 'undeclaredSibling', `${issue.package}>${issue.sibling}`, file, issue.severity,
+                        `${issue.package} imports undeclared sibling ${issue.sibling}`);
+                }
+            }
+            for (const issue of internalRangeMismatches) {
+                this.addEntry(entries, '.', 'internalRangeMismatch', `${issue.package}>${issue.sibling}`, null, issue.severity,
+                    `${issue.package} requests ${issue.sibling}@${issue.range}, workspace has ${issue.siblingVersion}`);
+            }
+            for (const conflict of versionConflicts) {
+                this.addEntry(entries, '.', 'workspaceVersionConflict', conflict.name, null, conflict.severity,
+                    `${conflict.name} is declared at conflicting versions across workspaces`);
+            }
+        }
+
+        // Several raw issues can collapse onto one key (e.g. a package imported twice in one file)
+        const unique = new Map(entries.map(entry => [entry.key, entry]));
+        return Array.from(unique.values());
+    }
+
+    static collectIssues(issues, scope, entries) {
+        const add = (type, pkg, file, severity, message) =>
+            this.addEntry(entries, scope, type, pkg, file, severity, message);
+
+        for (const issue of issues.unused || []) {
+            add('unused', issue.name, null, 'low', `Unused ${issue.type} entry ${issue.name}`);
+        }
+
+        for (const issue of issues.missing || []) {
+            const files = issue.usedIn ? issue.usedIn.map(usage => usage.file) : [issue.requiredBy || null];
+            for (const file of files) {
+                add('missing', issue.name, file, issue.severity, `Missing dependency ${issue.name}`);
+            }
+        }
+
+        for (const issue of issues.phantom || []) {
+            for (const file of issue.usedIn) {
+                add('phantom', issue.name, file, issue.risk, `Phantom dependency ${issue.name}`);
+            }
+        }
+
+        for (const issue of issues.circular || []) {
+            // The member set is stable no matter which file the cycle is reported from
+            add('circular', null, [...issue.files].sort().join(','), issue.severity,
+                `Circular import ${issue.path.join(' → ')}`);
+        }
+
+        for (const issue of issues.unexportedSubpaths || []) {
+            for (const file of issue.usedIn) {
+                add('unexportedSubpath', issue.specifier, file, issue.severity, `Deep import ${issue.specifier}`);
+            }
+        }
+
+        for (const issue of issues.unusedFiles || []) {
+            add('unusedFile', null, issue.file, issue.severity, `Unreachable file ${issue.file}`);
+        }
+
+        for (const issue of issues.unusedExports || []) {
+            // Keyed by name rather than line so edits above the export do not make it "new"
+            add('unusedExport', issue.name, issue.file, issue.severity, `Unused export ${issue.name} in ${issue.file}`);
+        }
+
+        for (const issue of issues.duplicate || []) {
+            const pkg = issue.type === 'version' ? issue.name : issue.packages.map(p => p.name).sort().join('+');
+            add(`duplicate-${issue.type}`, pkg, null, issue.impact, issue.recommendation);
+        }
+
+        for (const issue of issues.versionConflicts || []) {
+            add('versionConflict', `${issue.package}>${issue.peerDependency}`, null, issue.severity,
+                `${issue.package} requires ${issue.peerDependency}@${issue.required}, found ${issue.installed}`);
+        }
+
+        for (const issue of issues.peerConflicts || []) {
+            add('peerConflict', issue.package, null, issue.severity, issue.message || `Peer conflict in ${issue.package}`);
+        }
+
+        for (const issue of issues.outdated || []) {
+            add('outdated', issue.name, null, ['major', 'premajor'].includes(issue.updateType) ? 'medium' : 'low',
+                `${issue.name} ${issue.current} → ${issue.latest}`);
+        }
+
+        for (const issue of issues.licenses || []) {
+            // The license takes the file slot so a relicensed package shows up as new
+            add('license', `${issue.name}@${issue.version}`, issue.license, issue.severity, `${issue.name}@${issue.version}: ${issue.reason}`);
+        }
+
+        for (const issue of issues.vulnerable || []) {
+            // The advisory id takes the file slot so each advisory is tracked on its own
+            add('vulnerable', issue.name, issue.id, issue.severity, `${issue.name}@${issue.version}: ${issue.title}`);
+        }
+    }
+
+    static addEntry(entries, scope, type, pkg, file, severity, message) {
+        entries.push({
+            key: [scope, type, pkg || '', file || ''].join('|'),
+            scope,
+            type,
+            package: pkg,
+            file,
+            severity: this.isSeverity(severity) ? severity : 'medium',
+            message
+        });
+    }
+
+    static isSeverity(severity) {
+        return SEVERITY_ORDER.includes(severity);
+    }
+
+    static severityRank(severity) {
+        const index = SEVERITY_ORDER.indexOf(severity);
+        return index === -1 ? SEVERITY_ORDER.indexOf('medium') : index;
+    }
+}
+
+module.exports = IssueBaseline;
@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const GlobPattern = require('./glob-pattern');
+const SpdxExpression = require('./spdx-expression');
+
+const VERDICTS = ['allow', 'review', 'deny'];
+
+// Permissive licenses; anything else needs review unless a policy file says otherwise
+const DEFAULT_ALLOW = [
+    'MIT', 'MIT-0', 'ISC', '0BSD', 'BSD-2-Clause', 'BSD-3-Clause', 'Apache-2.0', 'Unlicense', 'CC0-1.0',
+    'CC-BY-3.0', 'CC-BY-4.0', 'BlueOak-1.0.0', 'Python-2.0', 'Zlib'
+];
+
+class LicensePolicy {
+    constructor(policy = {}, source = 'default') {
+        this.source = source;
+        // License ids and globs ("GPL-*"), compared case-insensitively
+        this.lists = {
+            deny: this.compile(policy.deny || []),
+            allow: this.compile(policy.allow || DEFAULT_ALLOW),
+            review: this.compile(policy.review || [])
+        };
+        this.unlisted = policy.unlisted || 'review';
+        this.unknown = policy.unknown || 'review';
+        // "name" or "name@version" -> verdict, for packages legal has cleared (or banned) individually
+        this.packages = policy.packages || {};
+        this.ignoreDev = Boolean(policy.ignoreDev);
+    }
+
+    static async load(filePath) {
+        let policy;
+        try {
+            policy = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid license policy ${filePath}: ${error.message}`);
+        }
+
+        const verdicts = [policy.unlisted, policy.unknown, ...Object.values(policy.packages || {})].filter(Boolean);
+        const invalid = verdicts.find(verdict => !VERDICTS.includes(verdict));
+        if (invalid) {
+            throw new Error(`Invalid license policy ${filePath}: unknown verdict "${invalid}" (use ${VERDICTS.join(', ')})`);
+        }
+
+        return new LicensePolicy(policy, filePath);
+    }
+
+    compile(patterns) {
+        return [].concat(patterns).map(pattern => String(pattern).toUpperCase());
+    }
+
+    evaluate(name, version, expression) {
+        // -> { verdict, license, rule }; license is the part of the expression that decided the verdict
+        const exception = this.packages[`${name}@${version}`] || this.packages[name];
+        if (exception) {
+            return { verdict: exception, license: null, rule: 'package' };
+        }
+        if (!expression) {
+            return { verdict: this.unknown, license: null, rule: 'unknown' };
+        }
+        return this.evaluateNode(expression);
+    }
+
+    evaluateNode(node) {
+        if (node.license) {
+            return this.evaluateLeaf(node);
+        }
+
+        const left = this.evaluateNode(node.left);
+        const right = this.evaluateNode(node.right);
+        const rank = result => VERDICTS.indexOf(result.verdict);
+
+        // OR lets the project pick the most favourable license, AND binds it to every one
+        if (node.conjunction === 'or') {
+            return rank(right) < rank(left) ? right : left;
+        }
+        return rank(right) > rank(left) ? right : left;
+    }
+
+    evaluateLeaf(leaf) {
+        // "GPL-2.0 WITH Classpath-exception-2.0" can be listed on its own, ahead of plain "GPL-2.0"
+        const candidates = [SpdxExpression.leafId(leaf, true), SpdxExpression.leafId(leaf), leaf.license];
+
+        for (const candidate of new Set(candidates)) {
+            for (const verdict of ['deny', 'allow', 'review']) {
+                if (GlobPattern.matches(candidate.toUpperCase(), this.lists[verdict])) {
+                    return { verdict, license: SpdxExpression.leafId(leaf, true), rule: verdict };
+                }
+            }
+        }
+
+        return { verdict: this.unlisted, license: SpdxExpression.leafId(leaf, true), rule: 'unlisted' };
+    }
+}
+
+module.exports = LicensePolicy;
@@ -0,0 +1,473 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCKFILES = [
+    { file: 'pnpm-lock.yaml', type: 'pnpm' },
+    { file: 'yarn.lock', type: 'yarn' },
+    { file: 'package-lock.json', type: 'npm' },
+    { file: 'npm-shrinkwrap.json', type: 'npm' }
+];
+
+class LockfileParser {
+    constructor(projectPath) {
+        this.projectPath = projectPath;
+        this.type = null;
+        this.lockfilePath = null;
+        this.lockfileVersion = null;
+        // id (name@version) -> { id, name, version, dev, optional, dependencies: [edge] }
+        this.packages = new Map();
+        // importer path relative to the lockfile ('.' for the root) -> { dependencies: [edge] }
+        this.importers = new Map();
+    }
+
+    async load() {
+        for (const { file, type } of LOCKFILES) {
+            const lockfilePath = path.join(this.projectPath, file);
+            let content;
+
+            try {
+                content = await fs.readFile(lockfilePath, 'utf-8');
+            } catch (error) {
+                continue;
+            }
+
+            try {
+                this.lockfilePath = lockfilePath;
+
+                if (type === 'npm') {
+                    this.parseNpmLockfile(JSON.parse(content), await this.readPackageJson());
+                } else if (type === 'yarn') {
+                    await this.parseYarnLockfile(content);
+                } else {
+                    this.parsePnpmLockfile(yaml.load(content));
+                }
+
+                return true;
+            } catch (error) {
+                // Corrupt or unsupported lockfile; try the next candidate
+                this.reset();
+            }
+        }
+
+        return false;
+    }
+
+    reset() {
+        this.type = null;
+        this.lockfilePath = null;
+        this.lockfileVersion = null;
+        this.packages.clear();
+        this.importers.clear();
+    }
+
+    getResolvedVersion(packageName, importer = '.') {
+        const edge = this.getImporterDependencies(importer).find(dep => dep.name === packageName);
+        if (edge && this.packages.has(edge.id)) {
+            return this.packages.get(edge.id).version;
+        }
+        return null;
+    }
+
+    getImporterDependencies(importer = '.') {
+        const entry = this.importers.get(importer);
+        return entry ? entry.dependencies : [];
+    }
+
+    getVersions(packageName) {
+        return this.findPackages(packageName).map(pkg => pkg.version);
+    }
+
+    findPackages(packageName) {
+        return Array.from(this.packages.values()).filter(pkg => pkg.name === packageName);
+    }
+
+    addPackage(name, version, flags = {}) {
+        const id = `${name}@${version}`;
+
+        if (!this.packages.has(id)) {
+            this.packages.set(id, {
+                id,
+                name,
+                version,
+                dev: Boolean(flags.dev),
+                optional: Boolean(flags.optional),
+                dependencies: []
+            });
+        } else {
+            // A package is only dev/optional if every copy of it is
+            const existing = this.packages.get(id);
+            existing.dev = existing.dev && Boolean(flags.dev);
+            existing.optional = existing.optional && Boolean(flags.optional);
+        }
+
+        return this.packages.get(id);
+    }
+
+    addEdge(list, edge) {
+        if (!edge.id && !edge.link) return;
+
+        const isDuplicate = list.some(existing =>
+            existing.name === edge.name && existing.id === edge.id && existing.link === edge.link
+        );
+        if (!isDuplicate) {
+            list.push(edge);
+        }
+    }
+
+    // npm: package-lock.json / npm-shrinkwrap.json (lockfileVersion 1-3)
+
+    parseNpmLockfile(lockfile, packageJson) {
+        this.type = 'npm';
+        this.lockfileVersion = lockfile.lockfileVersion || 1;
+
+        const entries = lockfile.packages
+            ? lockfile.packages
+            : this.flattenNpmV1Dependencies(lockfile, packageJson);
+
+        const locationIds = new Map();
+
+        for (const [location, entry] of Object.entries(entries)) {
+            if (!location.includes('node_modules/') || entry.link) continue;
+
+            const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+            const pkg = this.addPackage(name, entry.version, entry);
+            locationIds.set(location, pkg.id);
+        }
+
+        const resolveFrom = (location, depName) => {
+            let base = location;
+
+            while (true) {
+                const candidate = base ? `${base}/node_modules/${depName}` : `node_modules/${depName}`;
+                if (entries[candidate]) {
+                    const target = entries[candidate];
+                    // Workspace links point at the importer path
+                    return target.link ? { link: target.resolved } : { id: locationIds.get(candidate) };
+                }
+
+                if (!base) return {};
+
+                const index = base.lastIndexOf('/node_modules/');
+                base = index === -1 ? '' : base.slice(0, index);
+            }
+        };
+
+        const collectEdges = (location, entry, list) => {
+            const groups = [
+                ['dependencies', 'prod'],
+                ['optionalDependencies', 'optional'],
+                ['peerDependencies', 'peer'],
+                ['devDependencies', 'dev']
+            ];
+
+            for (const [field, type] of groups) {
+                // Only importers install their devDependencies
+                if (type === 'dev' && location.includes('node_modules/')) continue;
+
+                for (const [depName, range] of Object.entries(entry[field] || {})) {
+                    const target = resolveFrom(location, depName);
+                    this.addEdge(list, {
+                        name: depName,
+                        range,
+                        type,
+                        id: target.id || null,
+                        link: target.link || undefined
+                    });
+                }
+            }
+        };
+
+        for (const [location, entry] of Object.entries(entries)) {
+            if (entry.link) continue;
+
+            if (location.includes('node_modules/')) {
+                const pkg = this.packages.get(locationIds.get(location));
+                collectEdges(location, entry, pkg.dependencies);
+            } else {
+                const importer = location === '' ? '.' : location;
+                const dependencies = [];
+                collectEdges(location, entry, dependencies);
+                this.importers.set(importer, { name: entry.name, dependencies });
+            }
+        }
+    }
+
+    flattenNpmV1Dependencies(lockfile, packageJson) {
+        // Map the nested v1 tree onto v2-style "node_modules/a/node_modules/b" locations;
+        // v1 does not record the root's own ranges, so those come from package.json
+        const entries = {
+            '': {
+                name: lockfile.name,
+                dependencies: packageJson.dependencies,
+                devDependencies: packageJson.devDependencies,
+                optionalDependencies: packageJson.optionalDependencies
+            }
+        };
+
+        const visit = (dependencies, parentLocation) => {
+            for (const [name, entry] of Object.entries(dependencies || {})) {
+                const location = parentLocation
+                    ? `${parentLocation}/node_modules/${name}`
+                    : `node_modules/${name}`;
+
+                entries[location] = {
+                    name,
+                    version: entry.version,
+                    dev: entry.dev,
+                    optional: entry.optional,
+                    dependencies: entry.requires || {}
+                };
+
+                visit(entry.dependencies, location);
+            }
+        };
+
+        visit(lockfile.dependencies, '');
+        return entries;
+    }
+
+    // yarn: classic (v1) and berry (YAML, yarn 2+)
+
+    async parseYarnLockfile(content) {
+        const isBerry = /^__metadata:/m.test(content);
+        const entries = isBerry ? yaml.load(content) : this.parseYarnClassic(content);
+
+        this.type = isBerry ? 'yarn-berry' : 'yarn-classic';
+        this.lockfileVersion = isBerry ? String(entries.__metadata.version) : '1';
+
+        const descriptors = new Map();
+        const resolved = [];
+
+        for (const [key, entry] of Object.entries(entries)) {
+            if (key === '__metadata' || !entry || typeof entry !== 'object') continue;
+
+            const keyDescriptors = key.split(',').map(d => d.trim().replace(/^"|"$/g, ''));
+            const name = this.parseDescriptorName(keyDescriptors[0]);
+            const isWorkspace = isBerry && /@workspace:/.test(entry.resolution || '');
+
+            let id = null;
+            if (!isWorkspace) {
+                id = this.addPackage(name, String(entry.version)).id;
+            }
+
+            keyDescriptors.forEach(descriptor => descriptors.set(descriptor, { id, entry }));
+            resolved.push({ id, name, entry, isWorkspace });
+        }
+
+        const lookup = (depName, range) => {
+            const candidates = [`${depName}@${range}`, `${depName}@npm:${range}`];
+            for (const candidate of candidates) {
+                if (descriptors.has(candidate)) {
+                    return descriptors.get(candidate);
+                }
+            }
+            return null;
+        };
+
+        const collectEdges = (entry, list) => {
+            const groups = [
+                ['dependencies', 'prod'],
+                ['optionalDependencies', 'optional'],
+                ['peerDependencies', 'peer']
+            ];
+
+            for (const [field, type] of groups) {
+                for (const [depName, range] of Object.entries(entry[field] || {})) {
+                    const target = lookup(depName, String(range));
+                    if (!target) continue;
+
+                    this.addEdge(list, {
+                        name: depName,
+                        range: String(range).replace(/^npm:/, ''),
+                        type,
+                        id: target.id,
+                        link: target.id ? undefined : this.workspacePath(target.entry)
+                    });
+                }
+            }
+        };
+
+        for (const { id, name, entry, isWorkspace } of resolved) {
+            if (isWorkspace) {
+                const dependencies = [];
+                collectEdges(entry, dependencies);
+                this.importers.set(this.workspacePath(entry), { name, dependencies });
+            } else {
+                collectEdges(entry, this.packages.get(id).dependencies);
+            }
+        }
+
+        // Classic lockfiles do not record the project itself; derive it from package.json
+        if (!this.importers.has('.')) {
+            const dependencies = [];
+            const packageJson = await this.readPackageJson();
+            const groups = [
+                ['dependencies', 'prod'],
+                ['devDependencies', 'dev'],
+                ['optionalDependencies', 'optional']
+            ];
+
+            for (const [field, type] of groups) {
+                for (const [depName, range] of Object.entries(packageJson[field] || {})) {
+                    const target = lookup(depName, range);
+                    if (target) {
+                        this.addEdge(dependencies, { name: depName, range, type, id: target.id });
+                    }
+                }
+            }
+
+            this.importers.set('.', { name: packageJson.name, dependencies });
+        }
+    }
+
+    parseYarnClassic(content) {
+        const entries = {};
+        let current = null;
+        let section = null;
+
+        for (const rawLine of content.split('\n')) {
+            if (!rawLine.trim() || rawLine.trim().startsWith('#')) continue;
+
+            const indent = rawLine.length - rawLine.trimStart().length;
+            const line = rawLine.trim();
+
+            if (indent === 0) {
+                current = {};
+                section = null;
+                entries[line.replace(/:$/, '')] = current;
+            } else if (indent === 2 && current) {
+                if (line.endsWith(':')) {
+                    section = line.slice(0, -1);
+                    current[section] = {};
+                } else {
+                    section = null;
+                    const [key, value] = this.splitYarnClassicLine(line);
+                    current[key] = value;
+                }
+            } else if (indent >= 4 && current && section) {
+                const [key, value] = this.splitYarnClassicLine(line);
+                current[section][key] = value;
+            }
+        }
+
+        return entries;
+    }
+
+    splitYarnClassicLine(line) {
+        const match = line.match(/^("[^"]+"|\S+)\s+(.*)$/);
+        if (!match) {
+            return [line, ''];
+        }
+        return [match[1].replace(/^"|"$/g, ''), match[2].replace(/^"|"$/g, '')];
+    }
+
+    parseDescriptorName(descriptor) {
+        const index = descriptor.indexOf('@', 1);
+        return index === -1 ? descriptor : descriptor.slice(0, index);
+    }
+
+    workspacePath(entry) {
+        const match = (entry.resolution || '').match(/@workspace:(.+)$/);
+        return match ? match[1] : '.';
+    }
+
+    // pnpm: pnpm-lock.yaml (lockfileVersion 5.x, 6.x and 9.x)
+
+    parsePnpmLockfile(lockfile) {
+        this.type = 'pnpm';
+        this.lockfileVersion = String(lockfile.lockfileVersion);
+
+        const major = parseInt(this.lockfileVersion, 10);
+        // v9 splits package metadata from the resolved dependency graph
+        const snapshots = major >= 9 ? (lockfile.snapshots || {}) : (lockfile.packages || {});
+        const metadata = lockfile.packages || {};
+        const keyIds = new Map();
+
+        for (const [key, entry] of Object.entries(snapshots)) {
+            const { name, version } = this.parsePnpmKey(key, major);
+            const metaEntry = major >= 9 ? (metadata[key.replace(/\(.*$/, '')] || {}) : entry;
+            const pkg = this.addPackage(name, (entry && entry.version) || version, {
+                dev: metaEntry.dev === true,
+                optional: (entry && entry.optional) || metaEntry.optional
+            });
+            keyIds.set(key, pkg.id);
+        }
+
+        const toKey = (depName, reference) => {
+            if (reference.startsWith('/')) return reference;
+            if (major >= 9) {
+                // Aliased dependencies reference the full key ("string-width@4.2.3")
+                return /^(@[^/]+\/)?[^@]+@/.test(reference) && !/^\d/.test(reference)
+                    ? reference
+                    : `${depName}@${reference}`;
+            }
+            return major >= 6 ? `/${depName}@${reference}` : `/${depName}/${reference}`;
+        };
+
+        const collectEdges = (dependencies, list, type, specifiers = {}) => {
+            for (const [depName, value] of Object.entries(dependencies || {})) {
+                // v6+ importers store { specifier, version }, older ones a bare version
+                const reference = String(typeof value === 'object' ? value.version : value);
+                const range = typeof value === 'object' ? value.specifier : specifiers[depName];
+
+                if (reference.startsWith('link:')) {
+                    this.addEdge(list, { name: depName, range, type, id: null, link: reference.slice(5) });
+                    continue;
+                }
+
+                this.addEdge(list, {
+                    name: depName,
+                    range: range || null,
+                    type,
+                    id: keyIds.get(toKey(depName, reference)) || null
+                });
+            }
+        };
+
+        for (const [key, entry] of Object.entries(snapshots)) {
+            const pkg = this.packages.get(keyIds.get(key));
+            collectEdges(entry.dependencies, pkg.dependencies, 'prod');
+            collectEdges(entry.optionalDependencies, pkg.dependencies, 'optional');
+        }
+
+        const importers = lockfile.importers || { '.': lockfile };
+        for (const [importerPath, importer] of Object.entries(importers)) {
+            const dependencies = [];
+            collectEdges(importer.dependencies, dependencies, 'prod', importer.specifiers);
+            collectEdges(importer.devDependencies, dependencies, 'dev', importer.specifiers);
+            collectEdges(importer.optionalDependencies, dependencies, 'optional', importer.specifiers);
+            this.importers.set(importerPath, { dependencies });
+        }
+    }
+
+    parsePnpmKey(key, major) {
+        // "/name/1.0.0_peer@1" (v5), "/name@1.0.0(peer@1)" (v6), "name@1.0.0(peer@1)" (v9)
+        const trimmed = key.replace(/^\//, '').replace(/\(.*$/, '');
+
+        if (major < 6) {
+            const index = trimmed.lastIndexOf('/');
+            return {
+                name: trimmed.slice(0, index),
+                version: trimmed.slice(index + 1).replace(/_.*$/, '')
+            };
+        }
+
+        const index = trimmed.indexOf('@', 1);
+        return {
+            name: trimmed.slice(0, index),
+            version: trimmed.slice(index + 1)
+        };
+    }
+
+    async readPackageJson() {
+        try {
+            const content = await fs.readFile(path.join(this.projectPath, 'package.json'), 'utf-8');
+            return JSON.parse(content);
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = LockfileParser;
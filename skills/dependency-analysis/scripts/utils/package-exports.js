@@ -0,0 +1,140 @@
+// Node's PACKAGE_EXPORTS_RESOLVE / PACKAGE_IMPORTS_RESOLVE over package.json "exports" and "imports".
+// Results are package-relative targets ("./dist/index.js"), bare specifiers for "imports" entries
+// that point at another package, or null when the subpath is not exported.
+class PackageExports {
+    static hasExports(packageJson) {
+        return Boolean(packageJson) && packageJson.exports !== undefined && packageJson.exports !== null;
+    }
+
+    static resolveExports(packageJson, subpath, conditions) {
+        // subpath is "." or "./feature"
+        const exportsMap = this.normalizeExports(packageJson.exports);
+        if (!exportsMap) {
+            return null;
+        }
+        return this.resolveMap(exportsMap, subpath, conditions, false);
+    }
+
+    static resolveImports(packageJson, specifier, conditions) {
+        // specifier is "#internal" or "#internal/feature"
+        const importsMap = packageJson && packageJson.imports;
+        if (!importsMap || typeof importsMap !== 'object' || specifier === '#' || specifier.startsWith('#/')) {
+            return null;
+        }
+        return this.resolveMap(importsMap, specifier, conditions, true);
+    }
+
+    static resolveEntry(packageJson, subpath, conditions) {
+        // Full package entry resolution: "exports" when present, otherwise main/index or the raw subpath
+        if (this.hasExports(packageJson)) {
+            return this.resolveExports(packageJson, subpath, conditions);
+        }
+        if (subpath === '.') {
+            return typeof packageJson.main === 'string' ? `./${packageJson.main.replace(/^\.\//, '')}` : './index.js';
+        }
+        return subpath;
+    }
+
+    static normalizeExports(exportsField) {
+        // "exports": "./index.js" and condition-only objects are sugar for { ".": ... }
+        if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+            return { '.': exportsField };
+        }
+        if (!exportsField || typeof exportsField !== 'object') {
+            return null;
+        }
+
+        const keys = Object.keys(exportsField);
+        const isSubpathMap = keys.length > 0 && keys.every(key => key.startsWith('.'));
+        return isSubpathMap ? exportsField : { '.': exportsField };
+    }
+
+    static resolveMap(map, matchKey, conditions, isImports) {
+        if (Object.prototype.hasOwnProperty.call(map, matchKey) && !matchKey.includes('*')) {
+            return this.resolveTarget(map[matchKey], null, conditions, isImports);
+        }
+
+        const expansionKeys = Object.keys(map)
+            .filter(key => key.indexOf('*') !== -1 && key.indexOf('*') === key.lastIndexOf('*'))
+            .sort((a, b) => this.comparePatternKeys(a, b));
+
+        for (const key of expansionKeys) {
+            const star = key.indexOf('*');
+            const prefix = key.slice(0, star);
+            const trailer = key.slice(star + 1);
+
+            if (matchKey.startsWith(prefix) && matchKey !== prefix &&
+                (trailer === '' || (matchKey.endsWith(trailer) && matchKey.length >= key.length))) {
+                const patternMatch = matchKey.slice(prefix.length, matchKey.length - trailer.length);
+                return this.resolveTarget(map[key], patternMatch, conditions, isImports);
+            }
+        }
+
+        return null;
+    }
+
+    static comparePatternKeys(a, b) {
+        // PATTERN_KEY_COMPARE: longer prefix before the "*" wins, then the longer key
+        const prefixA = a.indexOf('*');
+        const prefixB = b.indexOf('*');
+        if (prefixA !== prefixB) {
+            return prefixB - prefixA;
+        }
+        return b.length - a.length;
+    }
+
+    static resolveTarget(target, patternMatch, conditions, isImports) {
+        const result = this.resolveTargetValue(target, patternMatch, conditions, isImports);
+        // undefined means no condition matched, which is "not exported" for the caller
+        return result === undefined ? null : result;
+    }
+
+    static resolveTargetValue(target, patternMatch, conditions, isImports) {
+        if (typeof target === 'string') {
+            const substitute = value => patternMatch === null ? value : value.split('*').join(patternMatch);
+
+            if (!target.startsWith('./')) {
+                // Only "imports" may map onto another package; "../" and absolute targets are invalid
+                if (isImports && !target.startsWith('../') && !target.startsWith('/') && !/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+                    return substitute(target);
+                }
+                return null;
+            }
+
+            const resolved = substitute(target);
+            if (resolved.split('/').some(segment => ['..', 'node_modules'].includes(segment))) {
+                return null;
+            }
+            return resolved;
+        }
+
+        if (Array.isArray(target)) {
+            // Fallback list: the first entry that is valid
+            for (const item of target) {
+                const result = this.resolveTargetValue(item, patternMatch, conditions, isImports);
+                if (result !== undefined && result !== null) {
+                    return result;
+                }
+            }
+            return null;
+        }
+
+        if (target && typeof target === 'object') {
+            // Conditions are tried in the order the package lists them
+            for (const [condition, value] of Object.entries(target)) {
+                if (condition === 'default' || conditions.includes(condition)) {
+                    const result = this.resolveTargetValue(value, patternMatch, conditions, isImports);
+                    if (result !== undefined) {
+                        return result;
+                    }
+                }
+            }
+            return undefined;
+        }
+
+        // null excludes the subpath
+        return null;
+    }
+}
+
+module.exports = PackageExports;
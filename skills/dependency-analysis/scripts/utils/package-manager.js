@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+
+// Checked in order; bun and pnpm first because their projects often keep a stray package-lock.json
+const LOCKFILES = [
+    { file: 'bun.lockb', name: 'bun' },
+    { file: 'bun.lock', name: 'bun' },
+    { file: 'pnpm-lock.yaml', name: 'pnpm' },
+    { file: 'yarn.lock', name: 'yarn' },
+    { file: 'package-lock.json', name: 'npm' },
+    { file: 'npm-shrinkwrap.json', name: 'npm' },
+    { file: 'pnpm-workspace.yaml', name: 'pnpm' }
+];
+
+// Per manager: the verbs and flags the fix script needs
+const COMMANDS = {
+    npm: { add: ['install'], remove: ['uninstall'], update: ['update'], audit: ['audit'], dev: ['--save-dev'], prod: ['--save-prod'] },
+    yarn: { add: ['add'], remove: ['remove'], update: ['upgrade'], audit: ['audit'], dev: ['--dev'], prod: [] },
+    // `yarn up` would move ranges to the latest version; -R only refreshes the lockfile within them
+    'yarn-berry': { add: ['add'], remove: ['remove'], update: ['up', '-R'], audit: ['npm', 'audit'], dev: ['--dev'], prod: [] },
+    pnpm: { add: ['add'], remove: ['remove'], update: ['update'], audit: ['audit'], dev: ['--save-dev'], prod: ['--save-prod'] },
+    bun: { add: ['add'], remove: ['remove'], update: ['update'], audit: ['audit'], dev: ['--dev'], prod: [] }
+};
+
+class PackageManager {
+    constructor(name = 'npm', { version = null, source = 'default', berry = false } = {}) {
+        this.name = name;
+        this.version = version;
+        this.source = source;
+        this.berry = name === 'yarn' && berry;
+        this.commands = COMMANDS[this.berry ? 'yarn-berry' : name];
+    }
+
+    static async detect(rootPath, packageJson = {}, override = null) {
+        // --packageManager, then corepack's "packageManager": "pnpm@9.1.0+sha512...", then lockfiles
+        if (override) {
+            if (!COMMANDS[override]) {
+                throw new Error(`Unknown package manager "${override}" (use npm, yarn, pnpm or bun)`);
+            }
+            return new PackageManager(override, { source: 'option', berry: override === 'yarn' && await PackageManager.isYarnBerry(rootPath) });
+        }
+
+        const declared = typeof packageJson.packageManager === 'string'
+            ? packageJson.packageManager.match(/^(npm|yarn|pnpm|bun)@([^+]+)/)
+            : null;
+        if (declared) {
+            const major = semver.coerce(declared[2]);
+            return new PackageManager(declared[1], {
+                version: declared[2],
+                source: 'packageManager',
+                berry: declared[1] === 'yarn' && Boolean(major) && major.major >= 2
+            });
+        }
+
+        for (const { file, name } of LOCKFILES) {
+            try {
+                await fs.access(path.join(rootPath, file));
+            } catch (error) {
+                continue;
+            }
+            return new PackageManager(name, { source: file, berry: name === 'yarn' && await PackageManager.isYarnBerry(rootPath) });
+        }
+
+        return new PackageManager('npm');
+    }
+
+    static async isYarnBerry(rootPath) {
+        try {
+            await fs.access(path.join(rootPath, '.yarnrc.yml'));
+            return true;
+        } catch (error) {
+            // Classic projects have no .yarnrc.yml; the lockfile format tells the rest apart
+        }
+        try {
+            return /^__metadata:/m.test(await fs.readFile(path.join(rootPath, 'yarn.lock'), 'utf-8'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    command(action, specs, { dev = null, target = null } = {}) {
+        // -> argv for adding / removing / updating `specs` in `target`, a workspace package
+        // ({ name, path, root }) or null outside a workspace; dev is true, false (explicitly prod) or null
+        const args = [...this.commands[action], ...specs];
+        if (action === 'add' && dev !== null) {
+            args.push(...(dev ? this.commands.dev : this.commands.prod));
+        }
+
+        if (!target) {
+            return [this.name, ...args];
+        }
+        if (target.root) {
+            // yarn classic and pnpm refuse to add to a workspace root unless told it is intended
+            if (action === 'add' && this.name === 'pnpm') return [this.name, ...args, '-w'];
+            if (action === 'add' && this.name === 'yarn' && !this.berry) return [this.name, ...args, '-W'];
+            return [this.name, ...args];
+        }
+
+        switch (this.name) {
+            case 'npm':
+                return [this.name, ...args, '--workspace', target.path];
+            case 'yarn':
+                return [this.name, 'workspace', target.name, ...args];
+            case 'pnpm':
+                return [this.name, ...args, '--filter', target.name];
+            default:
+                return [this.name, ...args, '--cwd', target.path];
+        }
+    }
+
+    workspaceRange(version) {
+        // npm and yarn classic link workspace siblings by version; the others understand the workspace: protocol
+        return this.name === 'npm' || (this.name === 'yarn' && !this.berry) ? `^${version}` : 'workspace:*';
+    }
+
+    static quote(arg) {
+        return /^[\w@%+=:,./^~-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+    }
+
+    static format(argv) {
+        return argv.map(arg => PackageManager.quote(arg)).join(' ');
+    }
+
+    toJSON() {
+        return { name: this.name, version: this.version, source: this.source, berry: this.berry || undefined };
+    }
+}
+
+module.exports = PackageManager;
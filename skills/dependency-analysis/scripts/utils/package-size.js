@@ -0,0 +1,119 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PackageUtils = require('./package-utils');
+
+class PackageSizeCalculator {
+    constructor(projectPath) {
+        this.projectPath = projectPath;
+        // Keyed by real path so pnpm store entries and symlinked copies are measured once
+        this.entries = new Map();
+    }
+
+    async getSize(packageName) {
+        const entry = await this.getEntry(packageName, this.projectPath);
+
+        if (!entry) {
+            return {
+                installed: false,
+                size: 0,
+                installSize: 0,
+                packageCount: 0
+            };
+        }
+
+        const closure = await this.collectClosure([packageName]);
+
+        return {
+            installed: true,
+            size: entry.size,
+            installSize: this.sumSizes(closure),
+            packageCount: closure.size
+        };
+    }
+
+    async getRemovableSize(removedNames, keptNames) {
+        // Only packages no longer reachable from the remaining dependencies are freed
+        const removed = await this.collectClosure(removedNames);
+        const kept = await this.collectClosure(keptNames);
+
+        let total = 0;
+        for (const [realPath, entry] of removed) {
+            if (!kept.has(realPath)) {
+                total += entry.size;
+            }
+        }
+
+        return total;
+    }
+
+    async collectClosure(packageNames) {
+        const closure = new Map();
+        const queue = [];
+
+        for (const name of packageNames) {
+            const entry = await this.getEntry(name, this.projectPath);
+            if (entry) {
+                queue.push(entry);
+            }
+        }
+
+        while (queue.length > 0) {
+            const entry = queue.shift();
+            if (closure.has(entry.realPath)) continue;
+
+            closure.set(entry.realPath, entry);
+
+            for (const depName of entry.dependencies) {
+                const depEntry = await this.getEntry(depName, entry.realPath);
+                if (depEntry && !closure.has(depEntry.realPath)) {
+                    queue.push(depEntry);
+                }
+            }
+        }
+
+        return closure;
+    }
+
+    async getEntry(packageName, fromDir) {
+        const realPath = await PackageUtils.resolvePackageDir(packageName, fromDir);
+        if (!realPath) {
+            return null;
+        }
+
+        if (this.entries.has(realPath)) {
+            return this.entries.get(realPath);
+        }
+
+        let packageJson = {};
+        try {
+            const content = await fs.readFile(path.join(realPath, 'package.json'), 'utf-8');
+            packageJson = JSON.parse(content);
+        } catch (error) {
+            // Measure the files even if the manifest is unreadable
+        }
+
+        const entry = {
+            name: packageName,
+            version: packageJson.version || 'unknown',
+            realPath,
+            size: await PackageUtils.getPackageSize(realPath),
+            dependencies: Object.keys({
+                ...packageJson.dependencies,
+                ...packageJson.optionalDependencies
+            })
+        };
+
+        this.entries.set(realPath, entry);
+        return entry;
+    }
+
+    sumSizes(closure) {
+        let total = 0;
+        for (const entry of closure.values()) {
+            total += entry.size;
+        }
+        return total;
+    }
+}
+
+module.exports = PackageSizeCalculator;
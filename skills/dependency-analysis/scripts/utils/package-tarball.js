@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 512;
+
+// Reads single files out of published package tarballs: .tgz files on disk (npm pack output, an
+// offline mirror) or tarballs npm already downloaded into its content-addressed cache (_cacache)
+class PackageTarball {
+    static fileName(name, version) {
+        // What `npm pack` writes: "@scope/pkg" becomes "scope-pkg-1.0.0.tgz"
+        return `${name.replace(/^@/, '').replace('/', '-')}-${version}.tgz`;
+    }
+
+    static tarballUrl(registry, name, version) {
+        const base = name.startsWith('@') ? name.split('/')[1] : name;
+        return `${registry}${name}/-/${base}-${version}.tgz`;
+    }
+
+    static getNpmCacheDir(npmrc = {}) {
+        const cache = process.env.npm_config_cache || npmrc.cache ||
+            (process.platform === 'win32' && process.env.LOCALAPPDATA
+                ? path.join(process.env.LOCALAPPDATA, 'npm-cache')
+                : path.join(os.homedir(), '.npm'));
+        return path.join(cache.replace(/^~(?=$|[\\/])/, os.homedir()), '_cacache');
+    }
+
+    static async findInNpmCache(cacheDir, url) {
+        // cacache keeps one index bucket per key (sha256 of the key) and content by integrity hash
+        const key = `make-fetch-happen:request-cache:${url}`;
+        const bucket = crypto.createHash('sha256').update(key).digest('hex');
+
+        let content;
+        try {
+            content = await fs.readFile(path.join(cacheDir, 'index-v5', bucket.slice(0, 2), bucket.slice(2, 4), bucket.slice(4)), 'utf-8');
+        } catch (error) {
+            return null;
+        }
+
+        // Later lines supersede earlier ones; each is "<sha1 of the json>\t<json>"
+        let integrity = null;
+        for (const line of content.split('\n')) {
+            const json = line.slice(line.indexOf('\t') + 1);
+            try {
+                const entry = JSON.parse(json);
+                if (entry.key === key) {
+                    integrity = entry.integrity;
+                }
+            } catch (error) {
+                // Partially written line
+            }
+        }
+        if (!integrity) {
+            return null;
+        }
+
+        const [algorithm, digest] = integrity.split(/\s+/)[0].split('-');
+        const hex = Buffer.from(digest, 'base64').toString('hex');
+        const contentPath = path.join(cacheDir, 'content-v2', algorithm, hex.slice(0, 2), hex.slice(2, 4), hex.slice(4));
+        try {
+            await fs.access(contentPath);
+            return contentPath;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async readFiles(tarballPath, matches) {
+        // -> [{ path, content }] for the regular files whose path (without the leading
+        // "package/" directory) satisfies `matches`
+        const archive = zlib.gunzipSync(await fs.readFile(tarballPath));
+        const files = [];
+        let offset = 0;
+        let longName = null;
+
+        while (offset + BLOCK_SIZE <= archive.length) {
+            const header = archive.subarray(offset, offset + BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) break;
+
+            const field = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+            const size = parseInt(field(124, 12).trim(), 8) || 0;
+            const type = field(156, 1) || '0';
+            const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+            const body = archive.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+            offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+            // Long paths arrive in a pax ("x") or GNU ("L") header ahead of the entry they name
+            if (type === 'x') {
+                const pax = body.toString('utf-8').match(/^\d+ path=(.*)$/m);
+                longName = pax ? pax[1] : longName;
+                continue;
+            }
+            if (type === 'L') {
+                longName = body.toString('utf-8').replace(/\0.*$/s, '');
+                continue;
+            }
+
+            const entryPath = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+            longName = null;
+            if (type !== '0' && type !== '7') continue;
+
+            const relativePath = entryPath.replace(/^[^/]+\//, '');
+            if (matches(relativePath)) {
+                files.push({ path: relativePath, content: body.toString('utf-8') });
+            }
+        }
+
+        return files;
+    }
+}
+
+module.exports = PackageTarball;
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
+const semver = require('semver');
 
 class PackageUtils {
     static async getPackageInfo(packagePath) {
@@ -32,6 +33,9 @@ class PackageUtils {
                 // Skip node_modules to avoid infinite recursion
                 if (item.name === 'node_modules') continue;
 
+                // Symlinks point at packages or store entries measured on their own
+                if (item.isSymbolicLink()) continue;
+
                 if (item.isDirectory()) {
                     totalSize += await this.getPackageSize(itemPath);
                 } else {
@@ -46,6 +50,30 @@ class PackageUtils {
         }
     }
 
+    static async resolvePackageDir(packageName, fromDir) {
+        // Walk up node_modules directories the way Node's resolver does
+        let currentDir = fromDir;
+
+        while (true) {
+            if (path.basename(currentDir) !== 'node_modules') {
+                const candidate = path.join(currentDir, 'node_modules', packageName);
+                if (await this.fileExists(path.join(candidate, 'package.json'))) {
+                    try {
+                        return await fs.realpath(candidate);
+                    } catch (error) {
+                        return candidate;
+                    }
+                }
+            }
+
+            const parentDir = path.dirname(currentDir);
+            if (parentDir === currentDir) {
+                return null;
+            }
+            currentDir = parentDir;
+        }
+    }
+
     static formatSize(bytes) {
         const units = ['B', 'KB', 'MB', 'GB'];
         let size = bytes;
@@ -189,21 +217,46 @@ class PackageUtils {
         return 'prod'; // Default to production
     }
 
-    static extractLicense(packageJson) {
-        // Check explicit license field
-        if (packageJson.license) {
-            return packageJson.license;
+    static parseJsonc(content) {
+        // tsconfig-style JSON: drop // and /* */ comments and trailing commas while leaving string contents alone
+        return JSON.parse(content
+            .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+            .replace(/,(\s*[}\]])/g, '$1'));
+    }
+
+    static getTypesPackageName(packageName) {
+        // DefinitelyTyped flattens scopes: @scope/name -> @types/scope__name
+        if (packageName.startsWith('@')) {
+            return `@types/${packageName.slice(1).replace('/', '__')}`;
         }
+        return `@types/${packageName}`;
+    }
+
+    static getTypedPackageName(typesPackageName) {
+        const name = typesPackageName.slice('@types/'.length);
+        return name.includes('__') ? `@${name.replace('__', '/')}` : name;
+    }
 
-        // Check license file (simplified)
-        const licenseFiles = ['LICENSE', 'LICENSE.md', 'LICENSE.txt'];
-        // In a real implementation, you'd read these files
+    static extractLicense(packageJson) {
+        // SPDX expression from "license", or the deprecated "licenses" array (any one of them applies)
+        const toExpression = entry => {
+            if (typeof entry === 'string') return entry.trim();
+            return entry && typeof entry.type === 'string' ? entry.type.trim() : '';
+        };
 
-        // Check common license patterns in README
-        if (packageJson.repository || packageJson.description) {
-            // This is simplified - real implementation would parse README
+        const license = toExpression(packageJson.license);
+        if (license) {
+            return license;
         }
 
+        if (Array.isArray(packageJson.licenses)) {
+            const alternatives = packageJson.licenses.map(toExpression).filter(Boolean);
+            if (alternatives.length > 0) {
+                return alternatives.map(alternative => alternatives.length > 1 && /\s/.test(alternative) ? `(${alternative})` : alternative).join(' OR ');
+            }
+        }
+
+        // Callers fall back to the LICENSE file
         return 'Unknown';
     }
 
@@ -296,6 +349,70 @@ class PackageUtils {
             dependencies: depList
         };
     }
+
+    static async buildInstalledGraph(projectPath, packageJson = {}) {
+        // Same shape as LockfileParser: nodes keyed by real path, importers keyed by '.'
+        const packages = new Map();
+        const importers = new Map();
+        const edgeFields = [
+            ['dependencies', 'prod'],
+            ['optionalDependencies', 'optional'],
+            ['peerDependencies', 'peer']
+        ];
+
+        const visit = async (packageName, fromDir) => {
+            const realPath = await this.resolvePackageDir(packageName, fromDir);
+            if (!realPath || packages.has(realPath)) {
+                return realPath;
+            }
+
+            let manifest = {};
+            try {
+                manifest = JSON.parse(await fs.readFile(path.join(realPath, 'package.json'), 'utf-8'));
+            } catch (error) {
+                // Keep the node so paths through it are still reported
+            }
+
+            const node = {
+                id: realPath,
+                name: manifest.name || packageName,
+                version: manifest.version || 'unknown',
+                path: realPath,
+                dependencies: []
+            };
+            packages.set(realPath, node);
+
+            for (const [field, type] of edgeFields) {
+                for (const [depName, range] of Object.entries(manifest[field] || {})) {
+                    const id = await visit(depName, realPath);
+                    if (id) {
+                        node.dependencies.push({ name: depName, range, type, id });
+                    }
+                }
+            }
+
+            return realPath;
+        };
+
+        const rootDependencies = [];
+        const rootFields = [
+            ['dependencies', 'prod'],
+            ['devDependencies', 'dev'],
+            ['optionalDependencies', 'optional']
+        ];
+
+        for (const [field, type] of rootFields) {
+            for (const [depName, range] of Object.entries(packageJson[field] || {})) {
+                const id = await visit(depName, projectPath);
+                if (id) {
+                    rootDependencies.push({ name: depName, range, type, id });
+                }
+            }
+        }
+
+        importers.set('.', { name: packageJson.name, dependencies: rootDependencies });
+        return { packages, importers };
+    }
 }
 
 module.exports = PackageUtils;
\ No newline at end of file
@@ -0,0 +1,328 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const semver = require('semver');
+const VersionRange = require('./version-range');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+const CACHE_FILE = 'registry.json';
+const CACHE_FORMAT = 1;
+const DEFAULT_CACHE_TTL_HOURS = 24;
+const DEFAULT_TIMEOUT = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Version lists, dist-tags and publish dates of registry packages, from one of:
+// - a packument snapshot (--registrySnapshot): a JSON file or a directory, nothing else is consulted
+// - the registry configured in .npmrc (or --registry), with responses kept in <cacheDir>/registry.json
+// - that cache alone (--offline), however old its entries are
+class RegistryMetadata {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.snapshotPath = options.registrySnapshot ? path.resolve(projectPath, options.registrySnapshot) : null;
+        this.offline = Boolean(options.offline);
+        this.cacheTtl = (parseFloat(options.registryCacheTtl) || DEFAULT_CACHE_TTL_HOURS) * 60 * 60 * 1000;
+        this.timeout = parseInt(options.registryTimeout, 10) || DEFAULT_TIMEOUT;
+        this.registryOverride = typeof options.registry === 'string' ? options.registry : null;
+        this.cachePath = path.join(path.resolve(projectPath, options.cacheDir || '.dependency-cache'), CACHE_FILE);
+
+        this.snapshot = null;
+        this.cache = new Map();
+        this.dirty = false;
+        this.npmrc = {};
+        this.stats = { snapshot: 0, cache: 0, registry: 0, missing: 0 };
+        this.errors = [];
+    }
+
+    get source() {
+        if (this.snapshotPath) return 'snapshot';
+        return this.offline ? 'cache' : 'registry';
+    }
+
+    async initialize() {
+        // Also read offline: tarball URLs for the npm cache are derived from the configured registry
+        this.npmrc = await RegistryMetadata.readNpmrc(this.projectPath);
+
+        if (this.snapshotPath) {
+            await this.loadSnapshot(this.snapshotPath);
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+            if (data.format === CACHE_FORMAT) {
+                this.cache = new Map(Object.entries(data.packages || {}));
+            }
+        } catch (error) {
+            // No cache yet
+        }
+    }
+
+    async loadSnapshot(snapshotPath) {
+        let stat;
+        try {
+            stat = await fs.stat(snapshotPath);
+        } catch (error) {
+            throw new Error(`Registry snapshot not found: ${snapshotPath}`);
+        }
+
+        // Directories are read per package on demand
+        if (stat.isDirectory()) {
+            this.snapshot = { directory: snapshotPath, packages: new Map() };
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(snapshotPath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid registry snapshot ${snapshotPath}: ${error.message}`);
+        }
+
+        // A single packument, an array of them, or an object keyed by package name
+        const packuments = RegistryMetadata.isPackument(data) ? [data]
+            : Array.isArray(data) ? data
+                : Object.entries(data).map(([name, packument]) => ({ name, ...packument }));
+
+        this.snapshot = { directory: null, packages: new Map() };
+        for (const packument of packuments) {
+            if (packument && packument.name) {
+                this.snapshot.packages.set(packument.name, RegistryMetadata.normalize(packument));
+            }
+        }
+    }
+
+    static isPackument(data) {
+        return Boolean(data) && typeof data.name === 'string' && (data.versions !== undefined || data['dist-tags'] !== undefined);
+    }
+
+    static normalize(packument) {
+        // Full packuments key versions by number; `npm view --json` lists them
+        const versions = (Array.isArray(packument.versions) ? packument.versions : Object.keys(packument.versions || {}))
+            .filter(version => semver.valid(version))
+            .sort(semver.compare);
+        const time = {};
+        for (const version of versions) {
+            if (packument.time && packument.time[version]) {
+                time[version] = packument.time[version];
+            }
+        }
+        return { versions, distTags: packument['dist-tags'] || {}, time };
+    }
+
+    async get(name) {
+        // Resolves { versions, distTags, time, source } or null when no source knows the package
+        if (this.snapshot) {
+            const metadata = await this.getFromSnapshot(name);
+            this.count(metadata ? 'snapshot' : 'missing');
+            return metadata ? { ...metadata, source: 'snapshot' } : null;
+        }
+
+        const cached = this.cache.get(name);
+        if (cached && (this.offline || Date.now() - cached.fetchedAt < this.cacheTtl)) {
+            this.count('cache');
+            return { ...cached, source: 'cache' };
+        }
+        if (this.offline) {
+            this.count('missing');
+            return null;
+        }
+
+        try {
+            const packument = await this.fetchPackument(name);
+            if (!packument) {
+                this.count('missing');
+                return null;
+            }
+            const metadata = { ...RegistryMetadata.normalize(packument), fetchedAt: Date.now() };
+            this.cache.set(name, metadata);
+            this.dirty = true;
+            this.count('registry');
+            return { ...metadata, source: 'registry' };
+        } catch (error) {
+            this.errors.push({ name, error: error.message });
+            // A stale answer beats none when the registry is unreachable
+            if (cached) {
+                this.count('cache');
+                return { ...cached, source: 'cache' };
+            }
+            this.count('missing');
+            return null;
+        }
+    }
+
+    count(key) {
+        this.stats[key]++;
+    }
+
+    async getFromSnapshot(name) {
+        if (this.snapshot.packages.has(name)) {
+            return this.snapshot.packages.get(name);
+        }
+        if (!this.snapshot.directory) {
+            return null;
+        }
+
+        // <name>.json as written by `npm view <name> --json`, or <name>/package.json as in Verdaccio storage
+        let metadata = null;
+        for (const candidate of [`${name}.json`, path.join(name, 'package.json')]) {
+            try {
+                const data = JSON.parse(await fs.readFile(path.join(this.snapshot.directory, candidate), 'utf-8'));
+                metadata = RegistryMetadata.normalize(data);
+                break;
+            } catch (error) {
+                // Try the next layout
+            }
+        }
+        this.snapshot.packages.set(name, metadata);
+        return metadata;
+    }
+
+    static async readNpmrc(projectPath) {
+        // The project's .npmrc overrides the user's, as with npm itself
+        const config = {};
+        for (const file of [path.join(os.homedir(), '.npmrc'), path.join(projectPath, '.npmrc')]) {
+            let content;
+            try {
+                content = await fs.readFile(file, 'utf-8');
+            } catch (error) {
+                continue;
+            }
+
+            for (const rawLine of content.split(/\r?\n/)) {
+                const line = rawLine.trim();
+                if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+                const separator = line.indexOf('=');
+                if (separator === -1) continue;
+
+                const key = line.slice(0, separator).trim();
+                const value = line.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2')
+                    .replace(/\$\{([^}]+)\}/g, (match, variable) => process.env[variable] || '');
+                config[key] = value;
+            }
+        }
+        if (process.env.npm_config_registry && !config.registry) {
+            config.registry = process.env.npm_config_registry;
+        }
+        return config;
+    }
+
+    getRegistry(name) {
+        const scope = name.startsWith('@') ? name.split('/')[0] : null;
+        const registry = this.registryOverride || (scope && this.npmrc[`${scope}:registry`]) || this.npmrc.registry || DEFAULT_REGISTRY;
+        return registry.endsWith('/') ? registry : `${registry}/`;
+    }
+
+    getAuthorization(registry) {
+        // Credentials are keyed by the registry URL without its protocol ("//npm.example.com/repo/:_authToken")
+        const target = registry.replace(/^https?:/, '');
+        let best = null;
+        for (const [key, value] of Object.entries(this.npmrc)) {
+            const match = key.match(/^(\/\/.+?):(_authToken|_auth)$/);
+            if (!match || !target.startsWith(match[1]) || (best && best.prefix.length >= match[1].length)) continue;
+            best = { prefix: match[1], header: match[2] === '_authToken' ? `Bearer ${value}` : `Basic ${value}` };
+        }
+        return best ? best.header : null;
+    }
+
+    async fetchPackument(name) {
+        const registry = this.getRegistry(name);
+        const url = `${registry}${name.replace('/', '%2f')}`;
+        const headers = { accept: 'application/json' };
+        const authorization = this.getAuthorization(registry);
+        if (authorization) {
+            headers.authorization = authorization;
+        }
+        return this.request(url, headers, 3);
+    }
+
+    request(url, headers, redirects) {
+        // Resolves the parsed packument, or null for a package the registry does not have
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const req = client.get(url, { headers, timeout: this.timeout }, response => {
+                const { statusCode } = response;
+                if (statusCode >= 300 && statusCode < 400 && response.headers.location && redirects > 0) {
+                    response.resume();
+                    const location = new URL(response.headers.location, url);
+                    // Credentials from .npmrc belong to the registry; never send them to another host
+                    const { authorization, ...anonymous } = headers;
+                    const redirectHeaders = location.origin === new URL(url).origin ? headers : anonymous;
+                    resolve(this.request(location.toString(), redirectHeaders, redirects - 1));
+                    return;
+                }
+                if (statusCode === 404) {
+                    response.resume();
+                    resolve(null);
+                    return;
+                }
+                if (statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`${url} responded ${statusCode}`));
+                    return;
+                }
+
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    try {
+                        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+                    } catch (error) {
+                        reject(new Error(`${url} returned invalid JSON`));
+                    }
+                });
+                response.on('error', reject);
+            });
+            req.on('timeout', () => req.destroy(new Error(`${url} timed out after ${this.timeout}ms`)));
+            req.on('error', reject);
+        });
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        const data = { format: CACHE_FORMAT, packages: Object.fromEntries(this.cache) };
+
+        // Write then rename, so an interrupted run leaves the previous cache intact
+        await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+        const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, this.cachePath);
+    }
+
+    getSummary() {
+        return { source: this.source, ...this.stats, errors: this.errors };
+    }
+
+    static resolveUpdates(metadata, current, range, now = Date.now()) {
+        // The versions an outdated report offers: newest within the declared range, within the
+        // current major, and in a newer major, never past the `latest` dist-tag
+        const stable = metadata.versions.filter(version => !semver.prerelease(version));
+        const latest = metadata.distTags.latest || stable[stable.length - 1] || null;
+        if (!latest || !semver.valid(current)) {
+            return { latest, wanted: null, latestMinor: null, latestMajor: null, ageDays: null, latestAgeDays: null };
+        }
+
+        const candidates = stable.filter(version => semver.lte(version, latest));
+        const newest = filter => candidates.filter(filter).pop() || null;
+        // Tags, git URLs and other non-semver specs have no "within range"
+        const normalized = VersionRange.normalize(range || current);
+        const wanted = normalized === null ? null : semver.maxSatisfying(metadata.versions, normalized, { loose: true });
+
+        const age = version => (metadata.time[version] ? Math.floor((now - Date.parse(metadata.time[version])) / DAY_MS) : null);
+
+        return {
+            latest,
+            wanted,
+            latestMinor: newest(version => semver.major(version) === semver.major(current) && semver.gt(version, current)),
+            latestMajor: newest(version => semver.major(version) > semver.major(current)),
+            ageDays: age(current),
+            latestAgeDays: age(latest)
+        };
+    }
+}
+
+module.exports = RegistryMetadata;
@@ -0,0 +1,112 @@
+// Raw-text elements end at the first closing tag; anything else may nest (<template> inside <template>)
+const RAW_TEXT_BLOCKS = new Set(['script', 'style']);
+
+// Splits single-file components into their top-level blocks (<template>, <script>, <script setup>,
+// <style>, custom blocks). Each block keeps the line its content starts on, so imports extracted
+// from it can be reported against the original file.
+class SfcBlocks {
+    static split(content, tags = null) {
+        // With tags (Svelte, Astro) markup sits at the top level too: other elements are stepped into, not taken as blocks
+        const blocks = [];
+        const openTag = /<!--[\s\S]*?-->|<([a-zA-Z][\w:-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+        let match;
+
+        while ((match = openTag.exec(content)) !== null) {
+            // Top-level comments
+            if (!match[1]) continue;
+
+            const [tag, name, rawAttributes, selfClosing] = match;
+            const type = name.toLowerCase();
+            if (tags && !tags.includes(type)) continue;
+
+            const start = match.index + tag.length;
+            let end = start;
+            let next = start;
+
+            if (!selfClosing) {
+                const closing = this.findClosingTag(content, type, start);
+                if (!closing) {
+                    // Unterminated block; the rest of the file is not trustworthy
+                    break;
+                }
+                end = closing.index;
+                next = closing.index + closing.length;
+            }
+
+            blocks.push({
+                type,
+                attributes: this.parseAttributes(rawAttributes || ''),
+                content: content.slice(start, end),
+                line: this.lineAt(content, start),
+                offset: start
+            });
+            openTag.lastIndex = next;
+        }
+
+        return blocks;
+    }
+
+    static mask(content, blocks) {
+        // Blanks block contents but keeps newlines, so offsets and lines in what is left still match the file
+        let masked = '';
+        let position = 0;
+        for (const block of [...blocks].sort((a, b) => a.offset - b.offset)) {
+            masked += content.slice(position, block.offset) + block.content.replace(/[^\n]/g, ' ');
+            position = block.offset + block.content.length;
+        }
+        return masked + content.slice(position);
+    }
+
+    static findClosingTag(content, type, from) {
+        const escaped = type.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        if (RAW_TEXT_BLOCKS.has(type)) {
+            const closing = new RegExp(`</${escaped}\\s*>`, 'ig');
+            closing.lastIndex = from;
+            const match = closing.exec(content);
+            return match ? { index: match.index, length: match[0].length } : null;
+        }
+
+        const tags = new RegExp(`<(/?)${escaped}(?=[\\s/>])[^>]*?(/?)>`, 'ig');
+        tags.lastIndex = from;
+        let depth = 1;
+        let match;
+        while ((match = tags.exec(content)) !== null) {
+            if (match[1]) {
+                depth--;
+                if (depth === 0) {
+                    return { index: match.index, length: match[0].length };
+                }
+            } else if (!match[2]) {
+                depth++;
+            }
+        }
+        return null;
+    }
+
+    static parseAttributes(raw) {
+        // Valueless attributes such as "setup" or "module" become true
+        const attributes = {};
+        const attribute = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        let match;
+
+        while ((match = attribute.exec(raw)) !== null) {
+            const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+            attributes[match[1]] = value === undefined ? true : value;
+        }
+
+        return attributes;
+    }
+
+    static lineAt(content, index) {
+        let line = 1;
+        for (let i = 0; i < index; i++) {
+            if (content.charCodeAt(i) === 10) {
+                line++;
+            }
+        }
+        return line;
+    }
+}
+
+module.exports = SfcBlocks;
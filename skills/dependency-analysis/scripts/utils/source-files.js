@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GlobPattern = require('./glob-pattern');
+
+// Directories never worth scanning, whatever the ignore files say
+const EXCLUDED_DIRECTORIES = new Set([
+    'node_modules', 'dist', 'build', 'coverage', '.git', '.nyc_output',
+    '.next', '.nuxt', 'storybook-static', '.cache', '.dependency-cache'
+]);
+
+const DEFAULT_FILE_PATTERN = '**/*.{js,jsx,ts,tsx,vue,svelte,astro,mdx,css,scss,sass}';
+
+// Source discovery shared by the analyzers: .gitignore files (nested and in parent directories up
+// to the repository root), include/exclude globs with per-directory overrides, and --since <ref>
+class SourceFileScanner {
+    constructor(projectPath, options = {}) {
+        this.projectPath = projectPath;
+        this.options = options;
+        this.useGitignore = options.gitignore !== false;
+        this.since = typeof options.since === 'string' ? options.since : null;
+        this.changedFiles = null;
+
+        // include/exclude are relative to the project; each override's are relative to its directory
+        this.scopes = [{
+            base: '',
+            include: SourceFileScanner.toList(options.include || options.filePattern || DEFAULT_FILE_PATTERN),
+            // excludePatterns is the older name of the option
+            exclude: SourceFileScanner.toList(options.exclude || options.excludePatterns)
+        }];
+        for (const [directory, override] of Object.entries(options.overrides || {})) {
+            this.scopes.push({
+                base: directory.replace(/^\.\//, '').replace(/\/+$/, ''),
+                include: override.include ? SourceFileScanner.toList(override.include) : null,
+                exclude: override.exclude ? SourceFileScanner.toList(override.exclude) : null
+            });
+        }
+        // Deeper overrides are consulted last; the deepest one that sets include (or exclude) replaces the outer list
+        this.scopes.sort((a, b) => a.base.split('/').length - b.base.split('/').length);
+    }
+
+    static toList(value) {
+        // --exclude="a/**,b/**" on the command line, an array in JSON options
+        if (!value) {
+            return [];
+        }
+        // Commas inside "{js,ts}" belong to the pattern
+        return Array.isArray(value)
+            ? value
+            : GlobPattern.splitAlternatives(String(value)).map(pattern => pattern.trim()).filter(Boolean);
+    }
+
+    async scan({ skipDirectories = new Set() } = {}) {
+        const sourceFiles = [];
+        const inheritedRules = this.useGitignore ? await this.loadParentIgnoreRules() : [];
+
+        const scanDir = async (dir, ignoreRules) => {
+            let items;
+            try {
+                items = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                // Skip directories that can't be read
+                return;
+            }
+
+            const rules = this.useGitignore && items.some(item => item.name === '.gitignore')
+                ? [...ignoreRules, await this.loadIgnoreFile(path.join(dir, '.gitignore'))]
+                : ignoreRules;
+
+            await Promise.all(items.map(async (item) => {
+                const fullPath = path.join(dir, item.name);
+                const relativePath = this.relative(fullPath);
+                const isDirectory = item.isDirectory();
+
+                if (item.name.startsWith('.') || (isDirectory && EXCLUDED_DIRECTORIES.has(item.name))) {
+                    return;
+                }
+                if (this.isIgnored(fullPath, isDirectory, rules)) {
+                    return;
+                }
+
+                if (isDirectory) {
+                    if (!skipDirectories.has(fullPath) && !this.isDirectoryExcluded(relativePath)) {
+                        await scanDir(fullPath, rules);
+                    }
+                } else if (item.isFile() && this.isIncluded(relativePath)) {
+                    sourceFiles.push(fullPath);
+                }
+            }));
+        };
+
+        await scanDir(this.projectPath, inheritedRules);
+        sourceFiles.sort();
+
+        if (this.since) {
+            this.changedFiles = this.getChangedFiles(this.since);
+            return sourceFiles.filter(file => this.changedFiles.has(this.relative(file)));
+        }
+        return sourceFiles;
+    }
+
+    getScopes(relativePath) {
+        return this.scopes.filter(scope => !scope.base || relativePath === scope.base || relativePath.startsWith(`${scope.base}/`));
+    }
+
+    scopePath(scope, relativePath) {
+        return scope.base ? relativePath.slice(scope.base.length + 1) : relativePath;
+    }
+
+    matchesScope(relativePath, field) {
+        const scope = this.getScopes(relativePath).filter(candidate => candidate[field]).pop();
+        return GlobPattern.matches(this.scopePath(scope, relativePath), scope[field]);
+    }
+
+    isExcluded(relativePath) {
+        return this.matchesScope(relativePath, 'exclude');
+    }
+
+    isDirectoryExcluded(relativePath) {
+        // As in .gitignore, "src/__generated__" excludes the directory itself and "src/__generated__/**" its contents
+        return this.isExcluded(relativePath) || this.isExcluded(`${relativePath}/`);
+    }
+
+    isIncluded(relativePath) {
+        return !this.isExcluded(relativePath) && this.matchesScope(relativePath, 'include');
+    }
+
+    async loadParentIgnoreRules() {
+        // A package inside a repository inherits the .gitignore files between it and the repository root
+        const directories = [];
+        let dir = this.projectPath;
+        let gitRoot = null;
+
+        while (true) {
+            directories.unshift(dir);
+            if (await this.exists(path.join(dir, '.git'))) {
+                gitRoot = dir;
+                break;
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        if (!gitRoot) {
+            // Not a repository: only the project's own ignore files apply
+            directories.splice(0, directories.length - 1);
+        }
+
+        const rules = [];
+        if (gitRoot) {
+            rules.push(await this.loadIgnoreFile(path.join(gitRoot, '.git', 'info', 'exclude'), gitRoot));
+        }
+        // The project's own .gitignore is picked up by scan()
+        for (const directory of directories.slice(0, -1)) {
+            rules.push(await this.loadIgnoreFile(path.join(directory, '.gitignore')));
+        }
+        return rules;
+    }
+
+    async loadIgnoreFile(filePath, base = path.dirname(filePath)) {
+        let content = '';
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            // Missing ignore files are common
+        }
+        return { base, patterns: SourceFileScanner.parseIgnoreFile(content) };
+    }
+
+    static parseIgnoreFile(content) {
+        const patterns = [];
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            // Trailing spaces are dropped unless escaped
+            let line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) continue;
+
+            const negated = line.startsWith('!');
+            if (negated) {
+                line = line.slice(1);
+            } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+                line = line.slice(1);
+            }
+
+            const directoryOnly = line.endsWith('/');
+            line = line.replace(/\/+$/, '');
+            if (!line) continue;
+
+            patterns.push({ regex: GlobPattern.toRegExp(line.replace(/\\(.)/g, '$1')), negated, directoryOnly });
+        }
+
+        return patterns;
+    }
+
+    isIgnored(fullPath, isDirectory, rules) {
+        // The last matching pattern wins, deeper ignore files after shallower ones, as in git
+        let ignored = false;
+
+        for (const { base, patterns } of rules) {
+            const relativePath = path.relative(base, fullPath).split(path.sep).join('/');
+            if (relativePath.startsWith('..')) continue;
+
+            for (const pattern of patterns) {
+                if (pattern.directoryOnly && !isDirectory) continue;
+                if (pattern.regex.test(relativePath)) {
+                    ignored = !pattern.negated;
+                }
+            }
+        }
+
+        return ignored;
+    }
+
+    getChangedFiles(ref) {
+        // Committed, staged and unstaged changes since the ref, plus untracked files
+        const git = args => execFileSync('git', args, {
+            cwd: this.projectPath,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+
+        try {
+            const changed = git(['diff', '--name-only', '--relative', '-z', ref, '--']);
+            const untracked = git(['ls-files', '--others', '--exclude-standard', '-z']);
+            return new Set(`${changed}\0${untracked}`.split('\0').filter(Boolean));
+        } catch (error) {
+            const reason = error.stderr ? String(error.stderr).trim() : error.message;
+            throw new Error(`Cannot list files changed since ${ref}: ${reason}`);
+        }
+    }
+
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    relative(fullPath) {
+        return path.relative(this.projectPath, fullPath).split(path.sep).join('/');
+    }
+}
+
+module.exports = SourceFileScanner;
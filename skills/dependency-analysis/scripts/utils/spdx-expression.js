@@ -0,0 +1,117 @@
+// SPDX license expressions ("MIT OR (Apache-2.0 AND BSD-3-Clause)", "GPL-2.0+ WITH Classpath-exception-2.0")
+// parsed into { license, plus, exception } leaves joined by { conjunction: 'and' | 'or', left, right }
+
+// Canonical spelling of identifiers packages commonly write in another case
+const KNOWN_IDS = [
+    'MIT', 'MIT-0', 'ISC', '0BSD', 'BSD-2-Clause', 'BSD-3-Clause', 'Apache-2.0', 'Unlicense', 'CC0-1.0',
+    'CC-BY-3.0', 'CC-BY-4.0', 'CC-BY-SA-4.0', 'BlueOak-1.0.0', 'Python-2.0', 'Zlib', 'WTFPL', 'Artistic-2.0',
+    'MPL-2.0', 'EPL-1.0', 'EPL-2.0', 'CDDL-1.0', 'CDDL-1.1', 'EUPL-1.2',
+    'LGPL-2.1', 'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0', 'LGPL-3.0-only', 'LGPL-3.0-or-later',
+    'GPL-2.0', 'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0', 'GPL-3.0-only', 'GPL-3.0-or-later',
+    'AGPL-3.0', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'SSPL-1.0', 'BUSL-1.1'
+];
+const CANONICAL = new Map(KNOWN_IDS.map(id => [id.toUpperCase(), id]));
+
+// Free-text license names found in older manifests
+const ALIASES = new Map([
+    ['MIT LICENSE', 'MIT'], ['THE MIT LICENSE', 'MIT'], ['EXPAT', 'MIT'],
+    ['APACHE 2.0', 'Apache-2.0'], ['APACHE 2', 'Apache-2.0'], ['APACHE-2', 'Apache-2.0'], ['APACHE2', 'Apache-2.0'],
+    ['APACHE LICENSE 2.0', 'Apache-2.0'], ['APACHE LICENSE, VERSION 2.0', 'Apache-2.0'], ['APACHE LICENSE VERSION 2.0', 'Apache-2.0'],
+    ['NEW BSD', 'BSD-3-Clause'], ['BSD NEW', 'BSD-3-Clause'], ['REVISED BSD', 'BSD-3-Clause'], ['BSD 3-CLAUSE', 'BSD-3-Clause'],
+    ['SIMPLIFIED BSD', 'BSD-2-Clause'], ['FREEBSD', 'BSD-2-Clause'], ['BSD 2-CLAUSE', 'BSD-2-Clause'],
+    ['ISC LICENSE', 'ISC'], ['CC0', 'CC0-1.0'], ['MPL 2.0', 'MPL-2.0'],
+    ['GPLV2', 'GPL-2.0'], ['GPL V2', 'GPL-2.0'], ['GPL2', 'GPL-2.0'], ['GPLV3', 'GPL-3.0'], ['GPL V3', 'GPL-3.0'], ['GPL3', 'GPL-3.0'],
+    ['LGPLV2.1', 'LGPL-2.1'], ['LGPLV3', 'LGPL-3.0'], ['AGPLV3', 'AGPL-3.0']
+]);
+
+class SpdxExpression {
+    static parse(expression) {
+        // Returns null for an empty expression; unparseable text becomes a single opaque leaf
+        const text = String(expression || '').trim();
+        if (!text) {
+            return null;
+        }
+
+        const alias = ALIASES.get(text.toUpperCase().replace(/\s+/g, ' '));
+        if (alias) {
+            return { license: alias, plus: false, exception: null };
+        }
+
+        const tokens = text.match(/\(|\)|[^\s()]+/g);
+        let position = 0;
+        const peek = () => (tokens[position] || '').toUpperCase();
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === 'OR') {
+                position++;
+                node = { conjunction: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = () => {
+            let node = parseWith();
+            while (peek() === 'AND') {
+                position++;
+                node = { conjunction: 'and', left: node, right: parseWith() };
+            }
+            return node;
+        };
+        const parseWith = () => {
+            const node = parsePrimary();
+            if (peek() === 'WITH' && node.license) {
+                position++;
+                node.exception = tokens[position++] || null;
+            }
+            return node;
+        };
+        const parsePrimary = () => {
+            const token = tokens[position++];
+            if (token === '(') {
+                const node = parseOr();
+                if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses');
+                return node;
+            }
+            if (!token || token === ')' || ['AND', 'OR', 'WITH'].includes(token.toUpperCase())) {
+                throw new Error(`Unexpected ${token || 'end of expression'}`);
+            }
+            const plus = token.endsWith('+');
+            const id = plus ? token.slice(0, -1) : token;
+            return { license: CANONICAL.get(id.toUpperCase()) || id, plus, exception: null };
+        };
+
+        try {
+            const node = parseOr();
+            if (position !== tokens.length) throw new Error('Trailing tokens');
+            return node;
+        } catch (error) {
+            return { license: text, plus: false, exception: null, invalid: true };
+        }
+    }
+
+    static stringify(node, parent = null) {
+        if (!node) {
+            return '';
+        }
+        if (node.license) {
+            return SpdxExpression.leafId(node, true);
+        }
+        const text = `${SpdxExpression.stringify(node.left, node.conjunction)} ${node.conjunction.toUpperCase()} ${SpdxExpression.stringify(node.right, node.conjunction)}`;
+        // Mixed conjunctions are parenthesized even where AND binding tighter than OR makes it optional
+        return parent && parent !== node.conjunction ? `(${text})` : text;
+    }
+
+    static leafId(leaf, withException = false) {
+        const id = `${leaf.license}${leaf.plus ? '+' : ''}`;
+        return withException && leaf.exception ? `${id} WITH ${leaf.exception}` : id;
+    }
+
+    static leaves(node) {
+        if (!node) {
+            return [];
+        }
+        return node.license ? [node] : [...SpdxExpression.leaves(node.left), ...SpdxExpression.leaves(node.right)];
+    }
+}
+
+module.exports = SpdxExpression;
@@ -0,0 +1,95 @@
+// Line-based unified diffs (as `diff -u` / `git apply` read them) for small files such as manifests
+class UnifiedDiff {
+    static create(oldText, newText, oldLabel, newLabel, context = 3) {
+        // Returns '' when the texts are equal
+        if (oldText === newText) {
+            return '';
+        }
+
+        const oldLines = UnifiedDiff.splitLines(oldText);
+        const newLines = UnifiedDiff.splitLines(newText);
+        const operations = UnifiedDiff.diffLines(oldLines, newLines);
+
+        let output = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+        for (const hunk of UnifiedDiff.toHunks(operations, context)) {
+            output += `@@ -${UnifiedDiff.range(hunk.oldStart, hunk.oldCount)} +${UnifiedDiff.range(hunk.newStart, hunk.newCount)} @@\n`;
+            for (const operation of hunk.operations) {
+                output += `${operation.type === 'equal' ? ' ' : operation.type === 'delete' ? '-' : '+'}${operation.line}\n`;
+            }
+        }
+        return output;
+    }
+
+    static splitLines(text) {
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    static diffLines(oldLines, newLines) {
+        // Longest common subsequence table, from the end so the walk below can go forwards
+        const rows = oldLines.length;
+        const columns = newLines.length;
+        const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i][j] = oldLines[i] === newLines[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < columns) {
+            if (i < rows && j < columns && oldLines[i] === newLines[j]) {
+                operations.push({ type: 'equal', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+            } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                // Deletions go first, as diff -u prints a changed line
+                operations.push({ type: 'delete', line: oldLines[i], oldIndex: i++, newIndex: j });
+            } else {
+                operations.push({ type: 'insert', line: newLines[j], oldIndex: i, newIndex: j++ });
+            }
+        }
+        return operations;
+    }
+
+    static toHunks(operations, context) {
+        const hunks = [];
+        let current = null;
+
+        operations.forEach((operation, index) => {
+            if (operation.type === 'equal') return;
+
+            const start = Math.max(0, index - context);
+            if (current && start <= current.end) {
+                current.end = index + context + 1;
+            } else {
+                current = { start, end: index + context + 1 };
+                hunks.push(current);
+            }
+        });
+
+        return hunks.map(({ start, end }) => {
+            const slice = operations.slice(start, Math.min(end, operations.length));
+            return {
+                oldStart: slice[0].oldIndex + 1,
+                oldCount: slice.filter(operation => operation.type !== 'insert').length,
+                newStart: slice[0].newIndex + 1,
+                newCount: slice.filter(operation => operation.type !== 'delete').length,
+                operations: slice
+            };
+        });
+    }
+
+    static range(start, count) {
+        // An empty side is addressed by the line before it
+        if (count === 0) return `${start - 1},0`;
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+}
+
+module.exports = UnifiedDiff;
@@ -0,0 +1,105 @@
+const semver = require('semver');
+
+// Shared range matching for every analyzer. Accepts what package.json files contain in
+// practice: "||" unions, hyphen ranges, x-ranges, "workspace:" and "npm:" alias protocols.
+class VersionRange {
+    static normalize(range) {
+        if (typeof range !== 'string') {
+            return null;
+        }
+
+        let spec = range.trim();
+
+        if (spec.startsWith('workspace:')) {
+            // workspace:* / workspace:^ / workspace:~ link whatever version the sibling has
+            spec = spec.slice('workspace:'.length);
+            if (['*', '^', '~', ''].includes(spec)) {
+                return '*';
+            }
+        }
+
+        if (spec.startsWith('npm:')) {
+            // npm:real-name@range aliases another package; the range is what matters
+            const target = spec.slice('npm:'.length);
+            const at = target.indexOf('@', 1);
+            spec = at === -1 ? '*' : target.slice(at + 1);
+        }
+
+        return semver.validRange(spec, { loose: true });
+    }
+
+    static aliasTarget(range) {
+        // "npm:real-name@range" -> "real-name"; null for anything that is not an alias
+        if (typeof range !== 'string' || !range.trim().startsWith('npm:')) {
+            return null;
+        }
+        const target = range.trim().slice('npm:'.length);
+        const at = target.indexOf('@', 1);
+        return (at === -1 ? target : target.slice(0, at)) || null;
+    }
+
+    static isValid(range) {
+        return this.normalize(range) !== null;
+    }
+
+    static clean(version) {
+        if (typeof version !== 'string') {
+            return null;
+        }
+        return semver.clean(version, { loose: true }) || semver.valid(version, { loose: true });
+    }
+
+    static satisfies(version, range, options = {}) {
+        // Prereleases only match ranges that mention the same tuple unless includePrerelease is set
+        const cleanVersion = this.clean(version);
+        const normalized = this.normalize(range);
+        if (!cleanVersion || normalized === null) {
+            return false;
+        }
+
+        return semver.satisfies(cleanVersion, normalized, {
+            loose: true,
+            includePrerelease: Boolean(options.includePrerelease)
+        });
+    }
+
+    static intersects(rangeA, rangeB) {
+        // null when either side is not a semver range (git URLs, tags, file: paths)
+        const a = this.normalize(rangeA);
+        const b = this.normalize(rangeB);
+        if (a === null || b === null) {
+            return null;
+        }
+
+        try {
+            return semver.intersects(a, b, { loose: true, includePrerelease: true });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static minVersion(range) {
+        const normalized = this.normalize(range);
+        if (normalized === null) {
+            return null;
+        }
+
+        try {
+            const minimum = semver.minVersion(normalized, { loose: true });
+            return minimum ? minimum.version : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static compare(versionA, versionB) {
+        const a = this.clean(versionA);
+        const b = this.clean(versionB);
+        if (a && b) {
+            return semver.compare(a, b);
+        }
+        return String(versionA).localeCompare(String(versionB));
+    }
+}
+
+module.exports = VersionRange;
@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const PackageUtils = require('./package-utils');
+
+// Directories that never hold workspace packages
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+class WorkspaceDiscovery {
+    static async discover(rootPath) {
+        const config = await this.readWorkspaceConfig(rootPath);
+        if (!config) {
+            return null;
+        }
+
+        const include = config.patterns.filter(pattern => !pattern.startsWith('!'));
+        const exclude = config.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+        const excludedDirs = new Set();
+        for (const pattern of exclude) {
+            (await this.expandPattern(rootPath, pattern)).forEach(dir => excludedDirs.add(dir));
+        }
+
+        const packages = [];
+        const seen = new Set();
+        for (const pattern of include) {
+            for (const dir of await this.expandPattern(rootPath, pattern)) {
+                if (seen.has(dir) || excludedDirs.has(dir) || dir === rootPath) continue;
+                seen.add(dir);
+
+                const packageJson = await this.readJson(path.join(dir, 'package.json'));
+                if (!packageJson) continue;
+
+                packages.push({
+                    name: packageJson.name || path.basename(dir),
+                    version: packageJson.version || '0.0.0',
+                    path: dir,
+                    relativePath: path.relative(rootPath, dir).split(path.sep).join('/'),
+                    packageJson
+                });
+            }
+        }
+
+        packages.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+        return {
+            type: config.type,
+            root: rootPath,
+            patterns: config.patterns,
+            packages
+        };
+    }
+
+    static async readWorkspaceConfig(rootPath) {
+        // Same markers ArchitectureDetector uses to recognise a monorepo, in precedence order
+        const pnpmWorkspace = await this.readFile(path.join(rootPath, 'pnpm-workspace.yaml'));
+        if (pnpmWorkspace !== null) {
+            const config = yaml.load(pnpmWorkspace) || {};
+            return { type: 'pnpm', patterns: config.packages || [] };
+        }
+
+        const packageJson = await this.readJson(path.join(rootPath, 'package.json')) || {};
+        const workspaces = Array.isArray(packageJson.workspaces)
+            ? packageJson.workspaces
+            : packageJson.workspaces && packageJson.workspaces.packages;
+        if (workspaces) {
+            const type = await PackageUtils.fileExists(path.join(rootPath, 'yarn.lock')) ? 'yarn'
+                : await PackageUtils.fileExists(path.join(rootPath, 'bun.lockb')) ? 'bun'
+                    : 'npm';
+            return { type, patterns: workspaces };
+        }
+
+        const lerna = await this.readJson(path.join(rootPath, 'lerna.json'));
+        if (lerna) {
+            return { type: 'lerna', patterns: lerna.packages || ['packages/*'] };
+        }
+
+        if (await PackageUtils.fileExists(path.join(rootPath, 'nx.json'))) {
+            // Nx does not list its projects; use the layout it generates by default
+            return { type: 'nx', patterns: ['apps/*', 'libs/*', 'packages/*'] };
+        }
+
+        return null;
+    }
+
+    static async expandPattern(rootPath, pattern) {
+        // Supports "*" and "**" segments as well as wildcards inside a segment ("pkg-*")
+        const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+        const results = [];
+
+        const walk = async (dir, index) => {
+            if (index === segments.length) {
+                results.push(dir);
+                return;
+            }
+
+            const segment = segments[index];
+            if (segment === '**') {
+                await walk(dir, index + 1);
+                for (const child of await this.listDirectories(dir)) {
+                    await walk(path.join(dir, child), index);
+                }
+                return;
+            }
+
+            if (!segment.includes('*')) {
+                if (await this.isDirectory(path.join(dir, segment))) {
+                    await walk(path.join(dir, segment), index + 1);
+                }
+                return;
+            }
+
+            const matcher = new RegExp('^' + segment.split('*').map(part =>
+                part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            ).join('[^/]*') + '$');
+            for (const child of await this.listDirectories(dir)) {
+                if (matcher.test(child)) {
+                    await walk(path.join(dir, child), index + 1);
+                }
+            }
+        };
+
+        await walk(rootPath, 0);
+        return results;
+    }
+
+    static async listDirectories(dir) {
+        try {
+            const items = await fs.readdir(dir, { withFileTypes: true });
+            return items
+                .filter(item => item.isDirectory() && !SKIPPED_DIRECTORIES.has(item.name) && !item.name.startsWith('.'))
+                .map(item => item.name);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static async isDirectory(dir) {
+        try {
+            return (await fs.stat(dir)).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static async readFile(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async readJson(filePath) {
+        const content = await this.readFile(filePath);
+        if (content === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = WorkspaceDiscovery;